@@ -4,6 +4,9 @@ class AIManager {
     constructor() {
         this.bots = [];
         this.trackPath = [];
+        this.time = 0; // Simulation clock (ms), advanced only by update
+        this.random = Utils.createRandom(0);
+        this.grid = null; // The physics engine's SpatialGrid, for nearby karts
         this.difficultySettings = {
             easy: {
                 reactionTime: 0.3,
@@ -32,12 +35,22 @@ class AIManager {
         };
     }
 
-    initialize(trackData) {
+    // options.grid: the SpatialGrid the physics rebuilds each step; without
+    // it, finding nearby karts checks every kart
+    initialize(trackData, options = {}) {
         this.trackPath = trackData.path || [];
         this.checkpoints = trackData.checkpoints || [];
+        this.grid = options.grid || null;
         console.log('AI Manager initialized with track data');
     }
 
+    // Start the clock and random numbers for a race. Seeded alongside the
+    // physics, so the bots make the same mistakes when the race is replayed.
+    reset(seed = 0) {
+        this.time = 0;
+        this.random = Utils.createRandom(seed);
+    }
+
     // Create AI bot
     createBot(id, difficulty = 'medium', kartType = 'balanced') {
         const settings = this.difficultySettings[difficulty];
@@ -79,6 +92,8 @@ class AIManager {
 
     // Update all AI bots
     update(deltaTime, karts, playerKart) {
+        this.time += deltaTime * 1000;
+
         for (const bot of this.bots) {
             const kart = karts.find(k => k.id === bot.id);
             if (kart) {
@@ -132,6 +147,14 @@ class AIManager {
         // Set target ahead of current position
         const lookAhead = Math.floor(bot.settings.lookAheadDistance / 30); // Convert to path segments
         bot.currentTarget = (closestIndex + lookAhead) % this.trackPath.length;
+        
+        // Missed a checkpoint: go back to just short of it and come through again
+        if (kart.raceData && kart.raceData.missedCheckpoint) {
+            const checkpoint = this.checkpoints[kart.raceData.currentCheckpoint];
+            const approach = (checkpoint.pathIndex - lookAhead + this.trackPath.length) % this.trackPath.length;
+            const onApproach = (closestIndex - approach + this.trackPath.length) % this.trackPath.length <= lookAhead;
+            bot.currentTarget = onApproach ? (checkpoint.pathIndex + lookAhead) % this.trackPath.length : approach;
+        }
         bot.targetPosition = {
             x: this.trackPath[bot.currentTarget].x,
             y: this.trackPath[bot.currentTarget].y
@@ -147,27 +170,30 @@ class AIManager {
         const position = this.calculateRacePosition(kart, allKarts);
         this.adjustPerformanceBasedOnPosition(bot, position, allKarts.length);
         
+        // The karts close enough to matter, found once for both behaviours
+        const nearbyKarts = this.getNearbyKarts(kart, AIManager.AWARENESS_DISTANCE, allKarts);
+        
         // Collision avoidance
-        this.updateCollisionAvoidance(bot, kart, allKarts);
+        this.updateCollisionAvoidance(bot, kart, nearbyKarts);
         
         // Defensive/aggressive behavior
-        this.updateCombatBehavior(bot, kart, allKarts, playerKart);
+        this.updateCombatBehavior(bot, kart, nearbyKarts, playerKart);
         
         // Mistake simulation
         this.updateMistakeBehavior(bot, deltaTime);
     }
 
-    // Calculate race position
+    // Calculate race position (the physics standings, once there are some)
     calculateRacePosition(kart, allKarts) {
         if (!kart.raceData) return allKarts.length;
+        if (kart.raceData.position) return kart.raceData.position;
         
         const sortedKarts = allKarts
             .filter(k => k.raceData)
             .sort((a, b) => {
-                if (a.raceData.lapCount !== b.raceData.lapCount) {
-                    return b.raceData.lapCount - a.raceData.lapCount;
-                }
-                return b.raceData.currentCheckpoint - a.raceData.currentCheckpoint;
+                const progressA = a.raceData.lapCount + (a.raceData.lapProgress || 0);
+                const progressB = b.raceData.lapCount + (b.raceData.lapProgress || 0);
+                return progressB - progressA;
             });
         
         return sortedKarts.findIndex(k => k.id === kart.id) + 1;
@@ -189,13 +215,11 @@ class AIManager {
         bot.overallPerformance = Utils.clamp(bot.overallPerformance, 0.6, 1.3);
     }
 
-    // Collision avoidance behavior
-    updateCollisionAvoidance(bot, kart, allKarts) {
+    // Collision avoidance behavior (nearbyKarts: see getNearbyKarts)
+    updateCollisionAvoidance(bot, kart, nearbyKarts) {
         bot.avoidanceVector = { x: 0, y: 0 };
         
-        for (const otherKart of allKarts) {
-            if (otherKart.id === kart.id) continue;
-            
+        for (const otherKart of nearbyKarts) {
             const distance = Utils.distance(kart.x, kart.y, otherKart.x, otherKart.y);
             const avoidanceRadius = 80;
             
@@ -210,18 +234,24 @@ class AIManager {
         }
     }
 
+    // Other karts closer than distance: from the grid when the physics has
+    // stepped, otherwise by checking every kart
+    getNearbyKarts(kart, distance, allKarts) {
+        if (this.grid && this.grid.objects.length > 0) {
+            return this.grid.query(kart.x, kart.y, distance).filter(otherKart => otherKart.id !== kart.id);
+        }
+        
+        return allKarts.filter(otherKart =>
+            otherKart.id !== kart.id && Utils.distance(kart.x, kart.y, otherKart.x, otherKart.y) < distance
+        );
+    }
+
     // Combat and racing behavior
-    updateCombatBehavior(bot, kart, allKarts, playerKart) {
+    updateCombatBehavior(bot, kart, nearbyKarts, playerKart) {
         if (!kart.physics) return;
         
         // Check for nearby opponents
-        const nearbyOpponents = allKarts.filter(otherKart => {
-            if (otherKart.id === kart.id) return false;
-            const distance = Utils.distance(kart.x, kart.y, otherKart.x, otherKart.y);
-            return distance < 100;
-        });
-        
-        bot.inCombat = nearbyOpponents.length > 0;
+        bot.inCombat = nearbyKarts.length > 0;
         
         // Increase aggression when near player (if applicable)
         if (playerKart && bot.aggressionCooldown <= 0) {
@@ -238,14 +268,14 @@ class AIManager {
 
     // Simulate mistakes and imperfect driving
     updateMistakeBehavior(bot, deltaTime) {
-        if (bot.mistakeTimer <= 0 && Math.random() < bot.settings.mistakeFrequency * deltaTime) {
+        if (bot.mistakeTimer <= 0 && this.random() < bot.settings.mistakeFrequency * deltaTime) {
             // Trigger mistake
             const mistakeTypes = ['overcorrect', 'brake_early', 'miss_apex', 'wheelspin'];
-            const mistakeType = Utils.randomChoice(mistakeTypes);
+            const mistakeType = mistakeTypes[Math.floor(this.random() * mistakeTypes.length)];
             
             switch (mistakeType) {
                 case 'overcorrect':
-                    bot.steerMistake = (Math.random() - 0.5) * 2;
+                    bot.steerMistake = (this.random() - 0.5) * 2;
                     bot.mistakeTimer = 0.5;
                     break;
                 case 'brake_early':
@@ -253,7 +283,7 @@ class AIManager {
                     bot.mistakeTimer = 0.3;
                     break;
                 case 'miss_apex':
-                    bot.targetOffset = (Math.random() - 0.5) * 40;
+                    bot.targetOffset = (this.random() - 0.5) * 40;
                     bot.mistakeTimer = 1.0;
                     break;
                 case 'wheelspin':
@@ -304,13 +334,17 @@ class AIManager {
         const targetAngle = Utils.angle(kart.x, kart.y, targetX, targetY);
         const angleDiff = Utils.angleDifference(kart.rotation, targetAngle);
         
-        // Steering calculation
-        let steerInput = angleDiff / Math.PI; // Normalize to -1, 1
+        // Steering: the lock that puts the kart on an arc through the target,
+        // as a share of its full lock at this speed (see KartPhysics)
+        const physics = kart.physics;
+        const targetDistance = Math.max(1, Utils.distance(kart.x, kart.y, targetX, targetY));
+        const curvature = 2 * Math.sin(angleDiff) / targetDistance;
+        const lock = physics.steerAngle * (1 - physics.steerFade * Math.min(1, physics.speed / physics.maxSpeed));
+        let steerInput = Math.abs(angleDiff) > Math.PI / 2
+            ? Math.sign(angleDiff)
+            : Math.atan(curvature * physics.wheelBase) / lock;
         steerInput = Utils.clamp(steerInput, -1, 1);
         
-        // Apply cornering skill
-        steerInput *= bot.settings.corneringSkill;
-        
         // Apply mistakes
         if (bot.steerMistake) {
             steerInput += bot.steerMistake;
@@ -334,6 +368,13 @@ class AIManager {
             accelerateInput = 0.5;
         }
         
+        // Cornering speed: how much of the tires' grip on that arc the bot
+        // dares to use
+        const cornerSpeed = Math.sqrt(physics.grip * physics.tireGrip * bot.settings.corneringSkill / Math.max(Math.abs(curvature), 0.0001));
+        if (currentSpeed > cornerSpeed) {
+            accelerateInput = Math.min(accelerateInput, 0.2);
+        }
+        
         // Corner braking
         const cornerSeverity = Math.abs(angleDiff) / Math.PI;
         if (cornerSeverity > 0.3) {
@@ -351,12 +392,16 @@ class AIManager {
         // Calculate braking
         let brakeInput = 0;
         
-        // Emergency braking for collisions
-        if (bot.avoidanceVector && Utils.vectorMagnitude(bot.avoidanceVector) > 0.5) {
+        // Emergency braking for collisions (not from a crawl, or karts
+        // boxed in together all wait for each other)
+        if (bot.avoidanceVector && Utils.vectorMagnitude(bot.avoidanceVector) > 0.5 && currentSpeed > maxSpeed * 0.3) {
             brakeInput = 0.6;
         }
         
         // Corner braking
+        if (currentSpeed > cornerSpeed * 1.2) {
+            brakeInput = Math.max(brakeInput, 0.5);
+        }
         if (cornerSeverity > 0.5 && currentSpeed > maxSpeed * 0.6) {
             brakeInput = Math.max(brakeInput, (cornerSeverity - 0.5) * 2 * bot.settings.corneringSkill);
         }
@@ -376,7 +421,7 @@ class AIManager {
 
     // Calculate when next mistake should occur
     calculateNextMistake(frequency) {
-        return Utils.now() + (1 / frequency) * (0.5 + Math.random());
+        return this.time + (1 / frequency) * (0.5 + this.random());
     }
 
     // Get bot by ID
@@ -422,15 +467,11 @@ class AIManager {
         // Clear existing bots
         this.bots = [];
         
-        const kartTypes = ['speed', 'handling', 'balanced'];
-        const botNames = [
-            'Speed Demon', 'Corner King', 'Road Warrior', 
-            'Drift Master', 'Track Terror', 'Race Ace',
-            'Turbo Tim', 'Swift Sarah', 'Lightning Lee'
-        ];
+        const kartTypes = AIManager.KART_TYPES;
+        const botNames = AIManager.BOT_NAMES;
         
         for (let i = 0; i < count; i++) {
-            const kartType = Utils.randomChoice(kartTypes);
+            const kartType = kartTypes[Math.floor(this.random() * kartTypes.length)];
             const botName = botNames[i % botNames.length];
             
             this.createBot(`bot_${i}`, difficulty, kartType);
@@ -471,5 +512,22 @@ class AIManager {
     }
 }
 
+// Kart presets and display names handed out to bots
+AIManager.KART_TYPES = ['speed', 'handling', 'balanced'];
+AIManager.BOT_NAMES = [
+    'Speed Demon', 'Corner King', 'Road Warrior',
+    'Drift Master', 'Track Terror', 'Race Ace',
+    'Turbo Tim', 'Swift Sarah', 'Lightning Lee'
+];
+
+AIManager.AWARENESS_DISTANCE = 100; // How close another kart must be for a bot to react to it
+
 // Global AI manager instance
-window.AIManager = AIManager;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.AIManager = AIManager;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIManager;
+}
\ No newline at end of file
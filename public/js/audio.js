@@ -83,9 +83,14 @@ class AudioManager {
         // Brake sound
         this.sounds.brake = this.createBrakeSound();
         
-        // Tire screech
+        // Tire screech (looped while a kart's tires are sliding)
         this.sounds.tireScreech = this.createTireScreechSound();
         
+        // Tire noise off the tarmac (looped while a kart is on the surface)
+        this.sounds.gravel = this.createGravelSound();
+        this.sounds.grass = this.createGrassSound();
+        this.sounds.mud = this.createMudSound();
+        
         // Boost sound
         this.sounds.boost = this.createBoostSound();
         
@@ -167,10 +172,69 @@ class AudioManager {
         
         for (let i = 0; i < data.length; i++) {
             const t = i / sampleRate;
-            const frequency = 800 + Math.sin(t * 15) * 200;
-            const envelope = Math.max(0, 1 - t);
+            // Whole wobbles of the pitch, so the loop joins up
+            const frequency = 800 + Math.sin(t * 4 * 2 * Math.PI) * 200;
             const noise = (Math.random() - 0.5) * 0.6;
-            data[i] = (Math.sin(t * frequency * 2 * Math.PI) * 0.2 + noise * 0.4) * envelope;
+            data[i] = Math.sin(t * frequency * 2 * Math.PI) * 0.2 + noise * 0.4;
+        }
+        
+        return buffer;
+    }
+
+    // Stones crunching: random clicks over a hiss
+    createGravelSound() {
+        const duration = 1.0;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, duration * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        let crackle = 0;
+        for (let i = 0; i < data.length; i++) {
+            if (Math.random() < 0.004) {
+                crackle = (Math.random() - 0.5) * 1.6;
+            }
+            crackle *= 0.97;
+            const noise = (Math.random() - 0.5) * 0.15;
+            data[i] = crackle + noise;
+        }
+        
+        return buffer;
+    }
+
+    // Soft rustle: muffled noise swelling a few times a second
+    createGrassSound() {
+        const duration = 1.0;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, duration * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        let filtered = 0;
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+            const noise = (Math.random() - 0.5) * 2;
+            filtered += (noise - filtered) * 0.1;
+            const envelope = 0.6 + Math.sin(t * 6 * 2 * Math.PI) * 0.4;
+            data[i] = filtered * envelope * 0.6;
+        }
+        
+        return buffer;
+    }
+
+    // Squelch: deep rumble that sucks and releases
+    createMudSound() {
+        const duration = 1.0;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, duration * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        let filtered = 0;
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+            const noise = (Math.random() - 0.5) * 2;
+            filtered += (noise - filtered) * 0.02;
+            const squelch = Math.sin(t * 3 * 2 * Math.PI) ** 2;
+            const rumble = Math.sin(t * 60 * 2 * Math.PI) * 0.3;
+            data[i] = (filtered * 3 + rumble) * squelch * 0.5;
         }
         
         return buffer;
@@ -537,6 +601,92 @@ class AudioManager {
         }
     }
 
+    // Tire noise for the surface under a kart: swaps loops when the surface
+    // changes and gets louder with speed
+    updateSurfaceSound(kart, surface) {
+        const soundName = AudioManager.SURFACE_SOUNDS[surface] || null;
+        
+        if (kart.surfaceSound !== soundName) {
+            this.stopSurfaceSound(kart);
+            kart.surfaceSound = soundName;
+            
+            if (soundName) {
+                kart.surfaceSource = this.playSound(soundName, { loop: true, volume: 0 });
+                
+                if (kart.surfaceSource) {
+                    kart.surfaceGain = this.audioContext.createGain();
+                    kart.surfaceSource.disconnect();
+                    kart.surfaceSource.connect(kart.surfaceGain);
+                    kart.surfaceGain.connect(this.sfxGain);
+                }
+            }
+        }
+        
+        if (kart.surfaceSource && kart.surfaceGain && kart.physics) {
+            const speedRatio = Math.min(1, kart.physics.speed / kart.physics.maxSpeed);
+            kart.surfaceSource.playbackRate.value = 0.7 + speedRatio * 0.6;
+            
+            kart.surfaceGain.gain.value = 0.25 * speedRatio * this.getDistanceFade(kart);
+        }
+    }
+
+    stopSurfaceSound(kart) {
+        if (kart.surfaceSource) {
+            kart.surfaceSource.stop();
+        }
+        kart.surfaceSource = null;
+        kart.surfaceGain = null;
+        kart.surfaceSound = null;
+    }
+
+    // Looped tire screech while the kart's tires are sliding, louder the
+    // faster they slide across the road
+    updateScreechSound(kart) {
+        const physics = kart.physics;
+        const sliding = physics && (physics.sliding || physics.drifting);
+        
+        if (!sliding) {
+            this.stopScreechSound(kart);
+            return;
+        }
+        
+        if (!kart.screechSource) {
+            kart.screechSource = this.playSound('tireScreech', { loop: true, volume: 0 });
+            
+            if (kart.screechSource) {
+                kart.screechGain = this.audioContext.createGain();
+                kart.screechSource.disconnect();
+                kart.screechSource.connect(kart.screechGain);
+                kart.screechGain.connect(this.sfxGain);
+            }
+        }
+        
+        if (kart.screechSource && kart.screechGain) {
+            const slideRatio = Math.min(1, physics.slideSpeed / AudioManager.SCREECH_SLIDE_SPEED);
+            kart.screechSource.playbackRate.value = 0.9 + slideRatio * 0.2;
+            kart.screechGain.gain.value = 0.3 * slideRatio * this.getDistanceFade(kart);
+        }
+    }
+
+    stopScreechSound(kart) {
+        if (kart.screechSource) {
+            kart.screechSource.stop();
+        }
+        kart.screechSource = null;
+        kart.screechGain = null;
+    }
+
+    // Other karts fade out with distance from the player
+    getDistanceFade(kart) {
+        if (kart.isPlayer || !window.game || !window.game.playerKart) return 1;
+        
+        const distance = Utils.distance(
+            kart.x, kart.y,
+            window.game.playerKart.x, window.game.playerKart.y
+        );
+        return Math.max(0, 1 - distance / 500);
+    }
+
     // Volume control
     setMasterVolume(volume) {
         this.volumes.master = Utils.clamp(volume, 0, 1);
@@ -694,5 +844,9 @@ class AudioManager {
     }
 }
 
+// Tire noise loop for each surface (none on the track itself)
+AudioManager.SURFACE_SOUNDS = { grass: 'grass', gravel: 'gravel', mud: 'mud' };
+AudioManager.SCREECH_SLIDE_SPEED = 80; // Slide speed of a full-volume screech
+
 // Global audio manager instance
 window.AudioManager = AudioManager;
\ No newline at end of file
@@ -0,0 +1,233 @@
+// Race director for GoKart Racing Game
+// Watches for the three things the checkpoints can't catch - cutting
+// corners, jumping the start and ramming - and hands out penalties: time
+// added to the kart's race time, or a drive-through, where the kart is held
+// to a crawl for a few seconds. Runs wherever laps are counted (the server in
+// server races). Shared with the server, so it must not touch the DOM.
+
+class RaceDirector {
+    // physics: the PhysicsEngine running the race (its centreline and collisions)
+    constructor(physics) {
+        this.physics = physics;
+        this.watching = new Map(); // Kart -> off-track excursion and last offence
+        this.jumpStarts = new Set(); // Karts that went early, penalised once racing
+        this.tightLine = null; // Per path segment: shorter edge over centreline (see getTightLineRatio)
+    }
+
+    // Forget the last race
+    reset() {
+        this.watching.clear();
+        this.jumpStarts.clear();
+    }
+
+    // During the countdown: throttle before GO is a jump start. Throttle in
+    // the last JUMP_START_GRACE ms is let go, since the countdown a player
+    // sees is only as close to the server's as their clock sync.
+    // untilStart: ms to GO
+    checkJumpStart(kart, untilStart) {
+        if (untilStart <= RaceDirector.JUMP_START_GRACE) return;
+        
+        if (kart.controls && kart.controls.accelerate > 0) {
+            this.jumpStarts.add(kart);
+        }
+    }
+
+    // Once per step, after physics and lap counting
+    update(deltaTime, karts) {
+        for (const kart of karts) {
+            if (!kart.raceData || kart.finished) continue;
+
+            if (this.jumpStarts.delete(kart)) {
+                this.penalise(kart, 'jumpStart');
+            }
+
+            this.checkCornerCutting(kart);
+            this.serveDriveThrough(kart, deltaTime);
+        }
+
+        for (const collision of this.physics.collisions || []) {
+            this.checkRamming(collision);
+        }
+    }
+
+    getWatch(kart) {
+        let watch = this.watching.get(kart);
+        if (!watch) {
+            watch = { x: kart.x, y: kart.y, progress: this.getProgress(kart), excursion: null, lastRam: -Infinity };
+            this.watching.set(kart, watch);
+        }
+        return watch;
+    }
+
+    // Off the track, compare the distance made along the tightest line the
+    // track allows with the distance actually driven. Running wide loses
+    // ground; taking a short cut across the infield gains it, and that gain is
+    // what gets penalised. Clipping an apex gains next to nothing over
+    // hugging the inside edge, so it isn't a cut.
+    checkCornerCutting(kart) {
+        const watch = this.getWatch(kart);
+        const travelled = Utils.distance(watch.x, watch.y, kart.x, kart.y);
+        const progress = this.getProgress(kart);
+        const made = progress - watch.progress;
+        watch.x = kart.x;
+        watch.y = kart.y;
+        watch.progress = progress;
+
+        const offTrack = this.isOffTrack(kart);
+        if (!offTrack && !watch.excursion) return;
+
+        // The steps off the track, and the one back onto it
+        if (!watch.excursion) {
+            watch.excursion = { tightLine: 0, travelled: 0 };
+        }
+        watch.excursion.tightLine += made * this.getTightLineRatio(kart);
+        watch.excursion.travelled += travelled;
+        if (offTrack) return;
+
+        const gain = watch.excursion.tightLine - watch.excursion.travelled;
+        watch.excursion = null;
+        if (gain > RaceDirector.CUT_DISTANCE) {
+            this.penalise(kart, 'cut');
+        }
+    }
+
+    // How much shorter the inside of the track is than its centreline where
+    // the kart is: the shorter of the two edges over the centreline, for the
+    // path segment starting at the kart's path point. About 1 on a straight,
+    // well under it through a hairpin.
+    getTightLineRatio(kart) {
+        const path = this.physics.path || [];
+        if (!this.tightLine || this.tightLine.path !== path) {
+            this.tightLine = { path: path, ratios: path.map((point, i) => this.measureTightLine(point, path[(i + 1) % path.length])) };
+        }
+
+        const ratio = this.tightLine.ratios[kart.raceData.pathIndex];
+        return ratio === undefined ? 1 : ratio;
+    }
+
+    measureTightLine(point, next) {
+        const centre = Utils.distance(point.x, point.y, next.x, next.y);
+        if (centre === 0) return 1;
+
+        const edge = (side) => {
+            const offset1 = side * point.width / 2;
+            const offset2 = side * next.width / 2;
+            return Utils.distance(
+                point.x - Math.sin(point.angle) * offset1, point.y + Math.cos(point.angle) * offset1,
+                next.x - Math.sin(next.angle) * offset2, next.y + Math.cos(next.angle) * offset2
+            );
+        };
+        return Math.min(1, edge(1) / centre, edge(-1) / centre);
+    }
+
+    // Whether the kart's centre is past the edge of the track (zones painted
+    // on the track don't count, they are still track)
+    isOffTrack(kart) {
+        const point = (this.physics.path || [])[kart.raceData.pathIndex];
+        if (!point) return false;
+
+        const offset = (kart.y - point.y) * Math.cos(point.angle) - (kart.x - point.x) * Math.sin(point.angle);
+        return Math.abs(offset) > point.width / 2;
+    }
+
+    // Distance driven along the centreline since the start
+    getProgress(kart) {
+        return kart.raceData.lapCount * this.physics.lapLength + kart.raceData.trackDistance;
+    }
+
+    // A hard hit where one kart did nearly all of the closing, on the throttle
+    checkRamming(collision) {
+        if (collision.impulse < RaceDirector.RAM_IMPULSE) return;
+
+        const { obj1, obj2, closing1, closing2 } = collision;
+        const rammer = closing1 > closing2 ? obj1 : obj2;
+        const share = Math.max(closing1, closing2) / (closing1 + closing2);
+
+        if (share < RaceDirector.RAM_SHARE || !rammer.raceData || rammer.finished) return;
+        if (!rammer.controls || !(rammer.controls.accelerate > 0)) return;
+
+        // One crash is one offence, however many steps the karts stay touching
+        const watch = this.getWatch(rammer);
+        const now = this.physics.time;
+        if (now - watch.lastRam < RaceDirector.RAM_COOLDOWN) return;
+        watch.lastRam = now;
+
+        this.penalise(rammer, 'ramming');
+    }
+
+    // Hold the kart to a crawl until its drive-through is served
+    serveDriveThrough(kart, deltaTime) {
+        const raceData = kart.raceData;
+        if (raceData.driveThrough <= 0) return;
+
+        raceData.driveThrough = Math.max(0, raceData.driveThrough - deltaTime * 1000);
+
+        const physics = kart.physics;
+        const limit = physics.maxSpeed * RaceDirector.DRIVE_THROUGH_SPEED;
+        const speed = Math.sqrt(physics.velocityX ** 2 + physics.velocityY ** 2);
+        if (speed > limit) {
+            physics.velocityX *= limit / speed;
+            physics.velocityY *= limit / speed;
+            physics.speed = limit;
+        }
+    }
+
+    penalise(kart, reason) {
+        const raceData = kart.raceData;
+        const rule = RaceDirector.PENALTIES[reason];
+        const penalty = {
+            reason: reason,
+            type: rule.type,
+            amount: rule.amount,
+            at: Math.max(0, this.physics.time - raceData.startTime)
+        };
+
+        raceData.penalties.push(penalty);
+        if (rule.type === 'time') {
+            raceData.penaltyTime += rule.amount;
+        } else {
+            raceData.driveThrough += rule.amount;
+        }
+
+        return penalty;
+    }
+
+    // "Jump start +5.0s", "Corner cutting: drive-through"
+    static describe(penalty) {
+        const rule = RaceDirector.PENALTIES[penalty.reason];
+        const label = rule ? rule.label : penalty.reason;
+        return penalty.type === 'time'
+            ? `${label} ${RaceDirector.formatPenaltyTime(penalty.amount)}`
+            : `${label}: drive-through`;
+    }
+
+    // 5000 -> "+5.0s"
+    static formatPenaltyTime(ms) {
+        return `+${(ms / 1000).toFixed(1)}s`;
+    }
+}
+
+// What each offence costs: 'time' is added to the race time (ms), a
+// 'driveThrough' holds the kart to DRIVE_THROUGH_SPEED for that long (ms)
+RaceDirector.PENALTIES = {
+    cut: { type: 'driveThrough', amount: 3000, label: 'Corner cutting' },
+    jumpStart: { type: 'time', amount: 5000, label: 'Jump start' },
+    ramming: { type: 'time', amount: 3000, label: 'Ramming' }
+};
+
+RaceDirector.CUT_DISTANCE = 60;         // Tightest line gained off the track over distance driven
+RaceDirector.JUMP_START_GRACE = 200;    // ms before GO where throttle isn't a jump start
+RaceDirector.RAM_IMPULSE = 6000;        // Collision impulse of a deliberate hit
+RaceDirector.RAM_SHARE = 0.75;          // Share of the closing speed that was the rammer's
+RaceDirector.RAM_COOLDOWN = 2000;       // ms before the same kart can be penalised again
+RaceDirector.DRIVE_THROUGH_SPEED = 0.4; // Share of top speed allowed while serving
+
+// Global race director
+if (typeof window !== 'undefined') {
+    window.RaceDirector = RaceDirector;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RaceDirector;
+}
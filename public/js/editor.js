@@ -0,0 +1,717 @@
+// Track editor for GoKart Racing Game
+// Edits a track file on the game canvas. After every change the file is rebuilt
+// with TrackBuilder and drawn by GraphicsEngine; the editing handles are drawn
+// on top in world space. Game wires the toolbar up (see setupEditorHandlers).
+
+class TrackEditor {
+    constructor(graphics, canvas) {
+        this.graphics = graphics;
+        this.canvas = canvas;
+        this.active = false;
+
+        this.definition = null;  // Track file being edited
+        this.track = null;       // Last good build of it
+        this.tool = 'points';    // 'points', 'surface', 'checkpoint', 'start' or 'pan'
+        this.surfaceType = 'grass';
+        this.selection = null;   // { kind: 'point' | 'zone' | 'gate', index }
+        this.drag = null;
+        this.pendingZone = null; // Surface zone being painted: { type, polygon }
+        this.pointer = null;     // Pointer position in the world
+        this.problems = [];      // TrackBuilder.checkDrivable results
+        this.dirty = false;      // Changed since opened or saved
+
+        this.onChange = null;    // Called after edits and selection changes
+
+        this.setupInput();
+    }
+
+    // Custom tracks are kept in localStorage as track files, keyed by id
+    static loadSavedTracks() {
+        const saved = Utils.loadFromLocalStorage(TrackEditor.STORAGE_KEY, {});
+
+        for (const definition of Object.values(saved)) {
+            try {
+                TrackBuilder.register(TrackBuilder.parse(definition), true);
+            } catch (error) {
+                console.warn(`⚠️ Skipping saved track ${definition.id}:`, error.message);
+            }
+        }
+    }
+
+    static saveTrack(definition) {
+        TrackBuilder.register(definition, true);
+
+        const saved = Utils.loadFromLocalStorage(TrackEditor.STORAGE_KEY, {});
+        saved[definition.id] = definition;
+        return Utils.saveToLocalStorage(TrackEditor.STORAGE_KEY, saved);
+    }
+
+    // Fresh id for a track made in the editor
+    static createTrackId() {
+        return `custom-${Date.now().toString(36)}`;
+    }
+
+    // A small oval in the middle of an empty map to start from
+    static createBlankTrack() {
+        const centerline = [];
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            centerline.push({
+                x: Math.round(1000 + Math.cos(angle) * 400),
+                y: Math.round(1000 + Math.sin(angle) * 250)
+            });
+        }
+
+        return {
+            format: TrackBuilder.FORMAT,
+            version: TrackBuilder.VERSION,
+            id: TrackEditor.createTrackId(),
+            name: 'New Track',
+            laps: 3,
+            size: { width: 2000, height: 2000 },
+            width: 90,
+            centerline: centerline,
+            surfaces: [],
+            obstacles: [],
+            decorations: []
+        };
+    }
+
+    setupInput() {
+        const screenPosition = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.active) return;
+
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.pointerDown(screenPosition(e), e.button !== 0 || this.tool === 'pan');
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.active) return;
+            this.pointerMove(screenPosition(e));
+        });
+
+        const release = () => {
+            if (!this.active) return;
+            this.pointerUp();
+        };
+        this.canvas.addEventListener('pointerup', release);
+        this.canvas.addEventListener('pointercancel', release);
+
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.active) return;
+
+            e.preventDefault();
+            const screen = screenPosition(e);
+            this.graphics.zoomCameraAt(e.deltaY < 0 ? 1.1 : 1 / 1.1, screen.x, screen.y);
+        }, { passive: false });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.active || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+            switch (e.code) {
+                case 'Delete':
+                case 'Backspace':
+                    e.preventDefault();
+                    this.deleteSelection();
+                    break;
+                case 'Enter':
+                    this.finishZone();
+                    break;
+                case 'Escape':
+                    this.pendingZone = null;
+                    this.select(null);
+                    break;
+            }
+        });
+    }
+
+    // Start editing a copy of a track file
+    open(definition) {
+        this.definition = JSON.parse(JSON.stringify(definition));
+        this.definition.surfaces = this.definition.surfaces || [];
+        this.selection = null;
+        this.pendingZone = null;
+        this.drag = null;
+        this.dirty = false;
+
+        this.resume();
+    }
+
+    // Back to the editor as it was left (after a test drive)
+    resume() {
+        this.active = true;
+        this.canvas.style.touchAction = 'none';
+        this.graphics.setCameraMode('free');
+
+        // Rebuilding isn't an edit
+        const dirty = this.dirty;
+        this.changed();
+        this.dirty = dirty;
+        this.fitCamera();
+    }
+
+    close() {
+        this.active = false;
+        this.drag = null;
+        this.canvas.style.touchAction = '';
+
+        // Races expect the normal follow camera
+        this.graphics.setCameraMode('follow');
+        this.graphics.centerCamera(this.track.startLine.x, this.track.startLine.y, 1);
+    }
+
+    // Show the whole map
+    fitCamera() {
+        const { width, height } = this.track.size;
+        const zoom = Math.min(this.graphics.width / width, this.graphics.height / height) * 0.95;
+        this.graphics.centerCamera(width / 2, height / 2, zoom);
+    }
+
+    // The edited track file, ready to save or export
+    getDefinition() {
+        return JSON.parse(JSON.stringify(this.definition));
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.pendingZone = null;
+        this.select(null);
+    }
+
+    // Paint colour for new zones; also repaints the selected zone
+    setSurfaceType(type) {
+        this.surfaceType = type;
+
+        if (this.pendingZone) {
+            this.pendingZone.type = type;
+        }
+        if (this.selection && this.selection.kind === 'zone') {
+            this.definition.surfaces[this.selection.index].type = type;
+            this.changed();
+        }
+    }
+
+    // Name, author and recommended laps
+    setInfo(info) {
+        Object.assign(this.definition, info);
+        this.changed();
+    }
+
+    // Width at the selected control point, or the track's default width
+    getWidth() {
+        const point = this.getSelectedPoint();
+        return point && point.width !== undefined ? point.width : this.definition.width || 80;
+    }
+
+    setWidth(width) {
+        const point = this.getSelectedPoint();
+        if (point) {
+            point.width = width;
+        } else {
+            this.definition.width = width;
+        }
+        this.changed();
+    }
+
+    getSelectedPoint() {
+        return this.selection && this.selection.kind === 'point'
+            ? this.definition.centerline[this.selection.index]
+            : null;
+    }
+
+    select(selection) {
+        this.selection = selection;
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    deleteSelection() {
+        if (!this.selection) return;
+
+        const { kind, index } = this.selection;
+        switch (kind) {
+            case 'point':
+                // A loop needs at least 3 points
+                if (this.definition.centerline.length <= 3) return;
+                this.definition.centerline.splice(index, 1);
+                break;
+            case 'zone':
+                this.definition.surfaces.splice(index, 1);
+                break;
+            case 'gate':
+                this.definition.checkpoints.splice(index, 1);
+
+                // Without gates the track goes back to evenly spaced checkpoints
+                if (this.definition.checkpoints.length === 0) {
+                    delete this.definition.checkpoints;
+                }
+                break;
+        }
+
+        this.selection = null;
+        this.changed();
+    }
+
+    // Close the zone being painted (needs 3 corners)
+    finishZone() {
+        const zone = this.pendingZone;
+        this.pendingZone = null;
+
+        if (!zone || zone.polygon.length < 3) {
+            this.select(null);
+            return;
+        }
+
+        this.definition.surfaces.push(zone);
+        this.selection = { kind: 'zone', index: this.definition.surfaces.length - 1 };
+        this.changed();
+    }
+
+    // Rebuild after an edit. While dragging (final = false) the drivability
+    // check waits for the drop.
+    changed(final = true) {
+        this.dirty = true;
+
+        try {
+            this.track = TrackBuilder.build(this.definition);
+            this.graphics.track = this.track;
+        } catch (error) {
+            console.warn('⚠️ Track rebuild failed:', error.message);
+        }
+
+        if (final) {
+            this.problems = TrackBuilder.checkDrivable(this.definition);
+        }
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // Pointer handling (screen positions are canvas pixels)
+    pointerDown(screen, panning) {
+        const world = this.graphics.screenToWorld(screen.x, screen.y);
+        this.pointer = world;
+
+        if (panning) {
+            this.drag = { kind: 'pan', last: screen };
+            return;
+        }
+
+        switch (this.tool) {
+            case 'points': {
+                let index = this.findHandle(this.definition.centerline, world);
+                if (index === -1) {
+                    index = this.insertPoint(world);
+                }
+                this.select({ kind: 'point', index });
+                this.drag = { kind: 'point', index };
+                break;
+            }
+            case 'surface':
+                this.surfacePointerDown(world);
+                break;
+            case 'checkpoint': {
+                const hit = this.findGateEnd(world);
+                if (hit) {
+                    this.select({ kind: 'gate', index: hit.index });
+                    this.drag = { kind: 'gateEnd', ...hit };
+                } else {
+                    this.select(null);
+                    this.drag = { kind: 'newGate', a: world, b: world };
+                }
+                break;
+            }
+            case 'start':
+                this.placeStart(world);
+                this.drag = { kind: 'start' };
+                break;
+        }
+    }
+
+    surfacePointerDown(world) {
+        const zone = this.pendingZone;
+        if (zone) {
+            if (zone.polygon.length >= 3 && this.isNear(zone.polygon[0], world)) {
+                this.finishZone();
+            } else {
+                zone.polygon.push(this.roundPoint(world));
+            }
+            return;
+        }
+
+        // Grab a corner of an existing zone, or start a new one
+        for (let index = this.definition.surfaces.length - 1; index >= 0; index--) {
+            const vertex = this.findHandle(this.getZoneHandles(this.definition.surfaces[index]), world);
+            if (vertex !== -1) {
+                this.surfaceType = this.definition.surfaces[index].type;
+                this.select({ kind: 'zone', index });
+                this.drag = { kind: 'zoneVertex', index, vertex };
+                return;
+            }
+        }
+
+        this.pendingZone = { type: this.surfaceType, polygon: [this.roundPoint(world)] };
+        this.select(null);
+    }
+
+    pointerMove(screen) {
+        const world = this.graphics.screenToWorld(screen.x, screen.y);
+        this.pointer = world;
+
+        const drag = this.drag;
+        if (!drag) return;
+
+        switch (drag.kind) {
+            case 'pan': {
+                const camera = this.graphics.camera;
+                camera.x = camera.targetX = camera.x - (screen.x - drag.last.x) / camera.zoom;
+                camera.y = camera.targetY = camera.y - (screen.y - drag.last.y) / camera.zoom;
+                drag.last = screen;
+                break;
+            }
+            case 'point':
+                Object.assign(this.definition.centerline[drag.index], this.roundPoint(world));
+                this.changed(false);
+                break;
+            case 'zoneVertex':
+                Object.assign(this.getZoneHandles(this.definition.surfaces[drag.index])[drag.vertex], this.roundPoint(world));
+                this.changed(false);
+                break;
+            case 'gateEnd':
+                Object.assign(this.definition.checkpoints[drag.index][drag.end], this.roundPoint(world));
+                this.changed(false);
+                break;
+            case 'newGate':
+                drag.b = world;
+                break;
+            case 'start':
+                this.placeStart(world);
+                break;
+        }
+    }
+
+    pointerUp() {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag) return;
+
+        switch (drag.kind) {
+            case 'newGate':
+                if (Utils.distance(drag.a.x, drag.a.y, drag.b.x, drag.b.y) >= TrackEditor.MIN_GATE_LENGTH) {
+                    this.addGate(drag.a, drag.b);
+                }
+                break;
+            case 'gateEnd':
+            case 'start':
+                this.sortCheckpoints();
+                this.changed();
+                break;
+            case 'point':
+            case 'zoneVertex':
+                this.changed();
+                break;
+        }
+    }
+
+    // Add a control point to the closest stretch between two control points
+    insertPoint(world) {
+        const centerline = this.definition.centerline;
+        let closest = 0;
+        let closestDistance = Infinity;
+
+        centerline.forEach((point, i) => {
+            const next = centerline[(i + 1) % centerline.length];
+            const distance = this.distanceToSegment(world, point, next);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = i;
+            }
+        });
+
+        centerline.splice(closest + 1, 0, this.roundPoint(world));
+        this.changed(false);
+        return closest + 1;
+    }
+
+    addGate(a, b) {
+        this.useManualCheckpoints();
+
+        const gate = { a: this.roundPoint(a), b: this.roundPoint(b) };
+        this.definition.checkpoints.push(gate);
+        this.sortCheckpoints();
+
+        this.selection = { kind: 'gate', index: this.definition.checkpoints.indexOf(gate) };
+        this.changed();
+    }
+
+    // Tracks with evenly spaced checkpoints get them written out as gates
+    // the first time one is edited
+    useManualCheckpoints() {
+        if (this.definition.checkpoints) return;
+
+        this.definition.checkpoints = this.track.checkpoints.map(checkpoint => ({
+            a: this.roundPoint(checkpoint.gate.a),
+            b: this.roundPoint(checkpoint.gate.b)
+        }));
+        delete this.definition.checkpointCount;
+    }
+
+    // Keep gates in driving order from the start line
+    sortCheckpoints() {
+        const gates = this.definition.checkpoints;
+        if (!gates) return;
+
+        const path = this.track.path;
+        const startIndex = TrackBuilder.findClosestPoint(path, this.track.startLine.x, this.track.startLine.y);
+        const progress = (gate) => {
+            const index = TrackBuilder.findClosestPoint(path, (gate.a.x + gate.b.x) / 2, (gate.a.y + gate.b.y) / 2);
+            return (index - startIndex + path.length) % path.length;
+        };
+
+        const selected = this.selection && this.selection.kind === 'gate' ? gates[this.selection.index] : null;
+        gates.sort((g1, g2) => progress(g1) - progress(g2));
+        if (selected) {
+            this.selection.index = gates.indexOf(selected);
+        }
+    }
+
+    // The start line snaps to the centreline and faces the driving direction
+    placeStart(world) {
+        const point = this.track.path[TrackBuilder.findClosestPoint(this.track.path, world.x, world.y)];
+        const start = { ...this.definition.start, ...this.roundPoint(point) };
+        delete start.angle;
+
+        this.definition.start = start;
+        this.changed(false);
+    }
+
+    // Hit testing - handles are a fixed size on screen
+    isNear(point, world) {
+        const radius = TrackEditor.HANDLE_RADIUS * 1.5 / this.graphics.camera.zoom;
+        return Utils.distance(point.x, point.y, world.x, world.y) <= radius;
+    }
+
+    findHandle(points, world) {
+        return points.findIndex(point => this.isNear(point, world));
+    }
+
+    // Polygon zones are edited by their corners, painted patches by their centre
+    getZoneHandles(zone) {
+        return zone.polygon || [zone];
+    }
+
+    findGateEnd(world) {
+        const checkpoints = this.track.checkpoints;
+        for (let index = 0; index < checkpoints.length; index++) {
+            for (const end of ['a', 'b']) {
+                if (this.isNear(checkpoints[index].gate[end], world)) {
+                    this.useManualCheckpoints();
+                    return { index, end };
+                }
+            }
+        }
+        return null;
+    }
+
+    distanceToSegment(point, a, b) {
+        const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        const t = lengthSquared > 0
+            ? Utils.clamp(((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / lengthSquared, 0, 1)
+            : 0;
+        return Utils.distance(point.x, point.y, a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+    }
+
+    // Track files keep whole-pixel coordinates
+    roundPoint(point) {
+        return { x: Math.round(point.x), y: Math.round(point.y) };
+    }
+
+    // Rendering: the track through GraphicsEngine, then the handles
+    render() {
+        if (!this.track) return;
+
+        this.graphics.render({ karts: [], checkpoints: null, effects: [] });
+
+        const ctx = this.graphics.ctx;
+        const camera = this.graphics.camera;
+        const pixel = 1 / camera.zoom; // One screen pixel in world units
+
+        ctx.save();
+        ctx.scale(camera.zoom, camera.zoom);
+        ctx.translate(-camera.x, -camera.y);
+
+        // Map edge
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 2 * pixel;
+        ctx.setLineDash([12 * pixel, 8 * pixel]);
+        ctx.strokeRect(0, 0, this.track.size.width, this.track.size.height);
+        ctx.setLineDash([]);
+
+        this.renderGates(ctx, pixel);
+        this.renderStartArrow(ctx, pixel);
+
+        if (this.tool === 'surface') {
+            this.renderZoneHandles(ctx, pixel);
+        }
+        this.renderControlPoints(ctx, pixel);
+        this.renderProblems(ctx, pixel);
+
+        ctx.restore();
+    }
+
+    renderGates(ctx, pixel) {
+        ctx.lineWidth = 3 * pixel;
+        ctx.font = `bold ${12 * pixel}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.track.checkpoints.forEach((checkpoint, index) => {
+            const { a, b } = checkpoint.gate;
+            const selected = this.selection && this.selection.kind === 'gate' && this.selection.index === index;
+
+            ctx.strokeStyle = selected ? '#ffdd00' : 'rgba(255, 221, 0, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+
+            if (this.tool === 'checkpoint') {
+                this.renderHandle(ctx, a, pixel, selected);
+                this.renderHandle(ctx, b, pixel, selected);
+            }
+
+            ctx.fillStyle = '#ffdd00';
+            ctx.fillText(String(index + 1), checkpoint.x, checkpoint.y - 10 * pixel);
+        });
+
+        // Gate being drawn
+        if (this.drag && this.drag.kind === 'newGate') {
+            const { a, b } = this.drag;
+            ctx.strokeStyle = '#ffdd00';
+            ctx.setLineDash([6 * pixel, 4 * pixel]);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
+    // Arrow from the start line in the driving direction
+    renderStartArrow(ctx, pixel) {
+        const { x, y, angle } = this.track.startLine;
+        const length = 60 * pixel;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 3 * pixel;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(length, 0);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(length + 8 * pixel, 0);
+        ctx.lineTo(length - 4 * pixel, -7 * pixel);
+        ctx.lineTo(length - 4 * pixel, 7 * pixel);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    renderControlPoints(ctx, pixel) {
+        const centerline = this.definition.centerline;
+
+        // Control polygon
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = pixel;
+        ctx.beginPath();
+        centerline.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+        ctx.stroke();
+
+        if (this.tool !== 'points') return;
+
+        centerline.forEach((point, index) => {
+            const selected = this.selection && this.selection.kind === 'point' && this.selection.index === index;
+            this.renderHandle(ctx, point, pixel, selected);
+        });
+    }
+
+    renderZoneHandles(ctx, pixel) {
+        this.definition.surfaces.forEach((zone, index) => {
+            const selected = this.selection && this.selection.kind === 'zone' && this.selection.index === index;
+            this.getZoneHandles(zone).forEach(point => this.renderHandle(ctx, point, pixel, selected));
+        });
+
+        // Zone being painted, with a rubber band to the pointer
+        const zone = this.pendingZone;
+        if (!zone) return;
+
+        ctx.fillStyle = this.graphics.colors.surfaces[zone.type];
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2 * pixel;
+        ctx.globalAlpha = 0.7;
+        ctx.beginPath();
+        zone.polygon.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+        if (this.pointer) {
+            ctx.lineTo(this.pointer.x, this.pointer.y);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+
+        zone.polygon.forEach((point, i) => this.renderHandle(ctx, point, pixel, i === 0));
+    }
+
+    renderHandle(ctx, point, pixel, selected) {
+        ctx.fillStyle = selected ? '#ffdd00' : '#ffffff';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2 * pixel;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, TrackEditor.HANDLE_RADIUS * pixel, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Rings around the places checkDrivable complained about
+    renderProblems(ctx, pixel) {
+        ctx.strokeStyle = '#ff3333';
+        ctx.lineWidth = 3 * pixel;
+
+        for (const problem of this.problems) {
+            if (!Number.isFinite(problem.x)) continue;
+
+            ctx.beginPath();
+            ctx.arc(problem.x, problem.y, 20 * pixel, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+}
+
+TrackEditor.STORAGE_KEY = 'customTracks';
+TrackEditor.HANDLE_RADIUS = 7;     // Screen pixels
+TrackEditor.MIN_GATE_LENGTH = 20;  // Shorter drags don't make a gate
+
+// How to use each tool, shown under the toolbar
+TrackEditor.TOOL_HINTS = {
+    points: 'Click to add a point, drag to move it, Delete removes the selected point. Right-drag pans, scroll zooms.',
+    surface: 'Click to place the corners of a zone; click the first corner (or press Enter) to finish. Drag corners to reshape.',
+    checkpoint: 'Drag across the track to add a gate; drag gate ends to move them. Gates are kept in driving order.',
+    start: 'Click the track to move the start line. Karts drive the way the arrow points.',
+    pan: 'Drag to move around, scroll to zoom.'
+};
+
+// Global track editor
+window.TrackEditor = TrackEditor;
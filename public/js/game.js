@@ -16,26 +16,50 @@ class Game {
         // Game data
         this.karts = [];
         this.playerKart = null;
+        this.spectateTargetId = null; // Kart followed by the spectator camera
         this.trackData = null;
+        
+        // Replays: the race being recorded, the last finished recording, and playback
+        this.replayRecorder = new ReplayRecorder();
+        this.lastReplay = null;
+        this.replayPlayer = null;
+        this.replayTargetIndex = 0;
+        this.replayReturnState = 'menu';
+        this.replayScrubbing = false;
+        
+        // Time trial: the lap being traced, and the ghost of the best lap on the track
+        this.ghostRecorder = new ReplayRecorder();
+        this.ghostPlayer = null;
+        this.ghostDeltaTimer = null;
+        
+        // Track editor, and whether the current race is a test drive from it
+        this.editor = null;
+        this.editorTestDrive = false;
+        this.generatedTrack = null; // Track file shown in the generator preview
         this.raceConfig = {
             laps: 3,
             maxPlayers: 4,
             difficulty: 'medium',
-            gameMode: 'singleplayer' // 'singleplayer' or 'multiplayer'
+            track: TrackBuilder.DEFAULT_TRACK,
+            gameMode: 'singleplayer' // 'singleplayer', 'timetrial' or 'multiplayer'
         };
         
         // Game timing
         this.lastTime = 0;
         this.deltaTime = 0;
         this.gameTime = 0;
+        this.accumulator = 0; // Frame time not yet simulated (s), under one step
+        this.raceSeed = 0;    // Seeds the physics, AI and particles for the race
         
         // Race state
         this.raceState = {
             started: false,
             finished: false,
             countdown: 0,
+            startAt: null,
             leaderboard: [],
-            raceStartTime: 0
+            raceStartTime: 0,
+            firstFinishTime: null
         };
         
         // UI elements
@@ -106,6 +130,11 @@ class Game {
     }
 
     async initializeSystems() {
+        // Track files come first - the graphics engine builds the default track
+        await TrackBuilder.loadBundledTracks();
+        TrackEditor.loadSavedTracks();
+        console.log(`✅ ${TrackBuilder.getTrackList().length} tracks loaded`);
+        
         const systemsStatus = {
             input: false,
             graphics: false,
@@ -175,6 +204,15 @@ class Game {
             this.multiplayer = this.createFallbackMultiplayerManager();
         }
         
+        // Lap records (stored by the game server)
+        this.leaderboard = new LeaderboardClient();
+        
+        // Penalties (handed out by the server in server-simulated races)
+        this.director = new RaceDirector(this.physics);
+        
+        // Track editor (draws on the game canvas)
+        this.editor = new TrackEditor(this.graphics, this.canvas);
+        
         // Log system status
         const successCount = Object.values(systemsStatus).filter(Boolean).length;
         console.log(`🎮 Game systems: ${successCount}/6 initialized successfully`);
@@ -190,7 +228,7 @@ class Game {
         try {
             this.trackData = this.graphics.track || this.createFallbackTrackData();
             this.physics.initialize(this.trackData);
-            this.ai.initialize(this.trackData);
+            this.ai.initialize(this.trackData, { grid: this.physics.grid });
         } catch (error) {
             console.error('❌ Track initialization failed:', error);
             this.trackData = this.createFallbackTrackData();
@@ -227,13 +265,17 @@ class Game {
         this.uiElements = {
             loadingScreen: document.getElementById('loadingScreen'),
             mainMenu: document.getElementById('mainMenu'),
+            trackSelectScreen: document.getElementById('trackSelectScreen'),
             gameModeScreen: document.getElementById('gameModeScreen'),
+            roomBrowser: document.getElementById('roomBrowser'),
             multiplayerLobby: document.getElementById('multiplayerLobby'),
             settingsScreen: document.getElementById('settingsScreen'),
             instructionsScreen: document.getElementById('instructionsScreen'),
             gameUI: document.getElementById('gameUI'),
             resultsScreen: document.getElementById('resultsScreen'),
-            pauseMenu: document.getElementById('pauseMenu')
+            pauseMenu: document.getElementById('pauseMenu'),
+            replayUI: document.getElementById('replayUI'),
+            editorUI: document.getElementById('editorUI')
         };
         
         // Setup menu event handlers
@@ -247,6 +289,18 @@ class Game {
         
         // Setup settings handlers
         this.setupSettingsHandlers();
+        
+        // Setup multiplayer room settings
+        this.setupRoomSettingsHandlers();
+        
+        // Setup replay viewer
+        this.setupReplayHandlers();
+        
+        // Setup track editor toolbar
+        this.setupEditorHandlers();
+        
+        // Setup procedural track generator (track select screen)
+        this.setupGeneratorHandlers();
     }
 
     setupMenuHandlers() {
@@ -268,7 +322,7 @@ class Game {
         // Main menu buttons
         addButtonEvents('singlePlayerBtn', () => {
             this.audio.playMenuClick();
-            this.showGameModeSelection();
+            this.showTrackSelect();
         });
         
         addButtonEvents('multiPlayerBtn', () => {
@@ -280,7 +334,7 @@ class Game {
                 return;
             }
             
-            this.startMultiplayer();
+            this.showRoomBrowser();
         });
         
         addButtonEvents('settingsBtn', () => {
@@ -293,6 +347,11 @@ class Game {
             this.showInstructions();
         });
         
+        addButtonEvents('trackEditorBtn', () => {
+            this.audio.playMenuClick();
+            this.openTrackEditor();
+        });
+        
         // Game mode selection
         addButtonEvents('easyModeBtn', () => {
             this.audio.playMenuClick();
@@ -309,7 +368,17 @@ class Game {
             this.startSinglePlayer('hard');
         });
         
+        addButtonEvents('timeTrialBtn', () => {
+            this.audio.playMenuClick();
+            this.startTimeTrial();
+        });
+        
         addButtonEvents('backToMenuBtn', () => {
+            this.audio.playMenuClick();
+            this.showTrackSelect();
+        });
+        
+        addButtonEvents('backFromTrackSelectBtn', () => {
             this.audio.playMenuClick();
             this.showMainMenu();
         });
@@ -331,7 +400,65 @@ class Game {
         // Results screen
         addButtonEvents('raceAgainBtn', () => {
             this.audio.playMenuClick();
-            this.restartRace();
+            if (this.raceConfig.gameMode === 'multiplayer' && this.multiplayer.getRoomCode()) {
+                this.showMultiplayerLobby();
+            } else {
+                this.restartRace();
+            }
+        });
+        
+        // Room browser
+        addButtonEvents('quickMatchBtn', () => {
+            this.audio.playMenuClick();
+            this.startMultiplayer(() => this.multiplayer.quickMatch().then(room => room.roomCode));
+        });
+        
+        addButtonEvents('createRoomBtn', () => {
+            this.audio.playMenuClick();
+            const isPublic = document.getElementById('publicRoomToggle').checked;
+            this.startMultiplayer(() => this.multiplayer.createRoom({ isPublic }));
+        });
+        
+        addButtonEvents('joinByCodeBtn', () => {
+            this.audio.playMenuClick();
+            const roomCode = document.getElementById('roomCodeInput').value.trim().toUpperCase();
+            if (!Protocol.validate(Protocol.ClientMessages.JOIN_ROOM, { roomCode }).valid) {
+                alert('Room codes are 4 letters or digits');
+                return;
+            }
+            this.joinMultiplayerRoom(roomCode);
+        });
+        
+        addButtonEvents('refreshRoomsBtn', () => {
+            this.audio.playMenuClick();
+            this.refreshRoomList();
+        });
+        
+        addButtonEvents('backFromBrowserBtn', () => {
+            this.audio.playMenuClick();
+            this.showMainMenu();
+        });
+        
+        // Multiplayer lobby
+        addButtonEvents('startRaceBtn', () => {
+            this.audio.playMenuClick();
+            this.multiplayer.startRace();
+        });
+        
+        addButtonEvents('takeSlotBtn', async () => {
+            this.audio.playMenuClick();
+            try {
+                await this.multiplayer.takeRacerSlot();
+                this.updateLobbyUI();
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+        
+        addButtonEvents('leaveRoomBtn', () => {
+            this.audio.playMenuClick();
+            this.multiplayer.leaveRoom();
+            this.showRoomBrowser();
         });
     }
 
@@ -368,6 +495,15 @@ class Game {
             this.quitToMenu();
         });
         
+        // Spectator camera
+        addButtonEvents('spectateNextBtn', () => {
+            this.cycleSpectatorTarget();
+        });
+        
+        addButtonEvents('spectateCameraBtn', () => {
+            this.toggleSpectatorCamera();
+        });
+        
         // Keyboard pause
         document.addEventListener('keydown', (e) => {
             if (e.code === 'Escape' && this.state === 'playing') {
@@ -382,6 +518,7 @@ class Game {
         const musicSlider = document.getElementById('musicVolume');
         const tiltSlider = document.getElementById('tiltSensitivity');
         const graphicsSelect = document.getElementById('graphicsQuality');
+        const kartSelect = document.getElementById('kartType');
         
         if (sfxSlider) {
             sfxSlider.addEventListener('input', (e) => {
@@ -412,6 +549,298 @@ class Game {
                 this.graphics.setGraphicsQuality(e.target.value);
             });
         }
+        
+        if (kartSelect) {
+            kartSelect.addEventListener('change', (e) => {
+                this.multiplayer.setKartType(e.target.value);
+            });
+        }
+    }
+
+    setupReplayHandlers() {
+        // Helper function to add both click and touch events to buttons
+        const addButtonEvents = (buttonId, handler) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+                button.addEventListener('touchstart', (e) => {
+                    e.preventDefault(); // Prevent ghost clicks
+                    handler(e);
+                }, { passive: false });
+            }
+        };
+        
+        // Load a saved replay from the main menu
+        const fileInput = document.getElementById('replayFileInput');
+        addButtonEvents('loadReplayBtn', () => {
+            this.audio.playMenuClick();
+            fileInput.value = '';
+            fileInput.click();
+        });
+        
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.loadReplayFile(fileInput.files[0]);
+            }
+        });
+        
+        // Results screen
+        addButtonEvents('watchReplayBtn', () => {
+            this.audio.playMenuClick();
+            this.watchReplay(this.lastReplay, 'results');
+        });
+        
+        addButtonEvents('saveReplayBtn', () => {
+            this.audio.playMenuClick();
+            this.saveReplay(this.lastReplay);
+        });
+        
+        // Playback controls
+        addButtonEvents('replayPlayBtn', () => {
+            this.replayPlayer.togglePlay();
+        });
+        
+        addButtonEvents('replaySpeedBtn', () => {
+            const speeds = Game.REPLAY_SPEEDS;
+            const index = speeds.indexOf(this.replayPlayer.speed);
+            this.replayPlayer.setSpeed(speeds[(index + 1) % speeds.length]);
+        });
+        
+        addButtonEvents('replayCameraBtn', () => {
+            this.toggleReplayCamera();
+        });
+        
+        addButtonEvents('replayExitBtn', () => {
+            this.exitReplay();
+        });
+        
+        // Timeline scrubbing - the slider stops following playback while dragged
+        const timeline = document.getElementById('replayTimeline');
+        timeline.addEventListener('pointerdown', () => {
+            this.replayScrubbing = true;
+        });
+        timeline.addEventListener('pointerup', () => {
+            this.replayScrubbing = false;
+        });
+        timeline.addEventListener('input', () => {
+            this.replayPlayer.seek(parseFloat(timeline.value));
+        });
+        
+        document.getElementById('replayKartSelect').addEventListener('change', (e) => {
+            this.setReplayTarget(parseInt(e.target.value, 10));
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Space' && this.state === 'replay') {
+                e.preventDefault();
+                this.replayPlayer.togglePlay();
+            }
+        });
+        
+        // Time trial ghosts (game mode screen)
+        const ghostInput = document.getElementById('ghostFileInput');
+        addButtonEvents('exportGhostBtn', () => {
+            this.audio.playMenuClick();
+            this.exportGhost(this.raceConfig.track);
+        });
+        
+        addButtonEvents('importGhostBtn', () => {
+            this.audio.playMenuClick();
+            ghostInput.value = '';
+            ghostInput.click();
+        });
+        
+        ghostInput.addEventListener('change', () => {
+            if (ghostInput.files.length > 0) {
+                this.importGhostFile(ghostInput.files[0]);
+            }
+        });
+    }
+
+    setupEditorHandlers() {
+        // Helper function to add both click and touch events to buttons
+        const addButtonEvents = (buttonId, handler) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+                button.addEventListener('touchstart', (e) => {
+                    e.preventDefault(); // Prevent ghost clicks
+                    handler(e);
+                }, { passive: false });
+            }
+        };
+        
+        this.editor.onChange = () => this.updateEditorUI();
+        
+        // Tools
+        document.querySelectorAll('#editorUI [data-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.editor.setTool(button.dataset.tool);
+            });
+        });
+        
+        const surfaceSelect = document.getElementById('editorSurfaceType');
+        for (const type of TrackBuilder.SURFACES) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+            surfaceSelect.appendChild(option);
+        }
+        surfaceSelect.addEventListener('change', () => {
+            this.editor.setSurfaceType(surfaceSelect.value);
+        });
+        
+        document.getElementById('editorWidth').addEventListener('input', (e) => {
+            this.editor.setWidth(parseInt(e.target.value, 10));
+        });
+        
+        addButtonEvents('editorDeleteBtn', () => {
+            this.editor.deleteSelection();
+        });
+        
+        // Track details
+        document.getElementById('editorName').addEventListener('change', (e) => {
+            this.editor.setInfo({ name: e.target.value.trim() || 'Untitled Track' });
+        });
+        
+        document.getElementById('editorLaps').addEventListener('change', (e) => {
+            const laps = Utils.clamp(parseInt(e.target.value, 10) || 3, 1, 10);
+            this.editor.setInfo({ laps });
+        });
+        
+        // Files
+        document.getElementById('editorOpenSelect').addEventListener('change', (e) => {
+            if (e.target.value && this.confirmDiscardEdits()) {
+                this.editTrack(e.target.value);
+            }
+            e.target.value = '';
+        });
+        
+        addButtonEvents('editorNewBtn', () => {
+            if (this.confirmDiscardEdits()) {
+                this.editor.open(TrackEditor.createBlankTrack());
+                this.updateEditorUI(true);
+            }
+        });
+        
+        const trackInput = document.getElementById('trackFileInput');
+        addButtonEvents('editorImportBtn', () => {
+            trackInput.value = '';
+            trackInput.click();
+        });
+        
+        trackInput.addEventListener('change', () => {
+            if (trackInput.files.length > 0 && this.confirmDiscardEdits()) {
+                this.importTrackFile(trackInput.files[0]);
+            }
+        });
+        
+        addButtonEvents('editorSaveBtn', () => {
+            this.saveEditorTrack();
+        });
+        
+        addButtonEvents('editorExportBtn', () => {
+            this.exportEditorTrack();
+        });
+        
+        addButtonEvents('editorTestBtn', () => {
+            this.testDriveTrack();
+        });
+        
+        addButtonEvents('editorExitBtn', () => {
+            if (this.confirmDiscardEdits()) {
+                this.audio.playMenuClick();
+                this.editor.close();
+                this.showMainMenu();
+            }
+        });
+    }
+
+    setupGeneratorHandlers() {
+        // Helper function to add both click and touch events to buttons
+        const addButtonEvents = (buttonId, handler) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+                button.addEventListener('touchstart', (e) => {
+                    e.preventDefault(); // Prevent ghost clicks
+                    handler(e);
+                }, { passive: false });
+            }
+        };
+        
+        // Any change regenerates the preview
+        const update = () => this.updateGeneratorPreview();
+        document.getElementById('generatorSeed').addEventListener('change', update);
+        document.getElementById('generatorLength').addEventListener('change', update);
+        document.getElementById('generatorCorners').addEventListener('input', update);
+        document.getElementById('generatorSharpness').addEventListener('input', update);
+        
+        addButtonEvents('generatorRandomBtn', () => {
+            this.audio.playMenuClick();
+            document.getElementById('generatorSeed').value = '';
+            this.updateGeneratorPreview();
+        });
+        
+        addButtonEvents('generatorRaceBtn', () => {
+            this.audio.playMenuClick();
+            this.useGeneratedTrack(this.generatedTrack);
+            this.showGameModeSelection();
+        });
+        
+        addButtonEvents('generatorEditBtn', () => {
+            this.audio.playMenuClick();
+            if (!this.confirmDiscardEdits()) return;
+            
+            const definition = JSON.parse(JSON.stringify(this.generatedTrack));
+            definition.id = TrackEditor.createTrackId();
+            this.editor.open(definition);
+            this.updateEditorUI(true);
+            this.setState('editor');
+        });
+        
+        // Everyone gets the same track each day - a time trial on it
+        addButtonEvents('dailyChallengeBtn', () => {
+            this.audio.playMenuClick();
+            this.useGeneratedTrack(TrackGenerator.generateDaily());
+            this.startTimeTrial();
+        });
+    }
+
+    // Lobby controls for the room settings (only the host's are enabled)
+    setupRoomSettingsHandlers() {
+        const fillSelect = (id, options) => {
+            const select = document.getElementById(id);
+            for (const { value, label } of options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+        };
+        
+        const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+        fillSelect('roomLaps', range(1, 10).map(laps => ({ value: laps, label: laps })));
+        fillSelect('roomMaxPlayers', range(2, 8).map(count => ({ value: count, label: count })));
+        // Custom tracks only exist in this browser, so they can't be raced online
+        fillSelect('roomTrack', TrackBuilder.getTrackList().filter(track => !track.custom).map(track => ({ value: track.id, label: track.name })));
+        fillSelect('roomBotDifficulty', ['easy', 'medium', 'hard'].map(level => ({
+            value: level,
+            label: level.charAt(0).toUpperCase() + level.slice(1)
+        })));
+        
+        const bindSetting = (id, readValue) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.multiplayer.updateRoomSettings(readValue(e.target));
+            });
+        };
+        
+        bindSetting('roomLaps', (el) => ({ laps: parseInt(el.value, 10) }));
+        bindSetting('roomMaxPlayers', (el) => ({ maxPlayers: parseInt(el.value, 10) }));
+        bindSetting('roomTrack', (el) => ({ track: el.value }));
+        bindSetting('roomCollisions', (el) => ({ collisions: el.checked }));
+        bindSetting('roomFillBots', (el) => ({ fillWithBots: el.checked }));
+        bindSetting('roomBotDifficulty', (el) => ({ botDifficulty: el.value }));
     }
 
     // Update multiplayer button state based on availability
@@ -452,7 +881,7 @@ class Game {
         
         // Explicitly hide the canvas for menu states
         if (this.canvas) {
-            if (['menu', 'gameMode', 'settings', 'instructions', 'multiplayerLobby', 'results'].includes(newState)) {
+            if (['menu', 'trackSelect', 'gameMode', 'settings', 'instructions', 'roomBrowser', 'multiplayerLobby', 'results'].includes(newState)) {
                 this.canvas.classList.add('hidden');
                 this.canvas.style.display = 'none';
             }
@@ -469,9 +898,15 @@ class Game {
                     this.audio.playMusic('menu', { fadeIn: 1 });
                 }
                 break;
+            case 'trackSelect':
+                this.showScreen('trackSelectScreen');
+                break;
             case 'gameMode':
                 this.showScreen('gameModeScreen');
                 break;
+            case 'roomBrowser':
+                this.showScreen('roomBrowser');
+                break;
             case 'multiplayerLobby':
                 this.showScreen('multiplayerLobby');
                 break;
@@ -505,6 +940,22 @@ class Game {
             case 'paused':
                 this.showScreen('pauseMenu');
                 break;
+            case 'replay':
+                this.showScreen('replayUI');
+                if (this.canvas) {
+                    this.canvas.classList.remove('hidden');
+                    this.canvas.style.display = 'block';
+                    this.canvas.style.zIndex = '1';
+                }
+                break;
+            case 'editor':
+                this.showScreen('editorUI');
+                if (this.canvas) {
+                    this.canvas.classList.remove('hidden');
+                    this.canvas.style.display = 'block';
+                    this.canvas.style.zIndex = '1';
+                }
+                break;
             case 'results':
                 this.showScreen('resultsScreen');
                 if (this.audio && this.audio.playMusic) {
@@ -524,13 +975,13 @@ class Game {
             screen.style.display = 'flex'; // Force display
             screen.style.zIndex = '10'; // Ensure high z-index for menus
             
-            // Special handling for game UI
-            if (screenId === 'gameUI') {
+            // Special handling for the in-game overlays (game UI, replay controls, editor toolbar)
+            if (screenId === 'gameUI' || screenId === 'replayUI' || screenId === 'editorUI') {
                 screen.style.zIndex = '5'; // Lower z-index for game UI
                 screen.style.pointerEvents = 'none'; // Allow clicks to pass through
                 
                 // Re-enable pointer events for interactive elements
-                const interactiveElements = screen.querySelectorAll('button, .control-btn, .pause-btn');
+                const interactiveElements = screen.querySelectorAll('button, input, select, .control-btn, .pause-btn');
                 interactiveElements.forEach(el => {
                     el.style.pointerEvents = 'auto';
                 });
@@ -540,6 +991,13 @@ class Game {
 
     // Menu navigation
     showMainMenu() {
+        // Leaving a test drive goes back to the track editor
+        if (this.editorTestDrive) {
+            this.editorTestDrive = false;
+            this.resumeTrackEditor();
+            return;
+        }
+        
         this.setState('menu');
     }
 
@@ -547,6 +1005,67 @@ class Game {
         this.setState('gameMode');
     }
 
+    // Track picker for single player and time trial
+    showTrackSelect() {
+        const list = document.getElementById('trackList');
+        list.innerHTML = '';
+        
+        for (const info of TrackBuilder.getTrackList()) {
+            const card = document.createElement('button');
+            card.className = `track-card ${info.id === this.raceConfig.track ? 'selected' : ''}`;
+            
+            const preview = document.createElement('canvas');
+            preview.width = 160;
+            preview.height = 100;
+            this.graphics.renderTrackPreview(TrackBuilder.createTrack(info.id), preview);
+            
+            const name = document.createElement('div');
+            name.className = 'track-name';
+            name.textContent = info.name;
+            
+            const details = document.createElement('div');
+            details.className = 'track-details';
+            details.textContent = `${info.laps} laps${info.author ? ` · by ${info.author}` : ''}`;
+            
+            card.append(preview, name, details);
+            card.addEventListener('click', () => {
+                this.audio.playMenuClick();
+                this.raceConfig.track = info.id;
+                this.showGameModeSelection();
+            });
+            list.appendChild(card);
+        }
+        
+        this.updateGeneratorPreview();
+        this.setState('trackSelect');
+    }
+
+    // Generate a track from the generator controls (an empty seed picks a
+    // random one) and preview it
+    updateGeneratorPreview() {
+        const seedInput = document.getElementById('generatorSeed');
+        const corners = parseInt(document.getElementById('generatorCorners').value, 10);
+        const sharpness = parseInt(document.getElementById('generatorSharpness').value, 10);
+        
+        this.generatedTrack = TrackGenerator.generate({
+            seed: seedInput.value === '' ? undefined : Number(seedInput.value),
+            length: document.getElementById('generatorLength').value,
+            corners: corners,
+            sharpness: sharpness / 100
+        });
+        
+        seedInput.value = this.generatedTrack.generator.seed;
+        document.getElementById('generatorCornersText').textContent = corners;
+        document.getElementById('generatorSharpnessText').textContent = `${sharpness}%`;
+        this.graphics.renderTrackPreview(TrackBuilder.build(this.generatedTrack), document.getElementById('generatorPreview'));
+    }
+
+    // Generated tracks race like custom ones (single player only)
+    useGeneratedTrack(definition) {
+        TrackBuilder.register(definition, true);
+        this.raceConfig.track = definition.id;
+    }
+
     showSettings() {
         this.setState('settings');
         this.loadSettingsUI();
@@ -569,62 +1088,271 @@ class Game {
         document.getElementById('tiltSensitivityText').textContent = this.input.tiltSensitivity + 'x';
         
         document.getElementById('graphicsQuality').value = this.graphics.settings.quality;
+        document.getElementById('kartType').value = this.multiplayer.kartType;
     }
 
     // Game modes
     async startSinglePlayer(difficulty) {
         this.raceConfig.gameMode = 'singleplayer';
         this.raceConfig.difficulty = difficulty;
+        this.applyRaceSettings({ track: this.raceConfig.track });
+        
+        this.setState('playing');
+        await this.initializeRace();
+    }
+
+    // Solo laps against the ghost of the best lap on the track
+    async startTimeTrial() {
+        this.raceConfig.gameMode = 'timetrial';
+        this.applyRaceSettings({ track: this.raceConfig.track });
         
         this.setState('playing');
         await this.initializeRace();
     }
 
-    async startMultiplayer() {
+    showRoomBrowser() {
         this.raceConfig.gameMode = 'multiplayer';
-        this.setState('multiplayerLobby');
+        this.setState('roomBrowser');
+        this.refreshRoomList();
+    }
+
+    // Fill the room browser with the server's public rooms
+    async refreshRoomList() {
+        const roomList = document.getElementById('roomList');
+        roomList.textContent = 'Loading rooms...';
         
+        let rooms;
         try {
-            await this.multiplayer.connect();
-            const roomCode = await this.multiplayer.createRoom();
-            document.getElementById('roomCodeText').textContent = roomCode;
+            rooms = await this.multiplayer.fetchRooms();
         } catch (error) {
-            console.error('Failed to start multiplayer:', error);
-            alert('Failed to connect to multiplayer server');
-            this.showMainMenu();
+            console.error('Failed to load rooms:', error);
+            roomList.textContent = 'Could not load rooms';
+            return;
         }
-    }
-
-    // Race initialization
-    async initializeRace() {
-        console.log('Initializing race...');
-        
-        // Clear existing karts
-        this.karts = [];
         
-        // Create player kart
-        this.createPlayerKart();
-        
-        // Create AI bots (for single player)
-        if (this.raceConfig.gameMode === 'singleplayer') {
-            this.createAIBots();
+        roomList.textContent = '';
+        if (rooms.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'room-list-empty';
+            empty.textContent = 'No public rooms yet - start one!';
+            roomList.appendChild(empty);
+            return;
         }
         
-        // Initialize race state
-        this.raceState = {
-            started: false,
-            finished: false,
-            countdown: 3,
-            leaderboard: [],
-            raceStartTime: 0
+        for (const room of rooms) {
+            const entry = document.createElement('div');
+            entry.className = 'room-entry';
+            
+            const info = document.createElement('div');
+            const title = document.createElement('div');
+            title.textContent = `${room.hostName || 'Room'}'s room (${room.roomCode})`;
+            const details = document.createElement('div');
+            details.className = 'room-entry-details';
+            const track = TrackBuilder.isKnownTrack(room.track) ? TrackBuilder.TRACKS[room.track].name : room.track;
+            details.textContent = `${room.playerCount}/${room.maxPlayers} players · ${track} · ${room.laps} laps · ${room.gameState}`;
+            info.appendChild(title);
+            info.appendChild(details);
+            entry.appendChild(info);
+            
+            const joinBtn = document.createElement('button');
+            joinBtn.className = 'menu-btn primary';
+            joinBtn.textContent = 'Join';
+            joinBtn.disabled = room.gameState !== 'lobby' || room.playerCount >= room.maxPlayers;
+            joinBtn.addEventListener('click', () => {
+                this.audio.playMenuClick();
+                this.joinMultiplayerRoom(room.roomCode);
+            });
+            entry.appendChild(joinBtn);
+            
+            const watchBtn = document.createElement('button');
+            watchBtn.className = 'menu-btn secondary';
+            watchBtn.textContent = 'Watch';
+            watchBtn.disabled = room.spectatorCount >= room.maxSpectators;
+            watchBtn.addEventListener('click', () => {
+                this.audio.playMenuClick();
+                this.joinMultiplayerRoom(room.roomCode, { spectate: true });
+            });
+            entry.appendChild(watchBtn);
+            
+            roomList.appendChild(entry);
+        }
+    }
+
+    joinMultiplayerRoom(roomCode, options = {}) {
+        this.startMultiplayer(() => this.multiplayer.joinRoom(roomCode, options).then(room => room.roomCode));
+    }
+
+    showMultiplayerLobby() {
+        this.setState('multiplayerLobby');
+        this.updateLobbyUI();
+    }
+
+    // Room code and the buttons that depend on our role in the room
+    updateLobbyUI() {
+        const isHost = this.multiplayer.isRoomHost();
+        
+        document.getElementById('roomCodeText').textContent = this.multiplayer.getRoomCode() || '----';
+        document.getElementById('startRaceBtn').disabled = !isHost;
+        document.getElementById('takeSlotBtn').style.display = this.multiplayer.isSpectator ? '' : 'none';
+        
+        const settings = this.multiplayer.roomSettings;
+        if (settings) {
+            const controls = {
+                roomLaps: ['value', settings.laps],
+                roomMaxPlayers: ['value', settings.maxPlayers],
+                roomTrack: ['value', settings.track],
+                roomCollisions: ['checked', settings.collisions],
+                roomFillBots: ['checked', settings.fillWithBots],
+                roomBotDifficulty: ['value', settings.botDifficulty]
+            };
+            
+            for (const [id, [property, value]] of Object.entries(controls)) {
+                const control = document.getElementById(id);
+                control[property] = value;
+                control.disabled = !isHost;
+            }
+        }
+    }
+
+    // Connect and enter a room; enterRoom() creates or joins one and resolves with its code
+    async startMultiplayer(enterRoom = () => this.multiplayer.createRoom()) {
+        this.raceConfig.gameMode = 'multiplayer';
+        this.setState('multiplayerLobby');
+        
+        try {
+            await this.multiplayer.connect();
+            this.bindMultiplayerEvents();
+            await enterRoom();
+            this.updateLobbyUI();
+        } catch (error) {
+            console.error('Failed to start multiplayer:', error);
+            if (error.code === Protocol.ErrorCodes.VERSION_MISMATCH) {
+                alert(error.message);
+                this.showMainMenu();
+            } else {
+                // Room errors (full, not found, race in progress) come back from the server
+                alert(error.message || 'Failed to connect to multiplayer server');
+                this.showRoomBrowser();
+            }
+        }
+    }
+
+    // Listen for race events from the server (re-bound on every connect,
+    // since the multiplayer manager drops its handlers when disconnecting)
+    bindMultiplayerEvents() {
+        if (this.multiplayerHandlers) {
+            for (const [event, handler] of Object.entries(this.multiplayerHandlers)) {
+                this.multiplayer.off(event, handler);
+            }
+        }
+        
+        this.multiplayerHandlers = {
+            raceStarted: (data) => {
+                this.applyRaceSettings(data.settings);
+                this.setState('playing');
+                this.initializeRace(this.fromServerTime(data.startTime));
+            },
+            raceResumed: (data) => {
+                this.resumeMultiplayerRace(data);
+            },
+            lapCompleted: (data) => {
+                if (data.playerId === this.multiplayer.playerId) {
+                    this.audio.playLapComplete();
+                }
+                
+                const kart = this.karts.find(k => k.playerId === data.playerId);
+                if (kart) {
+                    this.replayRecorder.recordEvent(this.getRaceTime(), 'lap', kart, { lapCount: data.lapCount });
+                }
+            },
+            raceFinished: (data) => {
+                this.finishMultiplayerRace(data.results || []);
+            },
+            roomUpdated: () => {
+                if (this.state === 'multiplayerLobby') {
+                    this.updateLobbyUI();
+                }
+            },
+            roomClosed: (data) => {
+                this.cleanup();
+                alert(`Room closed: ${data.reason || 'the host left'}`);
+                this.showRoomBrowser();
+            }
+        };
+        
+        for (const [event, handler] of Object.entries(this.multiplayerHandlers)) {
+            this.multiplayer.on(event, handler);
+        }
+    }
+
+    // Laps, track and collisions for the next race (defaults for single player)
+    // Laps default to the track's recommended count
+    applyRaceSettings(settings = {}) {
+        this.raceConfig.track = settings.track || TrackBuilder.DEFAULT_TRACK;
+        this.raceConfig.maxPlayers = settings.maxPlayers || 4;
+        this.loadTrack(this.raceConfig.track, {
+            kartCollisions: settings.collisions
+        });
+        this.raceConfig.laps = settings.laps || this.trackData.laps;
+    }
+
+    loadTrack(trackId, physicsOptions = {}) {
+        this.useTrackData(TrackBuilder.createTrack(trackId), physicsOptions);
+    }
+
+    useTrackData(trackData, physicsOptions = {}) {
+        this.trackData = trackData;
+        this.graphics.track = this.trackData;
+        this.physics.initialize(this.trackData, physicsOptions);
+        this.ai.initialize(this.trackData, { grid: this.physics.grid });
+    }
+
+    // Race initialization (startAt: Utils.now() time of the start, defaults to a 3s countdown)
+    async initializeRace(startAt) {
+        console.log('Initializing race...');
+        
+        // Clear existing karts
+        this.karts = [];
+        this.playerKart = null;
+        this.director.reset();
+        
+        // Everything random in the race comes from this seed
+        this.raceSeed = Utils.randomSeed();
+        this.ai.reset(this.raceSeed);
+        
+        // Create player kart (spectators watch without one)
+        if (!this.isSpectating()) {
+            this.createPlayerKart();
+        }
+        this.setupSpectatorView();
+        
+        // Create AI bots (for single player)
+        if (this.raceConfig.gameMode === 'singleplayer') {
+            this.createAIBots();
+        }
+        
+        // Time trial: race the saved ghost (test drives start without one)
+        const useGhost = this.raceConfig.gameMode === 'timetrial' && !this.editorTestDrive;
+        this.setGhost(useGhost ? this.loadGhost(this.trackData.id) : null);
+        
+        // Initialize race state
+        this.raceState = {
+            started: false,
+            finished: false,
+            countdown: 3,
+            startAt: null,
+            leaderboard: [],
+            raceStartTime: 0,
+            firstFinishTime: null
         };
         
         // Start countdown
-        this.startCountdown();
+        this.startCountdown(startAt);
     }
 
     createPlayerKart() {
         const startPos = this.trackData.startLine;
+        const kartType = this.getPlayerKartType();
         
         this.playerKart = {
             id: 'player',
@@ -634,7 +1362,8 @@ class Game {
             y: startPos.y,
             rotation: startPos.angle,
             radius: 20,
-            physics: KartPhysics.createPreset('balanced'),
+            kartType: kartType,
+            physics: KartPhysics.createPreset(kartType),
             controls: { accelerate: 0, brake: 0, steer: 0 },
             isPlayer: true,
             color: '#667eea'
@@ -646,21 +1375,32 @@ class Game {
         this.audio.startEngineSound(this.playerKart);
     }
 
+    // The preset picked in Settings; in a room, the one our seat was given
+    // (the server simulates that one)
+    getPlayerKartType() {
+        if (this.raceConfig.gameMode === 'multiplayer') {
+            const seat = this.multiplayer.players[this.multiplayer.playerId];
+            return (seat && seat.kartType) || this.multiplayer.kartType;
+        }
+        
+        return this.multiplayer.kartType;
+    }
+
     createAIBots() {
         const botCount = 3;
         this.ai.createRace(this.raceConfig.difficulty, botCount);
         
         const botNames = ['Speed Demon', 'Corner King', 'Road Warrior'];
-        const startPos = this.trackData.startLine;
         
         for (let i = 0; i < botCount; i++) {
-            const offset = (i + 1) * 50;
+            const gridPosition = TrackBuilder.getGridPosition(this.trackData, i + 1);
             const bot = {
                 id: `bot_${i}`,
+                playerId: `bot_${i}`,
                 name: botNames[i],
-                x: startPos.x - Math.cos(startPos.angle) * offset,
-                y: startPos.y - Math.sin(startPos.angle) * offset,
-                rotation: startPos.angle,
+                x: gridPosition.x,
+                y: gridPosition.y,
+                rotation: gridPosition.rotation,
                 radius: 20,
                 physics: KartPhysics.createPreset(['speed', 'handling', 'balanced'][i]),
                 controls: { accelerate: 0, brake: 0, steer: 0 },
@@ -673,28 +1413,119 @@ class Game {
         }
     }
 
-    startCountdown() {
-        this.audio.playCountdown();
+    // The countdown runs off the clock rather than a timer, so in multiplayer every
+    // client launches at the server's scheduled start however late the message came
+    startCountdown(startAt = Utils.now() + 3000) {
+        this.raceState.startAt = startAt;
+        this.raceState.countdown = Math.max(0, Math.ceil((startAt - Utils.now()) / 1000));
+        
+        if (this.raceState.countdown > 0) {
+            this.audio.playCountdown();
+        }
+    }
+
+    // The throttle is live during the countdown so an early launch is seen
+    // (the kart itself stays on the grid until GO)
+    watchStartLine() {
+        if (!this.playerKart || this.raceState.startAt === null || Utils.now() >= this.raceState.startAt) return;
+        
+        this.playerKart.controls.accelerate = this.input.getInputState().accelerate;
+        if (this.raceConfig.gameMode === 'multiplayer' && this.multiplayer.simulationMode === 'server') {
+            this.multiplayer.sendPlayerInput(this.playerKart.controls);
+        } else {
+            this.director.checkJumpStart(this.playerKart, this.raceState.startAt - Utils.now());
+        }
+    }
+
+    updateCountdown() {
+        if (this.raceState.startAt === null) return;
         
-        const countdownTimer = setInterval(() => {
-            this.raceState.countdown--;
-            
-            if (this.raceState.countdown > 0) {
+        const now = Utils.now();
+        const countdown = Math.max(0, Math.ceil((this.raceState.startAt - now) / 1000));
+        
+        if (countdown > 0) {
+            if (countdown !== this.raceState.countdown) {
+                this.raceState.countdown = countdown;
                 this.audio.playCountdown();
-            } else if (this.raceState.countdown === 0) {
-                this.audio.playRaceStart();
-                this.startRace();
-                clearInterval(countdownTimer);
             }
-        }, 1000);
+            return;
+        }
+        
+        // No start fanfare when joining long after the green light
+        this.raceState.countdown = 0;
+        if (now - this.raceState.startAt < 1000) {
+            this.audio.playRaceStart();
+        }
+        this.startRace(this.raceState.startAt);
     }
 
-    startRace() {
+    // From GO the race runs on simulation time (PhysicsEngine.time), which
+    // starts at zero - or at how long ago GO was, joining a race late
+    startRace(startTime = Utils.now()) {
+        const late = Utils.now() - startTime;
+        this.physics.reset(this.raceSeed, late >= 1000 ? late : 0);
+        this.graphics.resetParticles(this.raceSeed);
+        this.accumulator = 0;
+        
         this.raceState.started = true;
-        this.raceState.raceStartTime = Utils.now();
+        this.raceState.raceStartTime = 0;
+        for (const kart of this.karts) {
+            kart.raceData = this.physics.createRaceData(kart, 0);
+        }
+        this.replayRecorder.start({
+            track: this.trackData.id,
+            mode: this.raceConfig.gameMode,
+            laps: this.raceConfig.laps,
+            seed: this.raceSeed
+        });
+        if (this.raceConfig.gameMode === 'timetrial') {
+            this.startGhostLap();
+        }
         console.log('Race started!');
     }
 
+    // Server clock time (see MultiplayerManager.serverNow) -> Utils.now() time
+    fromServerTime(serverTime) {
+        return Utils.now() + (this.multiplayer.toLocalTime(serverTime) - Date.now());
+    }
+
+    // Back in a running race after a reconnect (or watching one) - pick the
+    // race clock up from the server's start time
+    resumeMultiplayerRace(data) {
+        const startAt = typeof data.startTime === 'number'
+            ? this.fromServerTime(data.startTime)
+            : Utils.now() - (data.raceTime || 0);
+        
+        if (this.state !== 'playing' && this.state !== 'paused') {
+            this.applyRaceSettings(data.settings);
+            this.setState('playing');
+            this.karts = [];
+            this.playerKart = null;
+            if (!this.isSpectating()) {
+                this.createPlayerKart();
+            }
+            this.setupSpectatorView();
+            this.raceState = {
+                started: false,
+                finished: false,
+                countdown: 0,
+                startAt: null,
+                leaderboard: [],
+                raceStartTime: 0,
+                firstFinishTime: null
+            };
+            this.startCountdown(startAt);
+        } else {
+            this.raceState.startAt = startAt;
+            if (this.raceState.started) {
+                // Catch the race clock up with the server's
+                this.physics.time = Math.max(0, Utils.now() - startAt);
+            }
+        }
+        
+        console.log('🔌 Resumed race in progress');
+    }
+
     // Game loop
     startGameLoop() {
         const gameLoop = (timestamp) => {
@@ -726,6 +1557,9 @@ class Game {
             case 'paused':
                 // Game is paused, don't update game logic
                 break;
+            case 'replay':
+                this.updateReplay(dt);
+                break;
         }
         
         // Always update input system
@@ -734,10 +1568,60 @@ class Game {
     }
 
     updateGame(deltaTime) {
-        if (!this.raceState.started) return;
+        if (!this.raceState.started) {
+            this.watchStartLine();
+            this.updateCountdown();
+            return;
+        }
         
-        // Update player input
+        // Controls are read once a frame; every step this frame uses them
         this.updatePlayerInput();
+        if (this.state !== 'playing') return;
+        
+        // Simulate in fixed steps, whatever the frame rate, so the same
+        // controls give the same race on every machine and in the server.
+        // A long frame (a background tab) is cut short, not fast-forwarded.
+        this.accumulator = Math.min(this.accumulator + deltaTime, Game.MAX_FRAME_TIME);
+        while (this.accumulator >= PhysicsEngine.TIMESTEP) {
+            this.accumulator -= PhysicsEngine.TIMESTEP;
+            this.stepRace(PhysicsEngine.TIMESTEP);
+            if (this.raceState.finished) return;
+        }
+        
+        // Update audio
+        this.updateAudio();
+        
+        // Update camera
+        if (this.isSpectating()) {
+            this.updateSpectatorCamera(deltaTime);
+        } else {
+            this.graphics.updateCamera(this.getRenderKart(this.playerKart));
+        }
+        
+        // Update UI
+        this.updateGameUI();
+        
+        // Multiplayer sync
+        if (this.raceConfig.gameMode === 'multiplayer') {
+            if (this.multiplayer.simulationMode === 'server') {
+                if (this.playerKart) {
+                    this.multiplayer.sendPlayerInput(this.playerKart.controls);
+                }
+                this.applyServerState();
+            } else {
+                this.multiplayer.sendPlayerUpdate(this.playerKart);
+                this.applyRelayedPositions();
+            }
+        }
+    }
+
+    // One fixed step of simulation time: everything that decides the race,
+    // and everything recorded from it
+    stepRace(deltaTime) {
+        // Where each kart was, to draw it between steps (see getRenderKart)
+        for (const kart of this.karts) {
+            kart.previous = { x: kart.x, y: kart.y, rotation: kart.rotation };
+        }
         
         // Update AI
         if (this.raceConfig.gameMode === 'singleplayer') {
@@ -747,31 +1631,257 @@ class Game {
         // Update physics
         this.physics.update(deltaTime, this.karts);
         
-        // Update audio
-        this.updateAudio();
-        
-        // Update camera
-        this.graphics.updateCamera(this.playerKart);
+        // Drift mini-turbos fired this step
+        for (const boost of this.physics.boosts || []) {
+            this.graphics.addBoostEffect(boost.obj, boost.tier);
+            if (boost.obj.isPlayer) {
+                this.audio.playBoost();
+            }
+        }
         
-        // Update graphics particles
+        // Update graphics particles (dust and mud from the karts first)
+        for (const kart of this.karts) {
+            this.graphics.emitSurfaceParticles(kart, deltaTime);
+            this.graphics.emitDriftEffects(kart, deltaTime);
+        }
         this.graphics.updateParticles(deltaTime);
         
         // Check race progress
         this.updateRaceProgress();
+        if (!(this.raceConfig.gameMode === 'multiplayer' && this.multiplayer.simulationMode === 'server')) {
+            this.physics.updateStandings(this.karts);
+            this.director.update(deltaTime, this.karts);
+            this.checkRaceEnd();
+        }
+        if (this.raceState.finished) return;
         
-        // Update UI
-        this.updateGameUI();
+        // Time trial ghost
+        if (this.raceConfig.gameMode === 'timetrial') {
+            this.updateGhost();
+        }
         
-        // Multiplayer sync
-        if (this.raceConfig.gameMode === 'multiplayer') {
-            this.multiplayer.sendPlayerUpdate(this.playerKart);
+        // Record the replay
+        this.replayRecorder.update(this.getRaceTime(), this.karts);
+    }
+
+    // A kart as drawn: part of the way from its last step to its current
+    // one, by how much of the next step the frame has already used
+    getRenderKart(kart) {
+        if (!kart || !kart.previous || !this.raceState.started) return kart;
+        
+        const alpha = this.accumulator / PhysicsEngine.TIMESTEP;
+        const previous = kart.previous;
+        const view = Object.create(kart);
+        view.x = Utils.lerp(previous.x, kart.x, alpha);
+        view.y = Utils.lerp(previous.y, kart.y, alpha);
+        view.rotation = previous.rotation + Utils.angleDifference(previous.rotation, kart.rotation) * alpha;
+        return view;
+    }
+
+    getRaceTime() {
+        return this.physics.time - this.raceState.raceStartTime;
+    }
+
+    // Reconcile local karts with the authoritative server simulation
+    applyServerState() {
+        const raceState = this.multiplayer.latestRaceState;
+        if (!raceState) return;
+        
+        for (const kartState of raceState.karts) {
+            if (kartState.playerId === this.multiplayer.playerId) {
+                this.reconcilePlayerKart(kartState);
+                continue;
+            }
+            
+            const kart = this.updateRemoteKart(kartState.playerId);
+            kart.raceData = this.mergeServerRaceData(kart.raceData, kartState);
+            kart.finished = kartState.finished === true;
         }
+        
+        // Cones go where the server knocked them
+        if (raceState.obstacles) {
+            this.physics.applyObstacleStates(raceState.obstacles);
+        }
+        
+        // Drop karts of players who left
+        this.karts = this.karts.filter(kart =>
+            kart === this.playerKart || raceState.karts.some(k => k.playerId === kart.playerId)
+        );
+    }
+
+    // Relay rooms: show the other racers from their reported positions
+    applyRelayedPositions() {
+        for (const playerId of Object.keys(this.multiplayer.players)) {
+            if (playerId === this.multiplayer.playerId) continue;
+            if (!this.multiplayer.getInterpolatedPlayerPosition(playerId)) continue;
+            
+            this.updateRemoteKart(playerId);
+        }
+        
+        // Drop karts of players who left
+        this.karts = this.karts.filter(kart =>
+            kart === this.playerKart || this.multiplayer.players[kart.playerId]
+        );
+    }
+
+    // Find or create a remote player's kart and move it to its interpolated position
+    updateRemoteKart(playerId) {
+        let kart = this.karts.find(k => k.playerId === playerId);
+        if (!kart) {
+            kart = this.createRemoteKart(playerId);
+            this.karts.push(kart);
+        }
+        
+        const interpolated = this.multiplayer.getInterpolatedPlayerPosition(playerId);
+        if (interpolated) {
+            const velocity = interpolated.velocity || { x: 0, y: 0 };
+            kart.x = interpolated.x;
+            kart.y = interpolated.y;
+            kart.rotation = interpolated.rotation;
+            kart.physics.velocityX = velocity.x;
+            kart.physics.velocityY = velocity.y;
+            kart.physics.speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2);
+        }
+        
+        return kart;
+    }
+
+    // Spectators have no kart of their own, and players who have finished are
+    // done with theirs, so the HUD and camera follow someone else's
+    isSpectating() {
+        return (this.raceConfig.gameMode === 'multiplayer' && this.multiplayer.isSpectator) ||
+            (this.playerKart !== null && this.playerKart.finished === true);
+    }
+
+    setupSpectatorView() {
+        const spectating = this.isSpectating();
+        
+        this.spectateTargetId = null;
+        this.graphics.setCameraMode('follow');
+        document.getElementById('spectatorBar').style.display = spectating ? '' : 'none';
+        document.getElementById('mobileControls').style.display = spectating ? 'none' : '';
+    }
+
+    getSpectateTarget() {
+        return this.karts.find(kart => kart.playerId === this.spectateTargetId) || null;
+    }
+
+    cycleSpectatorTarget() {
+        if (this.karts.length === 0) return;
+        
+        const index = this.karts.findIndex(kart => kart.playerId === this.spectateTargetId);
+        this.spectateTargetId = this.karts[(index + 1) % this.karts.length].playerId;
+        this.graphics.setCameraMode('follow');
+    }
+
+    toggleSpectatorCamera() {
+        const freeCamera = this.graphics.camera.mode !== 'free';
+        this.graphics.setCameraMode(freeCamera ? 'free' : 'follow');
+        document.getElementById('spectateCameraBtn').textContent = freeCamera ? 'Follow' : 'Free Cam';
+    }
+
+    // Follow the chosen kart (the leader by default), or pan with the steering keys
+    updateSpectatorCamera(deltaTime) {
+        const inputState = this.input.getInputState();
+        
+        if (inputState.toggleCamera) {
+            this.toggleSpectatorCamera();
+        }
+        if (inputState.nextCameraTarget) {
+            this.cycleSpectatorTarget();
+        }
+        
+        if (this.graphics.camera.mode === 'free') {
+            this.graphics.panCamera(inputState.steer, inputState.brake - inputState.accelerate, deltaTime);
+            this.graphics.updateCamera(null);
+            return;
+        }
+        
+        // Karts still racing first: a finished player wants to see the rest
+        if (!this.getSpectateTarget() && this.karts.length > 0) {
+            const racing = this.karts.filter(kart => !kart.finished);
+            const candidates = racing.length > 0 ? racing : this.karts;
+            const leader = candidates.find(kart => kart.raceData && kart.raceData.position === 1) ||
+                candidates.reduce((best, kart) => this.physics.getRaceProgress(kart) > this.physics.getRaceProgress(best) ? kart : best);
+            this.spectateTargetId = leader.playerId;
+        }
+        
+        this.graphics.updateCamera(this.getRenderKart(this.getSpectateTarget()));
+    }
+
+    reconcilePlayerKart(kartState) {
+        const kart = this.playerKart;
+        const error = Utils.distance(kart.x, kart.y, kartState.x, kartState.y);
+        
+        if (error > 100) {
+            // Too far off to correct smoothly
+            kart.x = kartState.x;
+            kart.y = kartState.y;
+            kart.rotation = kartState.rotation;
+            kart.physics.velocityX = kartState.velocityX;
+            kart.physics.velocityY = kartState.velocityY;
+        } else if (error > 2) {
+            kart.x = Utils.lerp(kart.x, kartState.x, 0.2);
+            kart.y = Utils.lerp(kart.y, kartState.y, 0.2);
+            kart.rotation += Utils.angleDifference(kart.rotation, kartState.rotation) * 0.2;
+        }
+        
+        kart.raceData = this.mergeServerRaceData(kart.raceData, kartState);
+        
+        // The server saw us cross the line: watch the rest come home
+        if (kartState.finished && !kart.finished) {
+            kart.finished = true;
+            kart.controls = { accelerate: 0, brake: 0, steer: 0 };
+            this.audio.playRaceFinish();
+            this.setupSpectatorView();
+        }
+    }
+
+    mergeServerRaceData(raceData, kartState) {
+        return {
+            checkpointsPassed: [],
+            lapTimes: [],
+            startTime: this.raceState.raceStartTime,
+            ...raceData,
+            lapCount: kartState.lapCount,
+            currentCheckpoint: kartState.currentCheckpoint,
+            position: kartState.position,
+            wrongWay: kartState.wrongWay,
+            missedCheckpoint: kartState.missedCheckpoint,
+            penaltyTime: kartState.penaltyTime || 0,
+            driveThrough: kartState.driveThrough || 0,
+            penalties: kartState.penalties || [],
+            finished: kartState.finished
+        };
+    }
+
+    createRemoteKart(playerId) {
+        const bot = this.multiplayer.bots[playerId];
+        const player = bot || this.multiplayer.players[playerId] || {};
+        const colorIndex = (Object.keys(this.multiplayer.players).indexOf(playerId) + 1) % this.graphics.colors.karts.length;
+        const kartType = player.kartType || 'balanced';
+        
+        return {
+            id: playerId,
+            playerId: playerId,
+            name: player.playerName || player.name || 'Player',
+            x: this.trackData.startLine.x,
+            y: this.trackData.startLine.y,
+            rotation: this.trackData.startLine.angle,
+            radius: 20,
+            kartType: kartType,
+            physics: KartPhysics.createPreset(kartType),
+            controls: { accelerate: 0, brake: 0, steer: 0 },
+            isPlayer: false,
+            isRemote: true,
+            color: this.graphics.colors.karts[colorIndex]
+        };
     }
 
     updatePlayerInput() {
         const inputState = this.input.getInputState();
         
-        if (this.playerKart && this.playerKart.controls) {
+        if (this.playerKart && this.playerKart.controls && !this.playerKart.finished) {
             this.playerKart.controls.accelerate = inputState.accelerate;
             this.playerKart.controls.brake = inputState.brake;
             this.playerKart.controls.steer = inputState.steer;
@@ -784,53 +1894,93 @@ class Game {
     }
 
     updateAudio() {
-        // Update engine sounds
+        // Update engine and tire sounds
         for (const kart of this.karts) {
             this.audio.updateEngineSound(kart);
+            this.audio.updateSurfaceSound(kart, kart.physics.surface);
+            this.audio.updateScreechSound(kart);
         }
     }
 
     updateRaceProgress() {
+        // Laps and finishing order are decided by the server simulation
+        if (this.raceConfig.gameMode === 'multiplayer' && this.multiplayer.simulationMode === 'server') {
+            return;
+        }
+        
         for (const kart of this.karts) {
+            if (kart.finished) continue;
+            
             const checkpointEvent = this.physics.checkCheckpoints(kart);
             
             if (checkpointEvent) {
+                if (checkpointEvent.type === 'lap') {
+                    this.replayRecorder.recordEvent(this.getRaceTime(), 'lap', kart, { lapCount: kart.raceData.lapCount });
+                    
+                    if (kart.raceData.lapCount >= this.raceConfig.laps) {
+                        this.finishKart(kart);
+                    }
+                }
+                
                 if (checkpointEvent.type === 'lap' && kart.isPlayer) {
                     this.audio.playLapComplete();
                     
-                    // Check if race is finished
-                    if (kart.raceData.lapCount >= this.raceConfig.laps) {
-                        this.finishRace();
+                    if (this.raceConfig.gameMode === 'timetrial') {
+                        this.completeGhostLap(kart);
                     }
                 } else if (checkpointEvent.type === 'checkpoint' && kart.isPlayer) {
                     this.audio.playCheckpoint();
+                    
+                    if (this.raceConfig.gameMode === 'timetrial') {
+                        this.recordGhostSplit(kart, checkpointEvent.checkpoint);
+                    }
                 }
             }
         }
     }
 
     updateGameUI() {
-        if (!this.playerKart || !this.playerKart.raceData) return;
+        // Spectators see the HUD of the kart they are following
+        const hudKart = this.isSpectating() ? this.getSpectateTarget() : this.playerKart;
+        
+        if (this.isSpectating()) {
+            document.getElementById('spectatorTarget').textContent = hudKart ? hudKart.name : '-';
+        }
+        
+        if (!hudKart || !hudKart.raceData) return;
         
         // Update lap counter
-        const currentLap = Math.min(this.playerKart.raceData.lapCount + 1, this.raceConfig.laps);
+        const currentLap = Math.min(hudKart.raceData.lapCount + 1, this.raceConfig.laps);
         document.getElementById('currentLap').textContent = currentLap;
+        document.getElementById('totalLaps').textContent = this.raceConfig.laps;
+        document.getElementById('totalKarts').textContent = this.karts.length;
         
         // Update position
-        const position = this.physics.getRacePosition(this.playerKart, this.karts);
+        const position = hudKart.raceData.position || this.physics.getRacePosition(hudKart, this.karts);
         document.getElementById('currentPosition').textContent = position;
         
         // Update race time
-        const raceTime = Utils.now() - this.raceState.raceStartTime;
+        const raceTime = this.getRaceTime();
         document.getElementById('raceTime').textContent = Utils.formatTime(raceTime);
         
         // Update speedometer
-        const speed = Math.round(this.playerKart.physics.speed);
+        const speed = Math.round(hudKart.physics.speed);
         document.getElementById('speedValue').textContent = speed;
         
-        const speedPercentage = (speed / this.playerKart.physics.maxSpeed) * 100;
+        const speedPercentage = Math.min(100, (speed / hudKart.physics.maxSpeed) * 100);
         document.getElementById('speedFill').style.width = speedPercentage + '%';
         
+        this.updateBoostHUD(hudKart.physics);
+        
+        // Going the wrong way, or past a checkpoint without crossing it
+        const raceData = hudKart.raceData;
+        const warning = raceData.wrongWay ? 'WRONG WAY' : raceData.missedCheckpoint ? 'MISSED CHECKPOINT' : '';
+        const warningElement = document.getElementById('raceWarning');
+        warningElement.textContent = warning;
+        warningElement.style.display = warning ? '' : 'none';
+        
+        this.updatePenaltyHUD(raceData);
+        
         // Update minimap
         this.graphics.renderMinimap({
             karts: this.karts,
@@ -838,6 +1988,51 @@ class Game {
         }, document.getElementById('miniMapCanvas'));
     }
 
+    // Mini-turbo meter: the charge of the drift being held, coloured by the
+    // tier it has reached, then the boost it fired running down
+    updateBoostHUD(physics) {
+        const boosts = PhysicsEngine.DRIFT_BOOSTS;
+        let tier = 0;
+        let level = 0;
+        let label = '';
+        if (physics.boostTime > 0) {
+            tier = physics.boostTier;
+            level = physics.boostTime / boosts[tier - 1].duration;
+            label = 'BOOST';
+        } else if (physics.drifting) {
+            tier = physics.driftTier;
+            level = Math.min(1, physics.driftTime / boosts[boosts.length - 1].charge);
+            label = tier > 0 ? `TURBO ${tier}` : 'DRIFT';
+        }
+        
+        const meterElement = document.getElementById('boostMeter');
+        meterElement.style.display = label ? '' : 'none';
+        meterElement.className = `boost-meter tier-${tier}${physics.boostTime > 0 ? ' boosting' : ''}`;
+        document.getElementById('boostLabel').textContent = label;
+        document.getElementById('boostFill').style.width = (level * 100) + '%';
+    }
+
+    // Time penalties so far, and the drive-through being served or the
+    // latest penalty while it is news
+    updatePenaltyHUD(raceData) {
+        const penaltyTime = raceData.penaltyTime || 0;
+        document.getElementById('penaltyInfo').style.display = penaltyTime > 0 ? '' : 'none';
+        document.getElementById('penaltyTime').textContent = RaceDirector.formatPenaltyTime(penaltyTime);
+        
+        const penalties = raceData.penalties || [];
+        const latest = penalties[penalties.length - 1];
+        let notice = '';
+        if (raceData.driveThrough > 0) {
+            notice = `DRIVE-THROUGH ${(raceData.driveThrough / 1000).toFixed(1)}s`;
+        } else if (latest && this.getRaceTime() - latest.at < Game.PENALTY_NOTICE_TIME) {
+            notice = `PENALTY: ${RaceDirector.describe(latest)}`;
+        }
+        
+        const noticeElement = document.getElementById('penaltyNotice');
+        noticeElement.textContent = notice;
+        noticeElement.style.display = notice ? '' : 'none';
+    }
+
     updateFPS() {
         this.frameCount++;
         
@@ -850,16 +2045,29 @@ class Game {
 
     render() {
         if (this.state === 'playing' || this.state === 'paused') {
+            const ghostKarts = this.ghostPlayer ? this.ghostPlayer.getVisibleKarts() : [];
+            
             this.graphics.render({
-                karts: this.karts,
+                karts: [...ghostKarts, ...this.karts.map(kart => this.getRenderKart(kart))],
+                obstacles: this.physics.collisionObjects,
                 checkpoints: this.trackData.checkpoints,
-                effects: []
+                nextCheckpoint: this.playerKart && this.playerKart.raceData ? this.playerKart.raceData.currentCheckpoint : null,
+                tireMarks: this.graphics.tireMarks,
+                effects: this.graphics.effects
             });
             
             // Render countdown overlay
             if (!this.raceState.started && this.raceState.countdown > 0) {
                 this.renderCountdown();
             }
+        } else if (this.state === 'replay' && this.replayPlayer) {
+            this.graphics.render({
+                karts: this.replayPlayer.getVisibleKarts(),
+                checkpoints: this.trackData.checkpoints,
+                effects: []
+            });
+        } else if (this.state === 'editor') {
+            this.editor.render();
         }
     }
 
@@ -909,54 +2117,632 @@ class Game {
         this.showMainMenu();
     }
 
+    // A kart took the flag. Its time is when it crossed the line (see
+    // PhysicsEngine.checkCheckpoints), not the frame that noticed; the
+    // race goes on for everyone else.
+    finishKart(kart) {
+        const lapTimes = kart.raceData.lapTimes;
+        
+        kart.finished = true;
+        kart.finishTime = lapTimes[lapTimes.length - 1].endTime - this.raceState.raceStartTime;
+        kart.controls = { accelerate: 0, brake: 0, steer: 0 };
+        this.replayRecorder.recordEvent(kart.finishTime, 'finish', kart);
+        
+        if (this.raceState.firstFinishTime === null) {
+            this.raceState.firstFinishTime = this.physics.time;
+        }
+        
+        if (kart.isPlayer) {
+            // Watch the rest come home
+            this.audio.playRaceFinish();
+            this.setupSpectatorView();
+        } else {
+            this.ai.removeBot(kart.id);
+        }
+    }
+
+    // The race is over when every kart is home, or DNF_TIMEOUT after the
+    // winner; anyone still out there did not finish
+    checkRaceEnd() {
+        if (this.raceState.finished || this.raceState.firstFinishTime === null) return;
+        
+        const allFinished = this.karts.every(kart => kart.finished);
+        const timedOut = this.physics.time - this.raceState.firstFinishTime > Game.DNF_TIMEOUT;
+        
+        if (allFinished || timedOut) {
+            this.finishRace();
+        }
+    }
+
     finishRace() {
         this.raceState.finished = true;
-        this.audio.playRaceFinish();
+        this.finishReplay();
         
         // Calculate final results
         this.calculateResults();
         this.setState('results');
+        
+        const lapTimes = this.playerKart && this.playerKart.raceData ? this.playerKart.raceData.lapTimes : [];
+        if (lapTimes.length > 0) {
+            this.showLeaderboardPlacement(Math.min(...lapTimes.map(lap => lap.time)));
+        }
+    }
+
+    // Results as decided by the server simulation
+    finishMultiplayerRace(serverResults) {
+        this.raceState.finished = true;
+        if (!this.playerKart || !this.playerKart.finished) {
+            this.audio.playRaceFinish();
+        }
+        
+        for (const result of serverResults) {
+            const kart = this.karts.find(k => k.playerId === result.playerId);
+            if (kart && result.finished) {
+                this.replayRecorder.recordEvent(result.totalTime - (result.penaltyTime || 0), 'finish', kart);
+            }
+        }
+        this.finishReplay();
+        
+        const results = serverResults.map(result => ({
+            name: result.name,
+            isPlayer: result.playerId === this.multiplayer.playerId,
+            lapCount: result.lapCount,
+            finished: result.finished === true && typeof result.totalTime === 'number',
+            totalTime: result.totalTime,
+            penaltyTime: result.penaltyTime || 0,
+            bestLap: result.bestLap
+        }));
+        
+        this.displayResults(results);
+        this.setState('results');
+        
+        // Only server-simulated laps are on the leaderboard
+        const ownResult = serverResults.find(result => result.playerId === this.multiplayer.playerId);
+        if (ownResult && this.multiplayer.simulationMode === 'server') {
+            this.showLeaderboardPlacement(ownResult.bestLap);
+        }
+    }
+
+    // Where the best lap of this race places on the track's leaderboard. Single-player
+    // laps are submitted here; multiplayer laps were recorded by the server as they happened.
+    async showLeaderboardPlacement(bestLap) {
+        const placement = document.getElementById('leaderboardPlacement');
+        placement.style.display = 'none';
+        
+        if (!this.leaderboard.isAvailable() || !this.playerKart || !(bestLap > 0)) return;
+        
+        // The server only knows the bundled tracks - editor, generated and daily tracks have no leaderboard
+        if (this.editorTestDrive || !TrackBuilder.isBundledTrack(this.trackData.id)) return;
+        
+        const lap = {
+            playerId: this.multiplayer.playerId,
+            playerName: this.multiplayer.playerName || 'Player',
+            track: this.trackData.id,
+            mode: this.raceConfig.gameMode,
+            kartType: this.playerKart.kartType,
+            lapTime: bestLap
+        };
+        
+        try {
+            let rank, total, personalBest;
+            
+            if (lap.mode === 'multiplayer') {
+                const board = await this.leaderboard.fetchLeaderboard({ ...lap, limit: 1 });
+                if (!board.player) return;
+                
+                const entry = board.player.around.find(record => record.playerId === lap.playerId);
+                rank = board.player.rank;
+                total = board.total;
+                personalBest = entry.lapTime === bestLap;
+            } else {
+                ({ rank, total, personalBest } = await this.leaderboard.submitLap(lap));
+            }
+            
+            placement.textContent = `${personalBest ? 'New personal best! ' : ''}` +
+                `Best lap ${Utils.formatTime(bestLap)} - #${rank} of ${total} on ${this.trackData.name} (${lap.kartType} kart)`;
+            placement.style.display = '';
+        } catch (error) {
+            console.warn('⚠️ Lap not placed on the leaderboard:', error.message);
+        }
+    }
+
+    // Keep the finished recording for the results screen's replay buttons
+    finishReplay() {
+        this.lastReplay = this.replayRecorder.finish(this.getRaceTime(), this.karts);
+        
+        const display = this.lastReplay ? '' : 'none';
+        document.getElementById('watchReplayBtn').style.display = display;
+        document.getElementById('saveReplayBtn').style.display = display;
+    }
+
+    // Replay viewer - returnState is where Exit goes ('results' or 'menu')
+    watchReplay(replay, returnState = 'menu') {
+        if (!replay) return;
+        
+        if (!TrackBuilder.isKnownTrack(replay.track)) {
+            alert(`This replay was recorded on a track that isn't available: ${replay.track}`);
+            return;
+        }
+        
+        this.applyRaceSettings({ track: replay.track, laps: replay.laps });
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.replayReturnState = returnState;
+        this.replayScrubbing = false;
+        
+        // Kart picker, starting on the recording player's own kart
+        const select = document.getElementById('replayKartSelect');
+        select.innerHTML = '';
+        replay.karts.forEach((kart, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = kart.name;
+            select.appendChild(option);
+        });
+        this.setReplayTarget(Math.max(0, replay.karts.findIndex(kart => kart.isPlayer)));
+        
+        const timeline = document.getElementById('replayTimeline');
+        timeline.max = replay.duration;
+        timeline.value = 0;
+        
+        this.graphics.setCameraMode('follow');
+        document.getElementById('replayCameraBtn').textContent = 'Free Cam';
+        this.setState('replay');
+        console.log(`🎬 Watching replay (${Utils.formatTime(replay.duration)})`);
+    }
+
+    setReplayTarget(index) {
+        this.replayTargetIndex = index;
+        document.getElementById('replayKartSelect').value = index;
+        this.graphics.setCameraMode('follow');
+        document.getElementById('replayCameraBtn').textContent = 'Free Cam';
+    }
+
+    toggleReplayCamera() {
+        const freeCamera = this.graphics.camera.mode !== 'free';
+        this.graphics.setCameraMode(freeCamera ? 'free' : 'follow');
+        document.getElementById('replayCameraBtn').textContent = freeCamera ? 'Follow' : 'Free Cam';
+    }
+
+    updateReplay(deltaTime) {
+        const player = this.replayPlayer;
+        if (!player) return;
+        
+        player.update(deltaTime);
+        
+        // Camera: same keys as spectating (C next kart, V free camera + steering keys to pan)
+        const inputState = this.input.getInputState();
+        if (inputState.toggleCamera) {
+            this.toggleReplayCamera();
+        }
+        if (inputState.nextCameraTarget) {
+            this.setReplayTarget((this.replayTargetIndex + 1) % player.karts.length);
+        }
+        
+        const target = player.karts[this.replayTargetIndex];
+        if (this.graphics.camera.mode === 'free') {
+            this.graphics.panCamera(inputState.steer, inputState.brake - inputState.accelerate, deltaTime);
+            this.graphics.updateCamera(null);
+        } else if (target && target.visible) {
+            this.graphics.updateCamera(target);
+        }
+        
+        // Controls and info
+        if (!this.replayScrubbing) {
+            document.getElementById('replayTimeline').value = player.time;
+        }
+        document.getElementById('replayTime').textContent = Utils.formatTime(player.time);
+        document.getElementById('replayPlayBtn').textContent = player.playing ? '⏸️' : '▶️';
+        document.getElementById('replaySpeedBtn').textContent = `${player.speed}x`;
+        
+        const progress = player.getKartProgress(this.replayTargetIndex);
+        const laps = player.replay.laps;
+        document.getElementById('replayKartName').textContent = target ? target.name : '-';
+        document.getElementById('replayKartProgress').textContent = progress.finished
+            ? 'Finished'
+            : `Lap ${Math.min(progress.lapCount + 1, laps || Infinity)}${laps ? `/${laps}` : ''}`;
+    }
+
+    exitReplay() {
+        this.replayPlayer = null;
+        
+        if (this.replayReturnState === 'results') {
+            this.setState('results');
+        } else {
+            this.showMainMenu();
+        }
+    }
+
+    saveReplay(replay) {
+        if (!replay) return;
+        
+        const blob = new Blob([Replay.serialize(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gokart-replay-${replay.track}-${replay.recordedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
+    async loadReplayFile(file) {
+        try {
+            const replay = Replay.parse(await file.text());
+            this.watchReplay(replay, 'menu');
+        } catch (error) {
+            alert(`Couldn't load replay: ${error.message}`);
+        }
+    }
+
+    // Time trial ghosts - the best lap per track is kept in localStorage as a
+    // one-lap replay ('ghost' kind), with a 'checkpoint' event at each split
+    loadGhost(trackId) {
+        return Utils.loadFromLocalStorage(`ghost_${trackId}`);
+    }
+
+    saveGhost(ghost) {
+        // Test drive laps aren't kept - the track may still change
+        if (this.editorTestDrive) return;
+        
+        Utils.saveToLocalStorage(`ghost_${ghost.track}`, ghost);
+    }
+
+    // Race against a ghost recording (null for none)
+    setGhost(ghost) {
+        this.ghostPlayer = ghost ? new ReplayPlayer(ghost) : null;
+        if (!this.ghostPlayer) return;
+        
+        const ghostKart = this.ghostPlayer.karts[0];
+        ghostKart.isGhost = true;
+        ghostKart.color = null;
+        ghostKart.name = `Ghost (${ghost.karts[0].name})`;
+        this.ghostPlayer.playing = false;
+    }
+
+    startGhostLap() {
+        this.ghostRecorder.start({
+            kind: 'ghost',
+            track: this.trackData.id,
+            mode: 'timetrial',
+            laps: 1
+        });
+    }
+
+    // Time into the kart's current lap (ms)
+    getLapTime(kart) {
+        const lapTimes = kart.raceData.lapTimes;
+        const lapStart = lapTimes.length > 0 ? lapTimes[lapTimes.length - 1].endTime : kart.raceData.startTime;
+        return this.physics.time - lapStart;
+    }
+
+    // Trace the player's lap and move the ghost to the same point in its lap
+    updateGhost() {
+        if (!this.playerKart || !this.playerKart.raceData) return;
+        
+        const lapTime = this.getLapTime(this.playerKart);
+        this.ghostRecorder.update(lapTime, [this.playerKart]);
+        
+        if (this.ghostPlayer) {
+            this.ghostPlayer.seek(lapTime);
+            
+            // The ghost is gone once its lap is over
+            if (lapTime > this.ghostPlayer.duration) {
+                this.ghostPlayer.karts[0].visible = false;
+            }
+        }
+    }
+
+    // Checkpoint split, compared with the ghost's time at the same checkpoint
+    recordGhostSplit(kart, checkpoint) {
+        const lapTime = this.getLapTime(kart);
+        this.ghostRecorder.recordEvent(lapTime, 'checkpoint', kart, { checkpoint });
+        
+        if (!this.ghostPlayer) return;
+        
+        const split = this.ghostPlayer.replay.events.find(([, type, , data]) =>
+            type === 'checkpoint' && data.checkpoint === checkpoint);
+        if (split) {
+            this.showGhostDelta(lapTime - split[0]);
+        }
+    }
+
+    // Lap done: a lap that beats the ghost becomes the new ghost
+    completeGhostLap(kart) {
+        const lap = kart.raceData.lapTimes[kart.raceData.lapTimes.length - 1];
+        const trace = this.ghostRecorder.finish(lap.time, [kart]);
+        const best = this.ghostPlayer ? this.ghostPlayer.replay : null;
+        
+        if (best) {
+            this.showGhostDelta(lap.time - best.lapTime);
+        }
+        
+        if (trace && (!best || lap.time < best.lapTime)) {
+            trace.lapTime = Math.round(lap.time);
+            this.saveGhost(trace);
+            this.setGhost(trace);
+            console.log(`👻 New ghost lap: ${Utils.formatTime(lap.time)}`);
+        }
+        
+        this.startGhostLap();
+    }
+
+    // Live delta to the ghost: negative (green) when ahead
+    showGhostDelta(delta) {
+        const element = document.getElementById('ghostDelta');
+        element.textContent = `${delta < 0 ? '-' : '+'}${(Math.abs(delta) / 1000).toFixed(2)}s`;
+        element.className = `ghost-delta ${delta < 0 ? 'ahead' : 'behind'}`;
+        element.style.display = '';
+        
+        clearTimeout(this.ghostDeltaTimer);
+        this.ghostDeltaTimer = setTimeout(() => {
+            element.style.display = 'none';
+        }, 3000);
+    }
+
+    exportGhost(trackId) {
+        const ghost = this.loadGhost(trackId);
+        if (!ghost) {
+            alert('No ghost saved for this track yet - set a lap in Time Trial first');
+            return;
+        }
+        
+        const blob = new Blob([Replay.serialize(ghost)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gokart-ghost-${ghost.track}-${Utils.formatTime(ghost.lapTime).replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // A teammate's ghost replaces the saved one for its track
+    async importGhostFile(file) {
+        try {
+            const ghost = Replay.parse(await file.text());
+            if (ghost.kind !== 'ghost' || ghost.karts.length !== 1 || !(ghost.lapTime > 0)) {
+                throw new Error('Not a ghost file (race replays can be watched from the main menu)');
+            }
+            if (!TrackBuilder.isKnownTrack(ghost.track)) {
+                throw new Error(`Unknown track: ${ghost.track}`);
+            }
+            
+            this.saveGhost(ghost);
+            alert(`Imported ghost: ${ghost.karts[0].name}, ${Utils.formatTime(ghost.lapTime)}`);
+        } catch (error) {
+            alert(`Couldn't import ghost: ${error.message}`);
+        }
+    }
+
+    // Track editor - opens on the last track edited this session, or a new one
+    openTrackEditor() {
+        if (this.editor.definition) {
+            this.resumeTrackEditor();
+        } else {
+            this.editor.open(TrackEditor.createBlankTrack());
+            this.updateEditorUI(true);
+            this.setState('editor');
+        }
+    }
+
+    resumeTrackEditor() {
+        this.editor.resume();
+        this.updateEditorUI(true);
+        this.setState('editor');
+    }
+
+    // Custom tracks are edited in place; bundled tracks as a copy
+    editTrack(trackId) {
+        const definition = JSON.parse(JSON.stringify(TrackBuilder.TRACKS[trackId]));
+        
+        if (!TrackBuilder.isCustomTrack(trackId)) {
+            definition.id = TrackEditor.createTrackId();
+            definition.name = `${definition.name} (copy)`;
+        }
+        
+        this.editor.open(definition);
+        this.updateEditorUI(true);
+    }
+
+    // Sync the toolbar with the editor. Track details are only filled in
+    // when a track is opened, so typing in them isn't interrupted.
+    updateEditorUI(trackOpened = false) {
+        const editor = this.editor;
+        
+        document.querySelectorAll('#editorUI [data-tool]').forEach(button => {
+            button.classList.toggle('selected', button.dataset.tool === editor.tool);
+        });
+        
+        document.getElementById('editorSurfaceType').value = editor.surfaceType;
+        document.getElementById('editorWidth').value = editor.getWidth();
+        document.getElementById('editorWidthText').textContent = editor.getWidth();
+        document.getElementById('editorDeleteBtn').disabled = !editor.selection;
+        document.getElementById('editorHint').textContent = TrackEditor.TOOL_HINTS[editor.tool];
+        
+        const problems = document.getElementById('editorProblems');
+        problems.innerHTML = '';
+        problems.className = `editor-problems ${editor.problems.length === 0 ? 'ok' : ''}`;
+        const messages = editor.problems.length > 0
+            ? editor.problems.map(problem => `⚠️ ${problem.message}`)
+            : ['✅ Track is drivable'];
+        for (const message of messages) {
+            const item = document.createElement('li');
+            item.textContent = message;
+            problems.appendChild(item);
+        }
+        
+        if (!trackOpened) return;
+        
+        document.getElementById('editorName').value = editor.definition.name;
+        document.getElementById('editorLaps').value = editor.definition.laps || 3;
+        
+        // Tracks to open: the player's own, then the bundled ones to copy
+        const openSelect = document.getElementById('editorOpenSelect');
+        openSelect.innerHTML = '<option value="">Open track...</option>';
+        const tracks = TrackBuilder.getTrackList();
+        for (const [label, custom] of [['Your tracks', true], ['Copy a bundled track', false]]) {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            for (const track of tracks.filter(info => info.custom === custom)) {
+                const option = document.createElement('option');
+                option.value = track.id;
+                option.textContent = track.name;
+                group.appendChild(option);
+            }
+            if (group.children.length > 0) {
+                openSelect.appendChild(group);
+            }
+        }
+    }
+
+    confirmDiscardEdits() {
+        return !this.editor.dirty || confirm('Discard unsaved changes to this track?');
+    }
+
+    // Save, export and test drive need a drivable track
+    checkEditorTrack() {
+        if (this.editor.problems.length === 0) return true;
+        
+        alert(`Fix the track first:\n${this.editor.problems.map(problem => `- ${problem.message}`).join('\n')}`);
+        return false;
+    }
+
+    // Saved tracks are kept in this browser and show up in track select
+    saveEditorTrack() {
+        if (!this.checkEditorTrack()) return;
+        
+        const definition = this.editor.getDefinition();
+        if (!TrackEditor.saveTrack(definition)) {
+            alert('Couldn\'t save the track - browser storage is full or disabled. Export it instead.');
+            return;
+        }
+        
+        this.editor.dirty = false;
+        this.updateEditorUI(true);
+        console.log(`💾 Saved track ${definition.name} (${definition.id})`);
+    }
+
+    exportEditorTrack() {
+        if (!this.checkEditorTrack()) return;
+        
+        const definition = this.editor.getDefinition();
+        const blob = new Blob([JSON.stringify(definition, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${definition.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Track files from elsewhere open as custom tracks; one that shares a
+    // bundled track's id becomes a copy
+    async importTrackFile(file) {
+        try {
+            const definition = TrackBuilder.parse(await file.text());
+            if (TrackBuilder.isKnownTrack(definition.id) && !TrackBuilder.isCustomTrack(definition.id)) {
+                definition.id = TrackEditor.createTrackId();
+            }
+            
+            this.editor.open(definition);
+            this.editor.dirty = true;
+            this.updateEditorUI(true);
+        } catch (error) {
+            alert(`Couldn't open track: ${error.message}`);
+        }
+    }
+
+    // Drive the edited track straight away in a time trial. It isn't saved;
+    // leaving the race comes back to the editor.
+    async testDriveTrack() {
+        if (!this.checkEditorTrack()) return;
+        
+        const definition = this.editor.getDefinition();
+        this.editor.close();
+        this.editorTestDrive = true;
+        
+        this.raceConfig.gameMode = 'timetrial';
+        this.useTrackData(TrackBuilder.build(definition));
+        this.raceConfig.laps = this.trackData.laps;
+        
+        this.setState('playing');
+        await this.initializeRace();
+    }
+
+    // Finishers by race time (penalties included), then the DNFs by how far
+    // round they got
     calculateResults() {
         const results = this.karts
             .filter(kart => kart.raceData)
-            .map(kart => ({
-                name: kart.name,
-                isPlayer: kart.isPlayer,
-                lapCount: kart.raceData.lapCount,
-                totalTime: Utils.now() - this.raceState.raceStartTime,
-                bestLap: kart.raceData.lapTimes.length > 0 ? 
-                    Math.min(...kart.raceData.lapTimes.map(lap => lap.time)) : 0
-            }))
+            .map(kart => {
+                const raceData = kart.raceData;
+                const penaltyTime = raceData.penaltyTime || 0;
+                
+                return {
+                    name: kart.name,
+                    isPlayer: kart.isPlayer,
+                    lapCount: raceData.lapCount,
+                    finished: kart.finished === true,
+                    totalTime: kart.finished ? kart.finishTime + penaltyTime : null,
+                    penaltyTime: penaltyTime,
+                    bestLap: raceData.lapTimes.length > 0 ? 
+                        Math.min(...raceData.lapTimes.map(lap => lap.time)) : null,
+                    progress: this.physics.getRaceProgress(kart)
+                };
+            })
             .sort((a, b) => {
-                if (a.lapCount !== b.lapCount) {
-                    return b.lapCount - a.lapCount;
+                if (a.finished !== b.finished) {
+                    return a.finished ? -1 : 1;
                 }
-                return a.totalTime - b.totalTime;
+                return a.finished ? a.totalTime - b.totalTime : b.progress - a.progress;
             });
         
         this.displayResults(results);
     }
 
+    // Results in finishing order: time (or DNF), gap to the winner, best lap
+    // and any time penalty
     displayResults(results) {
         const resultsTable = document.getElementById('resultsTable');
-        resultsTable.innerHTML = '';
-        
+        resultsTable.innerHTML = `
+            <div class="result-row result-header">
+                <div class="result-position">#</div>
+                <div class="result-name">Driver</div>
+                <div class="result-time">Time</div>
+                <div class="result-gap">Gap</div>
+                <div class="result-best">Best Lap</div>
+                <div class="result-penalty">Penalty</div>
+            </div>
+        `;
+        
+        const winner = results[0];
         results.forEach((result, index) => {
             const row = document.createElement('div');
-            row.className = `result-row ${result.isPlayer ? 'player' : ''}`;
+            row.className = `result-row ${result.isPlayer ? 'player' : ''} ${result.finished ? '' : 'dnf'}`;
             
             row.innerHTML = `
                 <div class="result-position">${index + 1}</div>
                 <div class="result-name">${result.name}</div>
-                <div class="result-time">${Utils.formatTime(result.totalTime)}</div>
+                <div class="result-time">${result.finished ? Utils.formatTime(result.totalTime) : 'DNF'}</div>
+                <div class="result-gap">${index > 0 ? Game.formatGap(result, winner) : ''}</div>
+                <div class="result-best">${result.bestLap > 0 ? Utils.formatTime(result.bestLap) : '-'}</div>
+                <div class="result-penalty">${result.penaltyTime > 0 ? RaceDirector.formatPenaltyTime(result.penaltyTime) : ''}</div>
             `;
             
             resultsTable.appendChild(row);
         });
     }
 
+    // "+1.234s" behind the winner, or "+2 laps" for a kart that was lapped
+    static formatGap(result, winner) {
+        const lapsDown = winner.lapCount - result.lapCount;
+        if (lapsDown > 0) {
+            return `+${lapsDown} ${lapsDown === 1 ? 'lap' : 'laps'}`;
+        }
+        if (!result.finished || !winner.finished) {
+            return '-';
+        }
+        return `+${((result.totalTime - winner.totalTime) / 1000).toFixed(3)}s`;
+    }
+
     // Settings
     loadSettings() {
         // Settings are loaded by individual systems
@@ -968,9 +2754,11 @@ class Game {
 
     // Cleanup
     cleanup() {
-        // Stop engine sounds
+        // Stop engine and tire sounds
         for (const kart of this.karts) {
             this.audio.stopEngineSound(kart);
+            this.audio.stopSurfaceSound(kart);
+            this.audio.stopScreechSound(kart);
         }
         
         // Reset game state
@@ -980,13 +2768,20 @@ class Game {
             started: false,
             finished: false,
             countdown: 0,
+            startAt: null,
             leaderboard: [],
-            raceStartTime: 0
+            raceStartTime: 0,
+            firstFinishTime: null
         };
         
         // Clear AI bots
         this.ai.bots = [];
         
+        // Drop an unfinished recording
+        this.replayRecorder.finish();
+        this.ghostRecorder.finish();
+        this.ghostPlayer = null;
+        
         // Disconnect multiplayer
         if (this.raceConfig.gameMode === 'multiplayer') {
             this.multiplayer.leaveRoom();
@@ -1033,6 +2828,10 @@ class Game {
             },
             updateCamera: () => {},
             updateParticles: () => {},
+            resetParticles: () => {},
+            emitSurfaceParticles: () => {},
+            emitDriftEffects: () => {},
+            addBoostEffect: () => {},
             setGraphicsQuality: () => {},
             resize: () => {},
             renderMinimap: () => {},
@@ -1044,10 +2843,17 @@ class Game {
 
     createFallbackPhysicsEngine() {
         return {
+            time: 0,
+            boosts: [],
             initialize: () => {},
+            reset: () => {},
             update: () => {},
             checkCheckpoints: () => null,
+            createRaceData: () => null,
             getRacePosition: () => 1,
+            updateStandings: () => {},
+            getRaceProgress: () => 0,
+            applyObstacleStates: () => {},
             destroy: () => {}
         };
     }
@@ -1062,6 +2868,11 @@ class Game {
             startEngineSound: () => {},
             stopEngineSound: () => {},
             updateEngineSound: () => {},
+            updateSurfaceSound: () => {},
+            stopSurfaceSound: () => {},
+            updateScreechSound: () => {},
+            stopScreechSound: () => {},
+            playBoost: () => {},
             playCountdown: () => {},
             playRaceStart: () => {},
             playLapComplete: () => {},
@@ -1076,6 +2887,7 @@ class Game {
     createFallbackAIManager() {
         return {
             initialize: () => {},
+            reset: () => {},
             createRace: () => {},
             update: () => {},
             bots: [],
@@ -1089,6 +2901,8 @@ class Game {
             disconnect: () => {},
             playerId: 'fallback_player',
             playerName: 'Player',
+            kartType: 'balanced',
+            setKartType: () => {},
             sendPlayerUpdate: () => {},
             getNetworkStats: () => ({ status: 'unavailable' }),
             destroy: () => {}
@@ -1098,7 +2912,7 @@ class Game {
     createFallbackTrackData() {
         return {
             path: [],
-            bounds: [],
+            bounds: { left: [], right: [] },
             checkpoints: [],
             obstacles: [],
             startLine: { x: 100, y: 100, angle: 0 }
@@ -1119,5 +2933,17 @@ class Game {
     }
 }
 
+// Replay playback speeds, cycled by the speed button
+Game.REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// How long a new penalty is announced on the HUD (ms)
+Game.PENALTY_NOTICE_TIME = 3000;
+
+// How long the others have to finish once the winner is home (ms)
+Game.DNF_TIMEOUT = 30000;
+
+// Most frame time simulated in one go (s); a longer frame loses the rest
+Game.MAX_FRAME_TIME = 0.25;
+
 // Global game instance
 window.Game = Game;
\ No newline at end of file
@@ -15,7 +15,9 @@ class GraphicsEngine {
             targetX: 0,
             targetY: 0,
             targetZoom: 1,
-            smoothing: 0.1
+            smoothing: 0.1,
+            mode: 'follow', // 'follow' a kart, or 'free' (spectators pan around)
+            panSpeed: 600   // px/s in free mode
         };
         
         // Assets
@@ -39,6 +41,20 @@ class GraphicsEngine {
             dirt: '#8b7355',
             sky: '#87ceeb',
             karts: ['#ff4444', '#4444ff', '#44ff44', '#ffff44', '#ff44ff', '#44ffff'],
+            ghost: '#e0e0ff',
+            boosts: ['#29b6f6', '#ff9800', '#ab47bc'], // Mini-turbo tiers (the HUD meter matches)
+            surfaces: {
+                asphalt: '#4a4a4a',
+                grass: '#3a6b32',
+                gravel: '#b5a27f',
+                mud: '#5e4630'
+            },
+            obstacles: {
+                tires: '#1e1e1e',
+                cone: '#ff7a1a',
+                wall: '#9e9e9e',
+                barrier: '#d32f2f'
+            },
             ui: {
                 background: 'rgba(0, 0, 0, 0.7)',
                 text: '#ffffff',
@@ -46,8 +62,13 @@ class GraphicsEngine {
             }
         };
         
-        // Particle systems
+        this.ghostAlpha = 0.4; // Opacity of time trial ghosts
+        
+        // Particle systems, scattered by their own seeded random numbers
         this.particleSystems = [];
+        this.random = Utils.createRandom(0);
+        this.tireMarks = []; // Skid marks left by drifting karts, oldest first
+        this.effects = [];   // Timed effects drawn over the karts (see renderEffect)
         
         this.initialize();
     }
@@ -84,75 +105,7 @@ class GraphicsEngine {
 
     // Create procedural track data
     createTrackData() {
-        this.track = {
-            path: [],
-            bounds: [],
-            checkpoints: [],
-            startLine: { x: 500, y: 300, angle: 0 },
-            width: 80
-        };
-        
-        // Create a simple oval track
-        this.generateOvalTrack(1000, 600, 300, 200);
-    }
-
-    generateOvalTrack(centerX, centerY, radiusX, radiusY) {
-        const segments = 64;
-        const path = [];
-        const checkpoints = [];
-        
-        for (let i = 0; i < segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            const x = centerX + Math.cos(angle) * radiusX;
-            const y = centerY + Math.sin(angle) * radiusY;
-            
-            path.push({ x, y, angle: angle + Math.PI / 2 });
-            
-            // Add checkpoints every 8 segments
-            if (i % 8 === 0) {
-                checkpoints.push({ 
-                    x, 
-                    y, 
-                    radius: 30,
-                    id: checkpoints.length 
-                });
-            }
-        }
-        
-        this.track.path = path;
-        this.track.checkpoints = checkpoints;
-        this.track.bounds = this.generateTrackBounds(path, this.track.width);
-        
-        // Set start line
-        this.track.startLine = {
-            x: path[0].x,
-            y: path[0].y,
-            angle: path[0].angle
-        };
-    }
-
-    generateTrackBounds(path, width) {
-        const innerBounds = [];
-        const outerBounds = [];
-        
-        for (const point of path) {
-            const perpAngle = point.angle;
-            const halfWidth = width / 2;
-            
-            // Inner bound
-            innerBounds.push({
-                x: point.x + Math.cos(perpAngle) * halfWidth,
-                y: point.y + Math.sin(perpAngle) * halfWidth
-            });
-            
-            // Outer bound
-            outerBounds.push({
-                x: point.x - Math.cos(perpAngle) * halfWidth,
-                y: point.y - Math.sin(perpAngle) * halfWidth
-            });
-        }
-        
-        return { inner: innerBounds, outer: outerBounds };
+        this.track = TrackBuilder.createDefaultTrack();
     }
 
     // Asset loading
@@ -175,6 +128,8 @@ class GraphicsEngine {
         // Generate particle sprites
         this.images.spark = this.createSparkSprite();
         this.images.smoke = this.createSmokeSprite();
+        this.images.dust = this.createDustSprite();
+        this.images.mud = this.createMudSprite();
         
         console.log('Procedural assets generated');
     }
@@ -254,14 +209,76 @@ class GraphicsEngine {
         return canvas;
     }
 
+    createDustSprite() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 12;
+        canvas.height = 12;
+        const ctx = canvas.getContext('2d');
+        
+        const gradient = ctx.createRadialGradient(6, 6, 0, 6, 6, 6);
+        gradient.addColorStop(0, 'rgba(205, 185, 145, 0.6)');
+        gradient.addColorStop(1, 'transparent');
+        
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 12, 12);
+        
+        return canvas;
+    }
+
+    createMudSprite() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 6;
+        canvas.height = 6;
+        const ctx = canvas.getContext('2d');
+        
+        ctx.fillStyle = this.colors.surfaces.mud;
+        ctx.beginPath();
+        ctx.arc(3, 3, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+        
+        return canvas;
+    }
+
     // Camera system
-    updateCamera(targetKart) {
-        if (!targetKart) return;
+    setCameraMode(mode) {
+        this.camera.mode = mode === 'free' ? 'free' : 'follow';
+    }
+
+    // Move the free camera; dirX/dirY are -1 to 1
+    panCamera(dirX, dirY, deltaTime) {
+        if (this.camera.mode !== 'free') return;
         
-        // Calculate target camera position
-        const leadDistance = 100;
-        this.camera.targetX = targetKart.x + Math.cos(targetKart.rotation) * leadDistance - this.width / 2;
-        this.camera.targetY = targetKart.y + Math.sin(targetKart.rotation) * leadDistance - this.height / 2;
+        const distance = this.camera.panSpeed * deltaTime / this.camera.zoom;
+        this.camera.targetX += dirX * distance;
+        this.camera.targetY += dirY * distance;
+    }
+
+    // Jump the camera so (x, y) is in the middle of the screen
+    centerCamera(x, y, zoom = this.camera.zoom) {
+        this.camera.zoom = this.camera.targetZoom = zoom;
+        this.camera.x = this.camera.targetX = x - this.width / 2 / zoom;
+        this.camera.y = this.camera.targetY = y - this.height / 2 / zoom;
+    }
+
+    // Zoom by `factor`, keeping the world point under (screenX, screenY) in place
+    zoomCameraAt(factor, screenX, screenY) {
+        const anchor = this.screenToWorld(screenX, screenY);
+        const zoom = Utils.clamp(this.camera.zoom * factor, 0.1, 4);
+
+        this.camera.zoom = this.camera.targetZoom = zoom;
+        this.camera.x = this.camera.targetX = anchor.x - screenX / zoom;
+        this.camera.y = this.camera.targetY = anchor.y - screenY / zoom;
+    }
+
+    updateCamera(targetKart) {
+        if (this.camera.mode === 'follow') {
+            if (!targetKart) return;
+            
+            // Calculate target camera position
+            const leadDistance = 100;
+            this.camera.targetX = targetKart.x + Math.cos(targetKart.rotation) * leadDistance - this.width / 2;
+            this.camera.targetY = targetKart.y + Math.sin(targetKart.rotation) * leadDistance - this.height / 2;
+        }
         
         // Smooth camera movement
         this.camera.x = Utils.lerp(this.camera.x, this.camera.targetX, this.camera.smoothing);
@@ -297,8 +314,9 @@ class GraphicsEngine {
         // Render game world
         this.renderBackground();
         this.renderTrack();
-        this.renderCheckpoints(gameState.checkpoints);
+        this.renderCheckpoints(gameState.checkpoints, gameState.nextCheckpoint);
         this.renderTireMarks(gameState.tireMarks);
+        this.renderObstacles(gameState.obstacles || this.track.obstacles);
         this.renderKarts(gameState.karts);
         this.renderParticles();
         this.renderEffects(gameState.effects);
@@ -365,44 +383,29 @@ class GraphicsEngine {
         
         // Draw track path
         if (track.path.length > 0) {
-            this.ctx.beginPath();
+            const { left, right } = track.bounds;
             
-            // Create track outline
-            const outerPath = [];
-            const innerPath = [];
-            
-            for (let i = 0; i < track.path.length; i++) {
-                const point = track.path[i];
-                const perpAngle = point.angle;
-                const halfWidth = track.width / 2;
-                
-                outerPath.push({
-                    x: point.x - Math.cos(perpAngle) * halfWidth,
-                    y: point.y - Math.sin(perpAngle) * halfWidth
-                });
-                
-                innerPath.push({
-                    x: point.x + Math.cos(perpAngle) * halfWidth,
-                    y: point.y + Math.sin(perpAngle) * halfWidth
-                });
-            }
+            this.ctx.beginPath();
             
-            // Draw outer edge
-            this.ctx.moveTo(outerPath[0].x, outerPath[0].y);
-            for (let i = 1; i < outerPath.length; i++) {
-                this.ctx.lineTo(outerPath[i].x, outerPath[i].y);
+            // Draw one edge
+            this.ctx.moveTo(left[0].x, left[0].y);
+            for (let i = 1; i < left.length; i++) {
+                this.ctx.lineTo(left[i].x, left[i].y);
             }
             this.ctx.closePath();
             
-            // Draw inner edge (reverse direction for hole)
-            this.ctx.moveTo(innerPath[0].x, innerPath[0].y);
-            for (let i = innerPath.length - 1; i >= 0; i--) {
-                this.ctx.lineTo(innerPath[i].x, innerPath[i].y);
+            // Draw the other edge (reverse direction for hole)
+            this.ctx.moveTo(right[0].x, right[0].y);
+            for (let i = right.length - 1; i >= 0; i--) {
+                this.ctx.lineTo(right[i].x, right[i].y);
             }
             this.ctx.closePath();
             
             this.ctx.fill('evenodd');
             
+            // Surface zones painted over the ground and track
+            this.renderSurfaceZones(track.surfaces);
+            
             // Draw track center line
             this.ctx.strokeStyle = this.colors.trackLines;
             this.ctx.lineWidth = 2;
@@ -419,16 +422,202 @@ class GraphicsEngine {
         
         // Draw start/finish line
         this.renderStartLine();
+        
+        // Scenery
+        this.renderDecorations(track.decorations);
+    }
+
+    renderSurfaceZones(zones) {
+        if (!zones) return;
+        
+        for (const zone of zones) {
+            this.ctx.fillStyle = this.colors.surfaces[zone.type];
+            this.ctx.beginPath();
+            if (zone.polygon) {
+                this.ctx.moveTo(zone.polygon[0].x, zone.polygon[0].y);
+                for (let i = 1; i < zone.polygon.length; i++) {
+                    this.ctx.lineTo(zone.polygon[i].x, zone.polygon[i].y);
+                }
+                this.ctx.closePath();
+            } else {
+                // Painted patch: a position and radius
+                this.ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+            }
+            this.ctx.fill();
+        }
+    }
+
+    renderDecorations(decorations) {
+        if (!decorations) return;
+        
+        const ctx = this.ctx;
+        
+        for (const decoration of decorations) {
+            const size = decoration.size || 30;
+            
+            ctx.save();
+            ctx.translate(decoration.x, decoration.y);
+            ctx.rotate(decoration.rotation || 0);
+            
+            switch (decoration.type) {
+                case 'tree':
+                    ctx.fillStyle = '#1e4d1e';
+                    ctx.beginPath();
+                    ctx.arc(0, 0, size, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.fillStyle = '#2f6f2a';
+                    ctx.beginPath();
+                    ctx.arc(-size * 0.2, -size * 0.2, size * 0.65, 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                case 'bush':
+                    ctx.fillStyle = '#3d7a35';
+                    ctx.beginPath();
+                    ctx.arc(0, 0, size, 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                case 'rock':
+                    ctx.fillStyle = '#8a8a8a';
+                    ctx.beginPath();
+                    ctx.ellipse(0, 0, size, size * 0.7, 0, 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                case 'grandstand': {
+                    const width = decoration.width || 200;
+                    const height = decoration.height || 40;
+                    ctx.fillStyle = '#6b6b7a';
+                    ctx.fillRect(-width / 2, -height / 2, width, height);
+                    
+                    // Seating rows
+                    ctx.strokeStyle = '#9a9aab';
+                    ctx.lineWidth = 2;
+                    for (let y = -height / 2 + 8; y < height / 2; y += 8) {
+                        ctx.beginPath();
+                        ctx.moveTo(-width / 2, y);
+                        ctx.lineTo(width / 2, y);
+                        ctx.stroke();
+                    }
+                    break;
+                }
+            }
+            
+            ctx.restore();
+        }
+    }
+
+    // Obstacles from the physics engine while racing (cones move), otherwise
+    // straight from the track file
+    renderObstacles(obstacles) {
+        if (!obstacles) return;
+        
+        const ctx = this.ctx;
+        
+        for (const obstacle of obstacles) {
+            const color = this.colors.obstacles[obstacle.type] || this.colors.obstacles.barrier;
+            
+            if (obstacle.points) {
+                this.renderObstacleShape(obstacle, color);
+                continue;
+            }
+            
+            ctx.save();
+            ctx.translate(obstacle.x, obstacle.y);
+            ctx.rotate(obstacle.rotation || 0);
+            
+            const radius = obstacle.radius;
+            switch (obstacle.type) {
+                case 'cone':
+                    // Square base with the cone on top
+                    ctx.fillStyle = '#c85a10';
+                    ctx.fillRect(-radius, -radius, radius * 2, radius * 2);
+                    ctx.fillStyle = color;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius * 0.8, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.lineWidth = radius * 0.25;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius * 0.45, 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+                case 'tires':
+                    ctx.fillStyle = color;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.strokeStyle = '#4a4a4a';
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius * 0.65, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.fillStyle = '#2d5a2d';
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius * 0.3, 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                default:
+                    ctx.fillStyle = color;
+                    ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.stroke();
+                    break;
+            }
+            
+            ctx.restore();
+        }
+    }
+
+    // Walls and barriers: solid shapes, or thick lines when open
+    renderObstacleShape(obstacle, color) {
+        const ctx = this.ctx;
+        const points = obstacle.points;
+        const closed = points.length >= 3 && obstacle.closed !== false;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        
+        if (closed) {
+            ctx.closePath();
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        } else {
+            const width = obstacle.width || 10;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.lineWidth = width;
+            ctx.strokeStyle = obstacle.type === 'barrier' ? '#ffffff' : color;
+            ctx.stroke();
+            
+            // Barriers are striped red and white
+            if (obstacle.type === 'barrier') {
+                ctx.strokeStyle = color;
+                ctx.setLineDash([width * 1.5, width * 1.5]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        }
+        
+        ctx.restore();
     }
 
     renderStartLine() {
         const startLine = this.track.startLine;
-        const width = this.track.width;
+        const width = startLine.width || this.track.width;
         
         this.ctx.strokeStyle = '#ffffff';
         this.ctx.lineWidth = 3;
         
-        const perpAngle = startLine.angle;
+        const perpAngle = startLine.angle + Math.PI / 2;
         const halfWidth = width / 2;
         
         const x1 = startLine.x - Math.cos(perpAngle) * halfWidth;
@@ -438,7 +627,6 @@ class GraphicsEngine {
         
         // Checkered pattern
         const segments = 8;
-        const segmentLength = width / segments;
         
         for (let i = 0; i < segments; i++) {
             const t1 = i / segments;
@@ -457,16 +645,19 @@ class GraphicsEngine {
         }
     }
 
-    renderCheckpoints(checkpoints) {
+    // Checkpoint gates across the track; the one to go through next stands out
+    renderCheckpoints(checkpoints, nextCheckpoint) {
         if (!checkpoints || this.settings.quality === 'low') return;
         
-        this.ctx.strokeStyle = 'rgba(255, 255, 0, 0.5)';
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([5, 5]);
         
         for (const checkpoint of checkpoints) {
+            const { a, b } = checkpoint.gate;
+            this.ctx.strokeStyle = checkpoint.id === nextCheckpoint ? 'rgba(255, 255, 0, 0.9)' : 'rgba(255, 255, 0, 0.35)';
             this.ctx.beginPath();
-            this.ctx.arc(checkpoint.x, checkpoint.y, checkpoint.radius, 0, Math.PI * 2);
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
             this.ctx.stroke();
         }
         
@@ -476,10 +667,10 @@ class GraphicsEngine {
     renderTireMarks(tireMarks) {
         if (!tireMarks || !this.settings.particles) return;
         
-        this.ctx.globalAlpha = 0.3;
-        
         for (const mark of tireMarks) {
             if (mark.life > 0) {
+                // Fade out over the last second
+                this.ctx.globalAlpha = 0.3 * Math.min(1, mark.life);
                 this.ctx.save();
                 this.ctx.translate(mark.x, mark.y);
                 this.ctx.rotate(mark.angle);
@@ -503,6 +694,12 @@ class GraphicsEngine {
     }
 
     renderKart(kart) {
+        // Time trial ghosts: see-through, no shadow or speed effects
+        if (kart.isGhost) {
+            this.renderGhostKart(kart);
+            return;
+        }
+        
         this.ctx.save();
         
         // Kart shadow
@@ -537,6 +734,23 @@ class GraphicsEngine {
         }
     }
 
+    renderGhostKart(kart) {
+        this.ctx.save();
+        this.ctx.globalAlpha = this.ghostAlpha;
+        
+        this.ctx.save();
+        this.ctx.translate(kart.x, kart.y);
+        this.ctx.rotate(kart.rotation);
+        this.renderKartWithColor(kart.color || this.colors.ghost);
+        this.ctx.restore();
+        
+        if (kart.name) {
+            this.renderKartName(kart);
+        }
+        
+        this.ctx.restore();
+    }
+
     renderKartWithColor(color, isPlayer = false) {
         const width = 40;
         const height = 20;
@@ -631,6 +845,10 @@ class GraphicsEngine {
                         this.ctx.drawImage(this.images.spark, -2, -2);
                     } else if (particle.type === 'smoke') {
                         this.ctx.drawImage(this.images.smoke, -4, -4);
+                    } else if (particle.type === 'dust') {
+                        this.ctx.drawImage(this.images.dust, -6, -6);
+                    } else if (particle.type === 'mud') {
+                        this.ctx.drawImage(this.images.mud, -3, -3);
                     }
                     
                     this.ctx.restore();
@@ -681,7 +899,8 @@ class GraphicsEngine {
         
         const progress = 1 - (effect.life / effect.maxLife);
         
-        this.ctx.fillStyle = `rgba(0, 255, 255, ${1 - progress})`;
+        this.ctx.globalAlpha = 1 - progress;
+        this.ctx.fillStyle = this.colors.boosts[effect.tier - 1] || this.colors.boosts[0];
         this.ctx.beginPath();
         this.ctx.arc(0, 0, 15 * (1 + progress), 0, Math.PI * 2);
         this.ctx.fill();
@@ -702,9 +921,10 @@ class GraphicsEngine {
         
         ctx.clearRect(0, 0, width, height);
         
-        // Scale factor for minimap
-        const scaleX = width / 2000;  // Assuming 2000x2000 world
-        const scaleY = height / 2000;
+        // Scale factor for minimap (whole track world, aspect kept)
+        const size = this.track.size || { width: 2000, height: 2000 };
+        const scaleX = Math.min(width / size.width, height / size.height);
+        const scaleY = scaleX;
         
         ctx.save();
         ctx.scale(scaleX, scaleY);
@@ -741,6 +961,51 @@ class GraphicsEngine {
         ctx.strokeRect(0, 0, width, height);
     }
 
+    // Small drawing of a track (track select screen)
+    renderTrackPreview(track, canvas) {
+        const ctx = canvas.getContext('2d');
+        const { left, right } = track.bounds;
+        const points = [...left, ...right];
+        const minX = Math.min(...points.map(point => point.x));
+        const maxX = Math.max(...points.map(point => point.x));
+        const minY = Math.min(...points.map(point => point.y));
+        const maxY = Math.max(...points.map(point => point.y));
+        const padding = 6;
+        const scale = Math.min(
+            (canvas.width - padding * 2) / (maxX - minX),
+            (canvas.height - padding * 2) / (maxY - minY)
+        );
+        
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.save();
+        ctx.translate(
+            (canvas.width - (maxX - minX) * scale) / 2,
+            (canvas.height - (maxY - minY) * scale) / 2
+        );
+        ctx.scale(scale, scale);
+        ctx.translate(-minX, -minY);
+        
+        ctx.fillStyle = this.colors.track;
+        ctx.beginPath();
+        ctx.moveTo(left[0].x, left[0].y);
+        left.forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+        ctx.moveTo(right[0].x, right[0].y);
+        for (let i = right.length - 1; i >= 0; i--) {
+            ctx.lineTo(right[i].x, right[i].y);
+        }
+        ctx.closePath();
+        ctx.fill('evenodd');
+        
+        // Start line
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(track.startLine.x, track.startLine.y, 4 / scale, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+
     // Particle system management
     createParticleSystem(x, y, type, count = 10) {
         const system = {
@@ -762,29 +1027,132 @@ class GraphicsEngine {
 
     createParticle(x, y, type) {
         const particle = {
-            x: x + (Math.random() - 0.5) * 10,
-            y: y + (Math.random() - 0.5) * 10,
-            vx: (Math.random() - 0.5) * 100,
-            vy: (Math.random() - 0.5) * 100,
+            x: x + (this.random() - 0.5) * 10,
+            y: y + (this.random() - 0.5) * 10,
+            vx: (this.random() - 0.5) * 100,
+            vy: (this.random() - 0.5) * 100,
             life: 1,
             maxLife: 1,
-            scale: 0.5 + Math.random() * 0.5,
+            scale: 0.5 + this.random() * 0.5,
             type
         };
         
         if (type === 'spark') {
-            particle.life = 0.5 + Math.random() * 0.5;
+            particle.life = 0.5 + this.random() * 0.5;
             particle.maxLife = particle.life;
         } else if (type === 'smoke') {
-            particle.life = 1 + Math.random();
+            particle.life = 1 + this.random();
             particle.maxLife = particle.life;
             particle.vy -= 20; // Rise up
+        } else if (type === 'dust') {
+            particle.life = 0.6 + this.random() * 0.4;
+            particle.maxLife = particle.life;
+            particle.vx *= 0.4;
+            particle.vy *= 0.4;
+        } else if (type === 'mud') {
+            particle.life = 0.4 + this.random() * 0.3;
+            particle.maxLife = particle.life;
+            particle.vx *= 1.5; // Flung out, then drops
+            particle.vy *= 1.5;
         }
         
         return particle;
     }
 
+    // Dust and mud thrown up from under a kart, more the faster it goes.
+    // Called every frame; uses the surface the physics found under the kart.
+    emitSurfaceParticles(kart, deltaTime) {
+        const physics = kart.physics;
+        const type = physics && GraphicsEngine.SURFACE_PARTICLES[physics.surface];
+        if (!type || !this.settings.particles) return;
+        
+        const speedRatio = Math.min(1, physics.speed / physics.maxSpeed);
+        if (speedRatio < 0.1) return;
+        
+        kart.surfaceParticles = (kart.surfaceParticles || 0) + GraphicsEngine.SURFACE_PARTICLE_RATE * speedRatio * deltaTime;
+        const count = Math.floor(kart.surfaceParticles);
+        if (count === 0) return;
+        kart.surfaceParticles -= count;
+        
+        // From behind the rear wheels
+        const x = kart.x - Math.cos(kart.rotation) * 12;
+        const y = kart.y - Math.sin(kart.rotation) * 12;
+        this.createParticleSystem(x, y, type, count);
+    }
+
+    // Skid marks from the rear wheels and smoke off the tires while a kart
+    // drifts. Called every step, like emitSurfaceParticles.
+    emitDriftEffects(kart, deltaTime) {
+        const physics = kart.physics;
+        if (!physics || !physics.drifting || !this.settings.particles) return;
+        
+        const cos = Math.cos(kart.rotation);
+        const sin = Math.sin(kart.rotation);
+        const rearX = kart.x - cos * 12;
+        const rearY = kart.y - sin * 12;
+        
+        // Rubber only marks the tarmac
+        if (physics.surface === 'track') {
+            for (const side of [-1, 1]) {
+                this.tireMarks.push({
+                    x: rearX - sin * side * 8,
+                    y: rearY + cos * side * 8,
+                    angle: kart.rotation + Math.PI / 2, // The sprite runs along its height
+                    life: GraphicsEngine.TIRE_MARK_LIFE
+                });
+            }
+            if (this.tireMarks.length > GraphicsEngine.MAX_TIRE_MARKS) {
+                this.tireMarks.splice(0, this.tireMarks.length - GraphicsEngine.MAX_TIRE_MARKS);
+            }
+        }
+        
+        kart.driftSmoke = (kart.driftSmoke || 0) + GraphicsEngine.DRIFT_SMOKE_RATE * deltaTime;
+        const count = Math.floor(kart.driftSmoke);
+        if (count === 0) return;
+        kart.driftSmoke -= count;
+        this.createParticleSystem(rearX, rearY, 'smoke', count);
+    }
+
+    // A mini-turbo firing: a flash at the kart's exhaust that follows it
+    // while the boost lasts
+    addBoostEffect(kart, tier) {
+        const boost = PhysicsEngine.DRIFT_BOOSTS[tier - 1];
+        this.effects.push({
+            type: 'boost',
+            kart: kart,
+            tier: tier,
+            x: kart.x,
+            y: kart.y,
+            life: boost.duration,
+            maxLife: boost.duration
+        });
+    }
+
+    // Clear the particles and reseed them for a race
+    resetParticles(seed) {
+        this.particleSystems = [];
+        this.tireMarks = [];
+        this.effects = [];
+        this.random = Utils.createRandom(seed);
+    }
+
     updateParticles(deltaTime) {
+        for (const mark of this.tireMarks) {
+            mark.life -= deltaTime;
+        }
+        while (this.tireMarks.length > 0 && this.tireMarks[0].life <= 0) {
+            this.tireMarks.shift();
+        }
+        
+        for (const effect of this.effects) {
+            effect.life -= deltaTime;
+            if (effect.kart) {
+                effect.x = effect.kart.x - Math.cos(effect.kart.rotation) * 16;
+                effect.y = effect.kart.y - Math.sin(effect.kart.rotation) * 16;
+            }
+        }
+        this.effects = this.effects.filter(effect => effect.life > 0);
+        
         for (const system of this.particleSystems) {
             for (const particle of system.particles) {
                 if (particle.life > 0) {
@@ -796,6 +1164,14 @@ class GraphicsEngine {
                     if (particle.type === 'smoke') {
                         particle.vy += 10 * deltaTime;
                     }
+                    
+                    // Dust spreads out; mud slows as it lands
+                    if (particle.type === 'dust') {
+                        particle.scale += deltaTime * 1.5;
+                    } else if (particle.type === 'mud') {
+                        particle.vx *= Math.max(0, 1 - 4 * deltaTime);
+                        particle.vy *= Math.max(0, 1 - 4 * deltaTime);
+                    }
                 }
             }
         }
@@ -864,5 +1240,12 @@ class GraphicsEngine {
     }
 }
 
+// Particles kicked up by karts on each surface (none on the track itself)
+GraphicsEngine.SURFACE_PARTICLES = { grass: 'dust', gravel: 'dust', mud: 'mud' };
+GraphicsEngine.SURFACE_PARTICLE_RATE = 30; // Per second at top speed
+GraphicsEngine.DRIFT_SMOKE_RATE = 20;      // Smoke puffs per second while drifting
+GraphicsEngine.TIRE_MARK_LIFE = 6;         // Seconds before a skid mark has faded
+GraphicsEngine.MAX_TIRE_MARKS = 1500;      // Skid marks kept, across all karts
+
 // Global graphics engine instance
 window.GraphicsEngine = GraphicsEngine;
\ No newline at end of file
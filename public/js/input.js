@@ -17,7 +17,9 @@ class InputManager {
             brake: 0,         // 0-1
             steer: 0,         // -1 to 1
             pause: false,
-            restart: false
+            restart: false,
+            nextCameraTarget: false, // Spectators: follow the next kart
+            toggleCamera: false      // Spectators: switch follow/free camera
         };
         
         // Touch controls
@@ -72,6 +74,12 @@ class InputManager {
             this.inputState.restart = true;
             event.preventDefault();
         }
+        if (event.code === 'KeyC' && !event.repeat) {
+            this.inputState.nextCameraTarget = true;
+        }
+        if (event.code === 'KeyV' && !event.repeat) {
+            this.inputState.toggleCamera = true;
+        }
     }
 
     handleKeyUp(event) {
@@ -452,6 +460,8 @@ class InputManager {
     resetFrameInputs() {
         this.inputState.pause = false;
         this.inputState.restart = false;
+        this.inputState.nextCameraTarget = false;
+        this.inputState.toggleCamera = false;
     }
 
     // Settings management
@@ -0,0 +1,50 @@
+// Leaderboard client for GoKart Racing Game
+// Lap records are kept by the game server (see server/leaderboard.js); on
+// static hosting there is no server, so every call is skipped.
+
+class LeaderboardClient {
+    constructor(serverUrl = window.location.origin) {
+        this.serverUrl = serverUrl;
+    }
+
+    isAvailable() {
+        return window.MULTIPLAYER_AVAILABLE !== false;
+    }
+
+    // Submit a lap: { playerId, playerName, track, mode, kartType, lapTime }.
+    // Resolves with the placement: { rank, total, personalBest, bestLapTime, ... }
+    async submitLap(lap) {
+        const response = await fetch(`${this.serverUrl}/api/laps`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(lap)
+        });
+
+        return this.readResponse(response, 'Failed to submit lap');
+    }
+
+    // Query: { track, mode, kartType, limit, playerId }. With a playerId the
+    // response's `player` holds that player's rank and the records around it.
+    async fetchLeaderboard(query = {}) {
+        const params = new URLSearchParams();
+        if (query.track) params.set('track', query.track);
+        if (query.mode) params.set('mode', query.mode);
+        if (query.kartType) params.set('kart', query.kartType);
+        if (query.limit) params.set('limit', query.limit);
+        if (query.playerId) params.set('playerId', query.playerId);
+
+        const response = await fetch(`${this.serverUrl}/api/leaderboard?${params}`);
+        return this.readResponse(response, 'Failed to load leaderboard');
+    }
+
+    async readResponse(response, failureMessage) {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `${failureMessage} (${response.status})`);
+        }
+        return data;
+    }
+}
+
+// Global leaderboard client
+window.LeaderboardClient = LeaderboardClient;
@@ -6,9 +6,14 @@ class MultiplayerManager {
         this.connected = false;
         this.playerId = null;
         this.playerName = '';
+        this.kartType = 'balanced'; // KartPhysics preset picked in Settings, sent when taking a seat
         this.roomCode = null;
         this.isHost = false;
+        this.isSpectator = false;
         this.players = {};
+        this.spectators = {};
+        this.bots = {}; // Server-driven AI karts in the current race, by id
+        this.roomSettings = null; // Laps, max players, track, collisions, bot fill
         this.gameState = null;
         this.serverUrl = this.getServerUrl();
         
@@ -16,6 +21,25 @@ class MultiplayerManager {
         this.lastSyncTime = 0;
         this.syncInterval = 1000 / 20; // 20 Hz sync rate
         this.interpolationDelay = 100; // ms
+        this.simulationMode = 'server'; // 'server' (authoritative) or 'relay'
+        this.lastSentControls = null;
+        this.lastInputTime = 0;
+        this.latestRaceState = null;
+        
+        // Session token from the server's welcome, used to reclaim our seat
+        // after a dropped connection
+        this.sessionToken = null;
+        this.sessionResumed = false;
+        
+        // Clock sync with the server (NTP-style). serverNow() = Date.now() + clockOffset;
+        // race starts, snapshots and lap times are all on the server's clock.
+        this.clockOffset = 0;
+        this.roundTripTime = null;
+        this.clockSamples = [];
+        this.clockSyncBurst = 5;          // Pings sent back to back on connect
+        this.clockSyncInterval = 10000;   // ms between pings after that
+        this.maxClockSamples = 8;
+        this.clockSyncTimer = null;
         
         // Event handlers
         this.eventHandlers = {};
@@ -29,26 +53,19 @@ class MultiplayerManager {
     }
 
     getServerUrl() {
-        // For development and production
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const host = window.location.host;
-        
-        // Use environment variable or fallback to current host
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            return `${protocol}//${host}`;
-        } else {
-            // Production server URL (will be set during deployment)
-            return `${protocol}//${host}`;
-        }
+        // The Socket.IO server is served from the same origin as the game
+        return window.location.origin;
     }
 
     initialize() {
         this.playerId = Utils.generatePlayerId();
         this.playerName = this.loadPlayerName();
+        this.kartType = this.loadKartType();
         
         console.log('Multiplayer Manager initialized');
         console.log('Player ID:', this.playerId);
         console.log('Server URL:', this.serverUrl);
+        console.log('Protocol version:', Protocol.VERSION);
     }
 
     // Connection management
@@ -62,83 +79,141 @@ class MultiplayerManager {
             return Promise.reject(new Error('Multiplayer not available on this platform'));
         }
 
-        // Check if WebSocket is supported
-        if (!window.WebSocket) {
-            return Promise.reject(new Error('WebSocket not supported in this browser'));
+        // The Socket.IO client is loaded by index.html when a server is available
+        if (typeof window.io !== 'function') {
+            return Promise.reject(new Error('Socket.IO client not loaded'));
+        }
+
+        // A server that rejected our protocol version will keep rejecting it
+        if (this.updateRequired) {
+            return Promise.reject(this.createUpdateRequiredError());
         }
 
         return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const handleWelcome = (data) => {
+                this.sessionToken = data.sessionToken;
+                this.sessionResumed = !!data.resumed;
+                this.connected = true;
+                this.connectionStatus = 'connected';
+                this.reconnectAttempts = 0;
+                this.updateConnectionStatus();
+                this.startClockSync();
+                
+                // Our session came back without a room: the seat was given up
+                if (data.resumed && !data.roomCode && this.roomCode) {
+                    this.handleSeatLost();
+                }
+                
+                settle();
+                resolve();
+            };
+
+            const handleProtocolError = (data) => {
+                this.updateRequired = true;
+                this.connectionStatus = 'updateRequired';
+                this.updateConnectionStatus();
+                settle();
+                reject(this.createUpdateRequiredError(data.message));
+            };
+
+            const fail = (error) => {
+                if (settled) return;
+                this.connectionStatus = 'error';
+                this.updateConnectionStatus();
+                settle();
+                if (this.socket) {
+                    this.socket.disconnect();
+                    this.socket = null;
+                }
+                reject(error);
+            };
+
+            const settle = () => {
+                settled = true;
+                clearTimeout(timeout);
+                this.off(Protocol.ServerMessages.WELCOME, handleWelcome);
+                this.off(Protocol.ServerMessages.PROTOCOL_ERROR, handleProtocolError);
+            };
+
+            // Timeout after 10 seconds (connection and handshake)
+            const timeout = setTimeout(() => fail(new Error('Connection timeout')), 10000);
+
             try {
-                this.socket = new WebSocket(this.serverUrl);
+                // Reconnection is handled by attemptReconnect()
+                this.socket = window.io(this.serverUrl, { reconnection: false, timeout: 10000 });
                 this.connectionStatus = 'connecting';
                 this.updateConnectionStatus();
 
-                this.socket.onopen = () => {
+                this.on(Protocol.ServerMessages.WELCOME, handleWelcome);
+                this.on(Protocol.ServerMessages.PROTOCOL_ERROR, handleProtocolError);
+
+                this.socket.on('connect', () => {
                     console.log('Connected to multiplayer server');
-                    this.connected = true;
-                    this.connectionStatus = 'connected';
-                    this.reconnectAttempts = 0;
                     
-                    // Send initial player data
-                    this.sendMessage('playerJoin', {
+                    // Protocol handshake - the server answers with 'welcome' or 'protocolError'
+                    this.sendMessage(Protocol.ClientMessages.PLAYER_JOIN, {
+                        protocolVersion: Protocol.VERSION,
                         playerId: this.playerId,
-                        playerName: this.playerName
+                        playerName: this.playerName,
+                        sessionToken: this.sessionToken || undefined
                     });
-                    
-                    this.updateConnectionStatus();
-                    resolve();
-                };
+                });
 
-                this.socket.onmessage = (event) => {
-                    this.handleMessage(JSON.parse(event.data));
-                };
+                this.socket.onAny((type, data) => {
+                    this.handleMessage(type, data);
+                });
 
-                this.socket.onclose = (event) => {
-                    console.log('Disconnected from server:', event.code, event.reason);
+                this.socket.on('connect_error', (error) => {
+                    console.error('Socket.IO connection error:', error);
+                    fail(error);
+                });
+
+                this.socket.on('disconnect', (reason) => {
+                    console.log('Disconnected from server:', reason);
                     this.handleDisconnection();
-                };
-
-                this.socket.onerror = (error) => {
-                    console.error('WebSocket error:', error);
-                    this.connectionStatus = 'error';
-                    this.updateConnectionStatus();
-                    reject(error);
-                };
-
-                // Timeout after 10 seconds
-                setTimeout(() => {
-                    if (this.connectionStatus === 'connecting') {
-                        this.socket.close();
-                        reject(new Error('Connection timeout'));
-                    }
-                }, 10000);
+                });
 
             } catch (error) {
-                console.error('Failed to create WebSocket connection:', error);
-                this.connectionStatus = 'error';
-                this.updateConnectionStatus();
-                reject(error);
+                console.error('Failed to create Socket.IO connection:', error);
+                fail(error);
             }
         });
     }
 
+    createUpdateRequiredError(message) {
+        const error = new Error(message || 'This version of the game is out of date. Please update to play online.');
+        error.code = Protocol.ErrorCodes.VERSION_MISMATCH;
+        return error;
+    }
+
     disconnect() {
         if (this.socket) {
-            this.socket.close();
+            this.socket.disconnect();
         }
         this.cleanup();
     }
 
     handleDisconnection() {
+        this.stopClockSync();
+        
+        if (this.socket) {
+            this.socket.offAny();
+            this.socket.off();
+        }
+        
         this.connected = false;
         this.socket = null;
-        this.connectionStatus = 'disconnected';
+        if (!this.updateRequired) {
+            this.connectionStatus = 'disconnected';
+        }
         this.updateConnectionStatus();
         
         this.emit('disconnected');
         
         // Auto-reconnect if in a room and not intentional disconnect
-        if (this.roomCode && this.reconnectAttempts < this.maxReconnectAttempts) {
+        if (this.roomCode && !this.updateRequired && this.reconnectAttempts < this.maxReconnectAttempts) {
             this.attemptReconnect();
         }
     }
@@ -153,8 +228,11 @@ class MultiplayerManager {
         setTimeout(async () => {
             try {
                 await this.connect();
-                if (this.roomCode) {
-                    await this.joinRoom(this.roomCode);
+                
+                // A resumed session puts us back in the room (and race) server-side;
+                // only rejoin by code if our seat was given up
+                if (this.roomCode && !this.sessionResumed) {
+                    await this.joinRoom(this.roomCode, { spectate: this.isSpectator });
                 }
             } catch (error) {
                 console.error('Reconnection failed:', error);
@@ -167,20 +245,20 @@ class MultiplayerManager {
 
     // Message handling
     sendMessage(type, data = {}) {
-        if (!this.connected || !this.socket) {
+        const isHandshake = type === Protocol.ClientMessages.PLAYER_JOIN;
+        if (!this.socket || (!this.connected && !isHandshake)) {
             console.warn('Cannot send message: not connected');
             return false;
         }
 
-        const message = {
-            type,
-            playerId: this.playerId,
-            timestamp: Date.now(),
-            ...data
-        };
+        const result = Protocol.validate(type, data);
+        if (!result.valid) {
+            console.error(`Refusing to send invalid ${type} message:`, result.errors);
+            return false;
+        }
 
         try {
-            this.socket.send(JSON.stringify(message));
+            this.socket.emit(type, result.value);
             return true;
         } catch (error) {
             console.error('Failed to send message:', error);
@@ -188,113 +266,214 @@ class MultiplayerManager {
         }
     }
 
-    handleMessage(message) {
-        const { type, data } = message;
+    handleMessage(type, payload) {
+        if (!Protocol.isKnownType(type)) {
+            console.warn('Unknown message type:', type);
+            return;
+        }
+
+        const result = Protocol.validate(type, payload);
+        if (!result.valid) {
+            console.warn(`Dropping invalid ${type} message:`, result.errors);
+            return;
+        }
+
+        const data = result.value;
 
         switch (type) {
-            case 'playerJoined':
+            case Protocol.ServerMessages.WELCOME:
+                console.log(`Handshake complete (protocol v${data.protocolVersion})`);
+                break;
+            case Protocol.ServerMessages.PROTOCOL_ERROR:
+                console.error('Protocol mismatch:', data.message);
+                break;
+            case Protocol.ServerMessages.TIME_SYNC:
+                this.handleTimeSync(data);
+                break;
+            case Protocol.ServerMessages.PLAYER_JOINED:
                 this.handlePlayerJoined(data);
                 break;
-            case 'playerLeft':
+            case Protocol.ServerMessages.PLAYER_LEFT:
                 this.handlePlayerLeft(data);
                 break;
-            case 'roomCreated':
+            case Protocol.ServerMessages.PLAYER_DISCONNECTED:
+                this.handlePlayerDisconnected(data);
+                break;
+            case Protocol.ServerMessages.PLAYER_RECONNECTED:
+                this.handlePlayerReconnected(data);
+                break;
+            case Protocol.ServerMessages.ROOM_CREATED:
                 this.handleRoomCreated(data);
                 break;
-            case 'roomJoined':
+            case Protocol.ServerMessages.ROOM_JOINED:
                 this.handleRoomJoined(data);
                 break;
-            case 'roomLeft':
-                this.handleRoomLeft(data);
+            case Protocol.ServerMessages.ROOM_UPDATED:
+                this.handleRoomUpdated(data);
+                break;
+            case Protocol.ServerMessages.ROOM_CLOSED:
+                this.handleRoomClosed(data);
                 break;
-            case 'gameStateUpdate':
+            case Protocol.ServerMessages.GAME_STATE_UPDATE:
                 this.handleGameStateUpdate(data);
                 break;
-            case 'raceStarted':
+            case Protocol.ServerMessages.RACE_STARTED:
                 this.handleRaceStarted(data);
                 break;
-            case 'raceFinished':
+            case Protocol.ServerMessages.RACE_RESUMED:
+                this.handleRaceResumed(data);
+                break;
+            case Protocol.ServerMessages.RACE_FINISHED:
                 this.handleRaceFinished(data);
                 break;
-            case 'playerPositionUpdate':
+            case Protocol.ServerMessages.PLAYER_POSITION_UPDATE:
                 this.handlePlayerPositionUpdate(data);
                 break;
-            case 'chatMessage':
+            case Protocol.ServerMessages.RACE_STATE:
+                this.handleRaceState(data);
+                break;
+            case Protocol.ServerMessages.LAP_COMPLETED:
+                this.handleLapCompleted(data);
+                break;
+            case Protocol.ServerMessages.PLAYER_READY_UPDATE:
+                this.handlePlayerReadyUpdate(data);
+                break;
+            case Protocol.ServerMessages.PLAYER_FLAGGED:
+                this.handlePlayerFlagged(data);
+                break;
+            case Protocol.ServerMessages.CHAT_MESSAGE:
                 this.handleChatMessage(data);
                 break;
-            case 'error':
+            case Protocol.ServerMessages.ERROR:
                 this.handleError(data);
                 break;
             default:
-                console.warn('Unknown message type:', type);
+                // Client-to-server types are never sent to us
+                console.warn('Unexpected message type from server:', type);
+                return;
         }
 
         this.emit(type, data);
     }
 
+    // Resolve with the payload of the next `type` message, or reject on a server error
+    waitForMessage(type, timeoutMessage) {
+        return new Promise((resolve, reject) => {
+            const handleMessage = (data) => {
+                cleanup();
+                resolve(data);
+            };
+
+            const handleError = (error) => {
+                cleanup();
+                reject(new Error(error.message || 'Request failed'));
+            };
+
+            const cleanup = () => {
+                clearTimeout(timeout);
+                this.off(type, handleMessage);
+                this.off(Protocol.ServerMessages.ERROR, handleError);
+            };
+
+            const timeout = setTimeout(() => {
+                cleanup();
+                reject(new Error(timeoutMessage));
+            }, 10000);
+
+            this.on(type, handleMessage);
+            this.on(Protocol.ServerMessages.ERROR, handleError);
+        });
+    }
+
     // Room management
-    async createRoom() {
+    async createRoom(options = {}) {
         if (!this.connected) {
             await this.connect();
         }
 
-        this.roomCode = Utils.generateRoomCode();
-        this.isHost = true;
+        const roomCreated = this.waitForMessage(Protocol.ServerMessages.ROOM_CREATED, 'Create room timeout');
+        this.sendMessage(Protocol.ClientMessages.CREATE_ROOM, { kartType: this.kartType, ...options });
 
-        this.sendMessage('createRoom', {
-            roomCode: this.roomCode,
-            hostId: this.playerId,
-            hostName: this.playerName
-        });
+        const data = await roomCreated;
+        return data.roomCode;
+    }
 
-        return this.roomCode;
+    // Join the best open public lobby, or have the server open one.
+    // Resolves with the room info either way.
+    async quickMatch(preferences = {}) {
+        if (!this.connected) {
+            await this.connect();
+        }
+
+        const roomJoined = this.waitForMessage(Protocol.ServerMessages.ROOM_JOINED, 'Quick match timeout');
+        this.sendMessage(Protocol.ClientMessages.QUICK_MATCH, { kartType: this.kartType, ...preferences });
+
+        return roomJoined;
+    }
+
+    // Public rooms for the lobby browser (plain HTTP, no socket needed)
+    async fetchRooms() {
+        const response = await fetch(`${this.serverUrl}/api/rooms`);
+        if (!response.ok) {
+            throw new Error(`Failed to load rooms (${response.status})`);
+        }
+
+        const data = await response.json();
+        return data.rooms || [];
     }
 
-    async joinRoom(roomCode) {
+    // Join as a racer, or with { spectate: true } to watch (allowed mid-race)
+    async joinRoom(roomCode, options = {}) {
         if (!this.connected) {
             await this.connect();
         }
 
-        this.sendMessage('joinRoom', {
+        const roomJoined = this.waitForMessage(Protocol.ServerMessages.ROOM_JOINED, 'Join room timeout');
+        this.sendMessage(Protocol.ClientMessages.JOIN_ROOM, {
             roomCode: roomCode,
-            playerId: this.playerId,
-            playerName: this.playerName
+            spectate: !!options.spectate,
+            kartType: options.spectate ? undefined : this.kartType
         });
 
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('Join room timeout'));
-            }, 10000);
-
-            const handleJoined = (data) => {
-                clearTimeout(timeout);
-                this.off('roomJoined', handleJoined);
-                this.off('error', handleError);
-                resolve(data);
-            };
+        return roomJoined;
+    }
 
-            const handleError = (error) => {
-                clearTimeout(timeout);
-                this.off('roomJoined', handleJoined);
-                this.off('error', handleError);
-                reject(new Error(error.message || 'Failed to join room'));
-            };
+    // Host only: change some of the room settings (the server validates and broadcasts)
+    updateRoomSettings(changes) {
+        if (!this.isHost) return false;
 
-            this.on('roomJoined', handleJoined);
-            this.on('error', handleError);
+        return this.sendMessage(Protocol.ClientMessages.UPDATE_ROOM_SETTINGS, {
+            settings: changes
         });
     }
 
+    // Spectators can claim a free kart while the room is not racing
+    async takeRacerSlot() {
+        if (!this.isSpectator) return;
+
+        const roomUpdated = this.waitForMessage(Protocol.ServerMessages.ROOM_UPDATED, 'Take racer slot timeout');
+        this.sendMessage(Protocol.ClientMessages.TAKE_RACER_SLOT, { kartType: this.kartType });
+
+        return roomUpdated;
+    }
+
     leaveRoom() {
         if (this.roomCode) {
-            this.sendMessage('leaveRoom', {
-                roomCode: this.roomCode
-            });
+            this.sendMessage(Protocol.ClientMessages.LEAVE_ROOM);
         }
         
+        this.clearRoom();
+    }
+
+    // Forget the room we were in
+    clearRoom() {
         this.roomCode = null;
         this.isHost = false;
+        this.isSpectator = false;
         this.players = {};
+        this.spectators = {};
+        this.bots = {};
+        this.roomSettings = null;
         this.gameState = null;
     }
 
@@ -316,31 +495,113 @@ class MultiplayerManager {
                 y: kart.physics.velocityY
             },
             speed: kart.physics.speed,
-            timestamp: now
+            timestamp: this.serverNow()
         };
 
-        this.sendMessage('playerPositionUpdate', playerData);
+        this.sendMessage(Protocol.ClientMessages.PLAYER_POSITION_UPDATE, playerData);
+    }
+
+    // Send control inputs to the server simulation (on change, or at the sync rate as a keep-alive)
+    sendPlayerInput(controls) {
+        if (!this.connected || !this.roomCode || !controls) return;
+
+        const now = Date.now();
+        const last = this.lastSentControls;
+        const changed = !last ||
+            last.accelerate !== controls.accelerate ||
+            last.brake !== controls.brake ||
+            last.steer !== controls.steer;
+
+        if (!changed && now - this.lastInputTime < this.syncInterval) return;
+
+        this.lastInputTime = now;
+        this.lastSentControls = { ...controls };
+
+        this.sendMessage(Protocol.ClientMessages.PLAYER_INPUT, {
+            accelerate: controls.accelerate,
+            brake: controls.brake,
+            steer: controls.steer
+        });
+    }
+
+    // Clock synchronization: a ping carries our send time, the server stamps its
+    // own. The sample with the shortest round trip gives the best offset estimate.
+    startClockSync() {
+        this.stopClockSync();
+        this.clockSamples = [];
+        this.sendTimeSync();
+        this.clockSyncTimer = setInterval(() => this.sendTimeSync(), this.clockSyncInterval);
+    }
+
+    stopClockSync() {
+        if (this.clockSyncTimer) {
+            clearInterval(this.clockSyncTimer);
+            this.clockSyncTimer = null;
+        }
+    }
+
+    sendTimeSync() {
+        this.sendMessage(Protocol.ClientMessages.TIME_SYNC, { clientTime: Date.now() });
+    }
+
+    handleTimeSync(data) {
+        const now = Date.now();
+        const roundTrip = now - data.clientTime;
+        if (roundTrip < 0) return;
+
+        this.clockSamples.push({
+            roundTrip: roundTrip,
+            offset: data.serverTime + roundTrip / 2 - now
+        });
+        if (this.clockSamples.length > this.maxClockSamples) {
+            this.clockSamples.shift();
+        }
+
+        const best = this.clockSamples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+        this.clockOffset = best.offset;
+        this.roundTripTime = best.roundTrip;
+
+        // Finish the initial burst
+        if (this.clockSamples.length < this.clockSyncBurst) {
+            this.sendTimeSync();
+        }
+    }
+
+    // Current time on the server's clock
+    serverNow() {
+        return Date.now() + this.clockOffset;
+    }
+
+    // Server clock time -> local Date.now() time
+    toLocalTime(serverTime) {
+        return serverTime - this.clockOffset;
     }
 
     sendGameStateUpdate(gameState) {
         if (!this.isHost || !this.connected) return;
 
-        this.sendMessage('gameStateUpdate', {
+        this.sendMessage(Protocol.ClientMessages.GAME_STATE_UPDATE, {
             gameState: gameState,
-            timestamp: Date.now()
+            timestamp: this.serverNow()
         });
     }
 
     startRace() {
         if (!this.isHost) return;
 
-        this.sendMessage('startRace', {
-            timestamp: Date.now()
+        this.sendMessage(Protocol.ClientMessages.START_RACE, {
+            timestamp: this.serverNow()
         });
     }
 
     // Event handlers
     handlePlayerJoined(data) {
+        if (data.spectator) {
+            this.spectators[data.playerId] = data;
+            console.log('Spectator joined:', data.playerName);
+            return;
+        }
+
         this.players[data.playerId] = data;
         console.log('Player joined:', data.playerName);
     }
@@ -350,6 +611,22 @@ class MultiplayerManager {
         console.log('Player left:', data.playerName);
     }
 
+    handlePlayerDisconnected(data) {
+        const player = this.players[data.playerId];
+        if (player) {
+            player.connected = false;
+        }
+        console.log(`Player ${data.playerName} disconnected, holding their seat for ${Math.round(data.gracePeriod / 1000)}s`);
+    }
+
+    handlePlayerReconnected(data) {
+        const player = this.players[data.playerId];
+        if (player) {
+            player.connected = true;
+        }
+        console.log('Player reconnected:', data.playerName);
+    }
+
     handleRoomCreated(data) {
         this.roomCode = data.roomCode;
         this.isHost = true;
@@ -359,15 +636,43 @@ class MultiplayerManager {
     handleRoomJoined(data) {
         this.roomCode = data.roomCode;
         this.players = data.players || {};
+        this.spectators = data.spectators || {};
+        this.roomSettings = data.settings || null;
         this.isHost = data.hostId === this.playerId;
-        console.log('Joined room:', this.roomCode);
+        this.isSpectator = !!this.spectators[this.playerId];
+        console.log(`${this.isSpectator ? 'Spectating' : 'Joined'} room:`, this.roomCode);
     }
 
-    handleRoomLeft(data) {
-        this.roomCode = null;
-        this.isHost = false;
-        this.players = {};
-        console.log('Left room');
+    handleRoomUpdated(data) {
+        this.players = data.players || {};
+        this.spectators = data.spectators || {};
+        this.roomSettings = data.settings || this.roomSettings;
+        this.isHost = data.hostId === this.playerId;
+        this.isSpectator = !!this.spectators[this.playerId];
+    }
+
+    handleRoomClosed(data) {
+        console.log(`Room ${data.roomCode} closed:`, data.reason);
+        this.clearRoom();
+    }
+
+    // Reconnected too late: the server gave our seat up, so the room is
+    // closed as far as we are concerned
+    handleSeatLost() {
+        const data = {
+            roomCode: this.roomCode,
+            reason: 'Your seat was given up while you were disconnected'
+        };
+        
+        this.handleRoomClosed(data);
+        this.emit(Protocol.ServerMessages.ROOM_CLOSED, data);
+    }
+
+    handlePlayerReadyUpdate(data) {
+        const player = this.players[data.playerId];
+        if (player) {
+            player.ready = data.ready;
+        }
     }
 
     handleGameStateUpdate(data) {
@@ -375,9 +680,28 @@ class MultiplayerManager {
     }
 
     handleRaceStarted(data) {
+        this.simulationMode = data.simulationMode || 'server';
+        this.setBots(data.bots);
+        this.latestRaceState = null;
+        this.lastSentControls = null;
         console.log('Race started by host');
     }
 
+    handleRaceResumed(data) {
+        this.simulationMode = data.simulationMode || 'server';
+        this.setBots(data.bots);
+        this.latestRaceState = null;
+        this.lastSentControls = null;
+        console.log('Rejoined race in progress');
+    }
+
+    setBots(bots = []) {
+        this.bots = {};
+        for (const bot of bots) {
+            this.bots[bot.playerId] = bot;
+        }
+    }
+
     handleRaceFinished(data) {
         console.log('Race finished:', data.results);
     }
@@ -397,7 +721,7 @@ class MultiplayerManager {
                 y: data.y,
                 rotation: data.rotation,
                 velocity: data.velocity,
-                timestamp: data.timestamp
+                timestamp: this.toLocalTime(data.timestamp)
             });
 
             // Keep only recent history (last 500ms)
@@ -406,6 +730,49 @@ class MultiplayerManager {
         }
     }
 
+    // Authoritative kart state from the server simulation
+    handleRaceState(data) {
+        this.latestRaceState = data;
+
+        // Feed remote karts into the interpolation buffer
+        for (const kartState of data.karts) {
+            if (kartState.playerId === this.playerId) continue;
+
+            if (!this.players[kartState.playerId]) {
+                this.players[kartState.playerId] = { playerId: kartState.playerId };
+            }
+
+            this.handlePlayerPositionUpdate({
+                playerId: kartState.playerId,
+                x: kartState.x,
+                y: kartState.y,
+                rotation: kartState.rotation,
+                velocity: { x: kartState.velocityX, y: kartState.velocityY },
+                timestamp: data.timestamp
+            });
+        }
+    }
+
+    getKartState(playerId) {
+        if (!this.latestRaceState) return null;
+        return this.latestRaceState.karts.find(kart => kart.playerId === playerId) || null;
+    }
+
+    handleLapCompleted(data) {
+        if (data.playerId === this.playerId) {
+            console.log(`Lap ${data.lapCount} completed: ${Utils.formatTime(data.lapTime)}`);
+        }
+    }
+
+    // Sent to the host when a player keeps reporting implausible movement
+    handlePlayerFlagged(data) {
+        const player = this.players[data.playerId];
+        if (player) {
+            player.flagged = true;
+        }
+        console.warn(`${data.playerName || data.playerId} flagged for implausible movement:`, data.violations);
+    }
+
     handleChatMessage(data) {
         console.log(`${data.playerName}: ${data.message}`);
     }
@@ -462,7 +829,7 @@ class MultiplayerManager {
         this.savePlayerName();
         
         if (this.connected) {
-            this.sendMessage('updatePlayerInfo', {
+            this.sendMessage(Protocol.ClientMessages.UPDATE_PLAYER_INFO, {
                 playerName: this.playerName
             });
         }
@@ -488,9 +855,8 @@ class MultiplayerManager {
     sendChatMessage(message) {
         if (!this.connected || !this.roomCode) return false;
 
-        this.sendMessage('chatMessage', {
-            message: message.trim().substring(0, 200), // Limit message length
-            playerName: this.playerName
+        this.sendMessage(Protocol.ClientMessages.CHAT_MESSAGE, {
+            message: message.trim().substring(0, 200) // Limit message length
         });
 
         return true;
@@ -550,6 +916,10 @@ class MultiplayerManager {
                     statusText = 'Connection Error';
                     statusClass = 'error';
                     break;
+                case 'updateRequired':
+                    statusText = 'Update required - please refresh to get the latest version';
+                    statusClass = 'error';
+                    break;
             }
 
             statusElement.textContent = statusText;
@@ -567,6 +937,19 @@ class MultiplayerManager {
         Utils.saveToLocalStorage('playerName', this.playerName);
     }
 
+    loadKartType() {
+        const kartType = Utils.loadFromLocalStorage('kartType', 'balanced');
+        return AIManager.KART_TYPES.includes(kartType) ? kartType : 'balanced';
+    }
+
+    // Takes effect from the next seat we take; a seat keeps its preset
+    setKartType(kartType) {
+        if (!AIManager.KART_TYPES.includes(kartType)) return;
+        
+        this.kartType = kartType;
+        Utils.saveToLocalStorage('kartType', kartType);
+    }
+
     // Network statistics
     getNetworkStats() {
         return {
@@ -575,20 +958,32 @@ class MultiplayerManager {
             playerName: this.playerName,
             roomCode: this.roomCode,
             isHost: this.isHost,
+            protocolVersion: Protocol.VERSION,
+            simulationMode: this.simulationMode,
             playerCount: this.getPlayerCount(),
             reconnectAttempts: this.reconnectAttempts,
-            connectionStatus: this.connectionStatus
+            connectionStatus: this.connectionStatus,
+            clockOffset: this.clockOffset,
+            roundTripTime: this.roundTripTime
         };
     }
 
     // Cleanup
     cleanup() {
+        this.stopClockSync();
         this.connected = false;
         this.socket = null;
         this.roomCode = null;
         this.isHost = false;
+        this.isSpectator = false;
         this.players = {};
+        this.spectators = {};
+        this.bots = {};
+        this.roomSettings = null;
         this.gameState = null;
+        this.latestRaceState = null;
+        this.sessionToken = null;
+        this.sessionResumed = false;
         this.eventHandlers = {};
         this.connectionStatus = 'disconnected';
         this.updateConnectionStatus();
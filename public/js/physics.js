@@ -8,18 +8,53 @@ class PhysicsEngine {
         this.maxSpeed = 200;
         this.trackBounds = [];
         this.checkpoints = [];
+        this.path = [];
+        this.lapDistances = [];      // Distance from the first checkpoint for each path point
+        this.checkpointDistances = [];
+        this.lapLength = 0;
         this.collisionObjects = [];
+        this.collisions = [];        // Kart collisions resolved in the last update
+        this.boosts = [];            // Mini-turbos fired in the last update: { obj, tier }
+        this.grid = new SpatialGrid(); // Karts by position, rebuilt each update (see getNearbyKarts)
+        this.positions = new Map();  // Kart -> race position, from the last updateStandings
+        this.surfaceMap = null;
+        this.worldBounds = { x: 0, y: 0, width: 2000, height: 2000 };
+        this.kartCollisions = true;
+        this.time = 0;               // Simulation clock (ms), advanced only by update
+        this.random = Utils.createRandom(0);
     }
 
     // Initialize physics world
-    initialize(trackData) {
+    initialize(trackData, options = {}) {
         this.trackBounds = trackData.bounds || [];
         this.checkpoints = trackData.checkpoints || [];
-        this.collisionObjects = trackData.obstacles || [];
+        this.path = trackData.path || [];
+        this.measureLap();
+        this.collisionObjects = this.createObstacles(trackData.obstacles || []);
+        if (trackData.size) {
+            this.worldBounds = { x: 0, y: 0, width: trackData.size.width, height: trackData.size.height };
+        }
+        this.grid.resize(this.worldBounds.width, this.worldBounds.height);
+        this.surfaceMap = new SurfaceMap(trackData);
+        this.kartCollisions = options.kartCollisions !== false;
+    }
+
+    // Start the simulation clock and random numbers for a race. The same seed
+    // and the same controls, stepped at TIMESTEP, give the same race.
+    reset(seed = 0, time = 0) {
+        this.time = time;
+        this.random = Utils.createRandom(seed);
+        this.collisions = [];
+        this.boosts = [];
+        this.grid.rebuild([]);
+        this.positions.clear();
     }
 
     // Update physics for all objects
     update(deltaTime, objects) {
+        this.time += deltaTime * 1000;
+        this.boosts = [];
+
         for (const obj of objects) {
             if (obj.physics) {
                 this.updateObject(obj, deltaTime);
@@ -28,6 +63,8 @@ class PhysicsEngine {
 
         // Handle collisions
         this.handleCollisions(objects);
+        this.handleObstacleCollisions(objects);
+        this.updateObstacles(Math.min(deltaTime, 1/30));
     }
 
     // Update individual object physics
@@ -59,9 +96,19 @@ class PhysicsEngine {
         physics.forceY = 0;
         physics.torque = 0;
 
+        // A mini-turbo runs the engine flat out, and harder, until it is spent
+        const boost = this.getBoost(physics);
+        if (boost) {
+            physics.boostTime = Math.max(0, physics.boostTime - deltaTime);
+            if (physics.boostTime === 0) {
+                physics.boostTier = 0;
+            }
+        }
+
         // Apply engine force (acceleration)
-        if (obj.controls && obj.controls.accelerate) {
-            const engineForce = physics.enginePower * obj.controls.accelerate;
+        const throttle = boost ? 1 : obj.controls && obj.controls.accelerate;
+        if (throttle) {
+            const engineForce = physics.enginePower * throttle * (boost ? boost.power : 1);
             const forceX = Math.cos(obj.rotation) * engineForce;
             const forceY = Math.sin(obj.rotation) * engineForce;
             
@@ -83,15 +130,6 @@ class PhysicsEngine {
             }
         }
 
-        // Apply steering torque
-        if (obj.controls && obj.controls.steer !== 0) {
-            const steerForce = physics.steerPower * obj.controls.steer;
-            const velocityMag = Math.sqrt(physics.velocityX ** 2 + physics.velocityY ** 2);
-            const steerEffectiveness = Math.min(velocityMag / 50, 1); // Steering is more effective at higher speeds
-            
-            physics.torque += steerForce * steerEffectiveness;
-        }
-
         // Apply drag/friction
         const velocityMag = Math.sqrt(physics.velocityX ** 2 + physics.velocityY ** 2);
         if (velocityMag > 0) {
@@ -103,15 +141,125 @@ class PhysicsEngine {
             physics.forceY += dragY;
         }
 
-        // Surface friction (different for track vs grass)
-        const surfaceType = this.getSurfaceType(obj.x, obj.y);
-        const frictionCoeff = this.getFrictionCoefficient(surfaceType);
+        // Surface friction (looked up once per step; grip and effects reuse it)
+        physics.surface = this.getSurfaceType(obj.x, obj.y);
+        const frictionCoeff = this.getFrictionCoefficient(physics.surface);
         
         physics.forceX -= physics.velocityX * frictionCoeff;
         physics.forceY -= physics.velocityY * frictionCoeff;
 
-        // Angular drag
-        physics.torque -= physics.angularVelocity * physics.angularDrag;
+        // Tire grip and steering
+        this.applyTireForces(obj, deltaTime);
+    }
+
+    // The tires, in the kart's frame. Sideways they push back against the
+    // kart's sideways speed, but only up to a grip limit (lower off the
+    // tarmac, at speed and under braking); past it the kart slides and keeps
+    // its momentum. While the tires grip, the kart turns at the rate its front
+    // wheels ask for. A slide at speed that swings the nose past driftAngle is
+    // a drift: the tires hold slideGrip of their grip to swing the kart's path
+    // round toward the nose, scrubbing off a little speed, and the steering
+    // sets the drift angle - so a drift can be held through a corner on the
+    // throttle, and ended by straightening up.
+    applyTireForces(obj, deltaTime) {
+        const physics = obj.physics;
+        const steer = obj.controls ? obj.controls.steer || 0 : 0;
+        
+        const forwardX = Math.cos(obj.rotation);
+        const forwardY = Math.sin(obj.rotation);
+        const forwardSpeed = physics.velocityX * forwardX + physics.velocityY * forwardY;
+        const sideSpeed = physics.velocityY * forwardX - physics.velocityX * forwardY;
+        const speed = Math.sqrt(physics.velocityX ** 2 + physics.velocityY ** 2);
+        
+        // How far the nose points from the direction of travel
+        const angle = forwardSpeed > 0 ? Math.atan2(-sideSpeed, forwardSpeed) : 0;
+        
+        // Sideways grip, as an acceleration
+        physics.tireGrip = this.calculateTireGrip(obj);
+        const limit = physics.grip * physics.tireGrip;
+        const demand = -sideSpeed * physics.corneringStiffness;
+        
+        physics.sliding = Math.abs(demand) > limit;
+        this.updateDrift(obj, angle, forwardSpeed, deltaTime);
+        physics.slideSpeed = physics.sliding || physics.drifting ? Math.abs(sideSpeed) : 0;
+        
+        if (physics.drifting) {
+            // Across and against the direction of travel
+            const turn = physics.driftDirection * limit * physics.slideGrip * Math.min(1, Math.abs(angle) / physics.driftAngle);
+            const scrub = limit * physics.driftScrub * Math.abs(Math.sin(angle));
+            const travelX = physics.velocityX / speed;
+            const travelY = physics.velocityY / speed;
+            
+            physics.forceX += (-travelY * turn - travelX * scrub) * physics.mass;
+            physics.forceY += (travelX * turn - travelY * scrub) * physics.mass;
+            
+            // Turn rate: whatever brings the nose to the angle the steering asks for
+            const targetRate = turn / speed + (steer * physics.maxDriftAngle - angle) * physics.driftControl;
+            physics.torque += (targetRate - physics.angularVelocity) * physics.yawResponse * physics.momentOfInertia;
+            return;
+        }
+        
+        // Across the kart
+        const lateral = Utils.clamp(demand, -limit, limit);
+        physics.forceX -= forwardY * lateral * physics.mass;
+        physics.forceY += forwardX * lateral * physics.mass;
+        
+        // Turn rate: what the front wheels ask for
+        const lock = steer * physics.steerAngle * (1 - physics.steerFade * Math.min(1, speed / physics.maxSpeed));
+        const targetRate = forwardSpeed * Math.tan(lock) / physics.wheelBase;
+        physics.torque += (targetRate - physics.angularVelocity) * physics.yawResponse * physics.momentOfInertia;
+    }
+
+    // A slide at speed becomes a drift once the nose is past driftAngle; the
+    // drift lasts until the kart straightens up (or turns the other way) or
+    // slows down. Holding it charges a mini-turbo through DRIFT_BOOSTS, fired
+    // when the kart straightens up - and lost if it just ran out of speed.
+    updateDrift(obj, angle, forwardSpeed, deltaTime) {
+        const physics = obj.physics;
+        
+        if (physics.drifting) {
+            if (angle * physics.driftDirection > physics.driftExitAngle && forwardSpeed > physics.driftSpeed) {
+                physics.driftTime += deltaTime;
+                physics.driftTier = PhysicsEngine.getDriftTier(physics.driftTime);
+                return;
+            }
+            
+            if (physics.driftTier > 0 && forwardSpeed > physics.driftSpeed) {
+                this.startBoost(obj, physics.driftTier);
+            }
+            
+            physics.drifting = false;
+            physics.driftDirection = 0;
+            physics.driftTime = 0;
+            physics.driftTier = 0;
+        } else if (physics.sliding && Math.abs(angle) > physics.driftAngle && forwardSpeed > physics.driftSpeed) {
+            physics.drifting = true;
+            physics.driftDirection = Math.sign(angle);
+            physics.driftTime = 0;
+        }
+    }
+
+    // Fire a mini-turbo of the given tier (1 and up), replacing any boost
+    // still running
+    startBoost(obj, tier) {
+        const boost = PhysicsEngine.DRIFT_BOOSTS[tier - 1];
+        obj.physics.boostTier = tier;
+        obj.physics.boostTime = boost.duration;
+        this.boosts.push({ obj, tier });
+    }
+
+    // The DRIFT_BOOSTS entry running on a kart, or null
+    getBoost(physics) {
+        return physics.boostTime > 0 ? PhysicsEngine.DRIFT_BOOSTS[physics.boostTier - 1] : null;
+    }
+
+    // Mini-turbo tier charged by a drift held this long (0: none yet)
+    static getDriftTier(driftTime) {
+        let tier = 0;
+        while (tier < PhysicsEngine.DRIFT_BOOSTS.length && driftTime >= PhysicsEngine.DRIFT_BOOSTS[tier].charge) {
+            tier++;
+        }
+        return tier;
     }
 
     // Update velocity based on forces
@@ -129,10 +277,12 @@ class PhysicsEngine {
         const angularAcceleration = physics.torque / physics.momentOfInertia;
         physics.angularVelocity += angularAcceleration * deltaTime;
 
-        // Apply velocity limits
+        // Apply velocity limits (a boost lifts the top speed)
+        const boost = this.getBoost(physics);
+        const maxSpeed = physics.maxSpeed * (boost ? boost.speed : 1);
         const velocityMag = Math.sqrt(physics.velocityX ** 2 + physics.velocityY ** 2);
-        if (velocityMag > physics.maxSpeed) {
-            const scale = physics.maxSpeed / velocityMag;
+        if (velocityMag > maxSpeed) {
+            const scale = maxSpeed / velocityMag;
             physics.velocityX *= scale;
             physics.velocityY *= scale;
         }
@@ -165,7 +315,7 @@ class PhysicsEngine {
         }
 
         // World boundaries (fallback)
-        const worldBounds = { x: 0, y: 0, width: 2000, height: 2000 };
+        const worldBounds = this.worldBounds;
         if (obj.x < worldBounds.x) {
             obj.x = worldBounds.x;
             obj.physics.velocityX = Math.abs(obj.physics.velocityX) * 0.5;
@@ -203,45 +353,28 @@ class PhysicsEngine {
             physics.slipAngle = 0;
         }
         
-        // Tire grip (affects handling)
-        physics.tireGrip = this.calculateTireGrip(obj);
-        
         // Update bounding box for collision detection
         this.updateBoundingBox(obj);
     }
 
-    // Calculate tire grip based on slip angle and speed
+    // Share of the kart's grip the tires have right now: less off the
+    // tarmac, at speed, and under braking (which takes weight off the rear)
     calculateTireGrip(obj) {
         const physics = obj.physics;
-        const slipAngle = Math.abs(physics.slipAngle);
-        const optimalSlipAngle = 0.2; // radians
-        
-        let grip = 1.0;
         
-        // Reduce grip if slip angle is too high
-        if (slipAngle > optimalSlipAngle) {
-            grip = Math.max(0.3, 1.0 - (slipAngle - optimalSlipAngle) * 2);
-        }
+        let grip = this.getGripMultiplier(physics.surface);
+        grip *= 1 - physics.gripFade * Math.min(1, physics.speed / physics.maxSpeed);
         
-        // Reduce grip at very low speeds
-        if (physics.speed < 10) {
-            grip *= physics.speed / 10;
+        if (obj.controls && obj.controls.brake > 0) {
+            grip *= 1 - physics.brakeGripLoss * obj.controls.brake;
         }
         
-        // Surface effect
-        const surfaceType = this.getSurfaceType(obj.x, obj.y);
-        grip *= this.getGripMultiplier(surfaceType);
-        
         return grip;
     }
 
     // Get surface type at position
     getSurfaceType(x, y) {
-        // Simple implementation - check if on track or off track
-        if (Utils.isPointOnTrack(x, y, this.trackBounds)) {
-            return 'track';
-        }
-        return 'grass';
+        return this.surfaceMap ? this.surfaceMap.getSurface(x, y) : 'grass';
     }
 
     // Get friction coefficient for surface
@@ -266,18 +399,27 @@ class PhysicsEngine {
         }
     }
 
-    // Handle collisions between objects
+    // Handle collisions between objects. The grid is rebuilt here, once a
+    // step, and only karts in neighbouring cells are tested against each other.
     handleCollisions(objects) {
-        for (let i = 0; i < objects.length; i++) {
-            for (let j = i + 1; j < objects.length; j++) {
-                const obj1 = objects[i];
-                const obj2 = objects[j];
-                
-                if (obj1.physics && obj2.physics && this.checkCollision(obj1, obj2)) {
-                    this.resolveCollision(obj1, obj2);
+        this.collisions = [];
+        this.grid.rebuild(objects.filter(obj => obj.physics));
+        if (!this.kartCollisions) return;
+
+        this.grid.forEachPair((obj1, obj2) => {
+            if (this.checkCollision(obj1, obj2)) {
+                const collision = this.resolveCollision(obj1, obj2);
+                if (collision) {
+                    this.collisions.push(collision);
                 }
             }
-        }
+        });
+    }
+
+    // Other karts within distance of this one, from the grid of the last
+    // update - a quick answer without scanning every kart
+    getNearbyKarts(kart, distance) {
+        return this.grid.query(kart.x, kart.y, distance).filter(other => other !== kart);
     }
 
     // Check collision between two objects
@@ -287,7 +429,8 @@ class PhysicsEngine {
         return distance < minDistance;
     }
 
-    // Resolve collision between two objects
+    // Resolve collision between two objects. Returns the hit (impulse, and how
+    // fast each kart was closing on the other) when the karts bounce apart.
     resolveCollision(obj1, obj2) {
         const dx = obj2.x - obj1.x;
         const dy = obj2.y - obj1.y;
@@ -327,6 +470,14 @@ class PhysicsEngine {
         const totalMass = obj1.physics.mass + obj2.physics.mass;
         const impulse = impulseMagnitude / totalMass;
         
+        const collision = {
+            obj1: obj1,
+            obj2: obj2,
+            impulse: impulse * obj1.physics.mass * obj2.physics.mass,
+            closing1: obj1.physics.velocityX * normalX + obj1.physics.velocityY * normalY,
+            closing2: -(obj2.physics.velocityX * normalX + obj2.physics.velocityY * normalY)
+        };
+        
         // Apply impulse
         const impulseX = impulse * normalX;
         const impulseY = impulse * normalY;
@@ -338,8 +489,250 @@ class PhysicsEngine {
         
         // Add some angular velocity for realistic spinning
         const angularImpulse = 0.1;
-        obj1.physics.angularVelocity += angularImpulse * (Math.random() - 0.5);
-        obj2.physics.angularVelocity += angularImpulse * (Math.random() - 0.5);
+        obj1.physics.angularVelocity += angularImpulse * (this.random() - 0.5);
+        obj2.physics.angularVelocity += angularImpulse * (this.random() - 0.5);
+        
+        return collision;
+    }
+
+    // Race copies of the track's obstacles. Track files are shared, and
+    // movable obstacles get pushed around, so each race needs its own.
+    createObstacles(definitions) {
+        return definitions.map(definition => {
+            const properties = PhysicsEngine.OBSTACLE_TYPES[definition.type] || PhysicsEngine.OBSTACLE_TYPES.barrier;
+            const obstacle = {
+                type: definition.type,
+                restitution: properties.restitution,
+                friction: properties.friction,
+                movable: false
+            };
+
+            if (definition.points) {
+                // Three or more points are a solid shape, unless the file
+                // says it's an open line (a wall along the track edge, say)
+                obstacle.points = definition.points.map(point => ({ x: point.x, y: point.y }));
+                obstacle.closed = obstacle.points.length >= 3 && definition.closed !== false;
+                obstacle.width = obstacle.closed ? 0 : (definition.width || PhysicsEngine.DEFAULT_WALL_WIDTH);
+
+                const pad = obstacle.width / 2;
+                const xs = obstacle.points.map(point => point.x);
+                const ys = obstacle.points.map(point => point.y);
+                obstacle.box = {
+                    left: Math.min(...xs) - pad,
+                    top: Math.min(...ys) - pad,
+                    right: Math.max(...xs) + pad,
+                    bottom: Math.max(...ys) + pad
+                };
+            } else {
+                obstacle.x = definition.x;
+                obstacle.y = definition.y;
+                obstacle.radius = definition.radius;
+                obstacle.rotation = definition.rotation || 0;
+
+                if (properties.mass) {
+                    obstacle.movable = true;
+                    obstacle.mass = properties.mass;
+                    obstacle.velocityX = 0;
+                    obstacle.velocityY = 0;
+                    obstacle.angularVelocity = 0;
+                }
+            }
+
+            return obstacle;
+        });
+    }
+
+    // Karts against walls, tire stacks and cones
+    handleObstacleCollisions(objects) {
+        for (const obj of objects) {
+            if (!obj.physics) continue;
+
+            for (const obstacle of this.collisionObjects) {
+                const contact = this.getObstacleContact(obj.x, obj.y, obj.radius, obstacle);
+                if (contact) {
+                    this.resolveObstacleContact(obj, obj.physics, obj.physics.mass, contact, obstacle);
+                }
+            }
+        }
+    }
+
+    // Movable obstacles slide to a stop, and stop at walls
+    updateObstacles(deltaTime) {
+        const drag = Math.exp(-PhysicsEngine.OBSTACLE_DRAG * deltaTime);
+
+        for (const obstacle of this.collisionObjects) {
+            if (!obstacle.movable) continue;
+            if (obstacle.velocityX === 0 && obstacle.velocityY === 0 && obstacle.angularVelocity === 0) continue;
+
+            obstacle.x += obstacle.velocityX * deltaTime;
+            obstacle.y += obstacle.velocityY * deltaTime;
+            obstacle.rotation = Utils.normalizeAngle(obstacle.rotation + obstacle.angularVelocity * deltaTime);
+
+            obstacle.velocityX *= drag;
+            obstacle.velocityY *= drag;
+            obstacle.angularVelocity *= drag;
+            if (Math.abs(obstacle.velocityX) + Math.abs(obstacle.velocityY) < 1) {
+                obstacle.velocityX = 0;
+                obstacle.velocityY = 0;
+                obstacle.angularVelocity = 0;
+            }
+
+            for (const other of this.collisionObjects) {
+                if (other.movable) continue;
+
+                const contact = this.getObstacleContact(obstacle.x, obstacle.y, obstacle.radius, other);
+                if (contact) {
+                    this.resolveObstacleContact(obstacle, obstacle, obstacle.mass, contact, other);
+                }
+            }
+
+            obstacle.x = Utils.clamp(obstacle.x, this.worldBounds.x, this.worldBounds.width);
+            obstacle.y = Utils.clamp(obstacle.y, this.worldBounds.y, this.worldBounds.height);
+        }
+    }
+
+    // How far a circle at (x, y) overlaps an obstacle: { normal, depth } with
+    // the normal pointing out of the obstacle, or null if they don't touch
+    getObstacleContact(x, y, radius, obstacle) {
+        if (!obstacle.points) {
+            return this.getCircleContact(x, y, radius, obstacle.x, obstacle.y, obstacle.radius);
+        }
+
+        const box = obstacle.box;
+        if (x + radius < box.left || x - radius > box.right || y + radius < box.top || y - radius > box.bottom) {
+            return null;
+        }
+
+        // Nearest point on the outline
+        const points = obstacle.points;
+        const segmentCount = obstacle.closed ? points.length : points.length - 1;
+        let nearest = null;
+        let nearestDistance = Infinity;
+        let nearestSegment = 0;
+
+        for (let i = 0; i < segmentCount; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const point = Utils.closestPointOnSegment(x, y, a.x, a.y, b.x, b.y);
+            const distance = Utils.distance(x, y, point.x, point.y);
+
+            if (distance < nearestDistance) {
+                nearest = point;
+                nearestDistance = distance;
+                nearestSegment = i;
+            }
+        }
+
+        const inside = obstacle.closed && Utils.isPointOnTrack(x, y, points);
+        const reach = radius + obstacle.width / 2;
+        if (!inside && nearestDistance >= reach) {
+            return null;
+        }
+
+        let normal;
+        if (nearestDistance > 0) {
+            normal = { x: (x - nearest.x) / nearestDistance, y: (y - nearest.y) / nearestDistance };
+        } else {
+            // Dead on the outline: use the segment's normal
+            const a = points[nearestSegment];
+            const b = points[(nearestSegment + 1) % points.length];
+            const length = Utils.distance(a.x, a.y, b.x, b.y) || 1;
+            normal = { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+        }
+
+        // From inside a solid shape the way out is past the nearest edge
+        if (inside) {
+            return { normal: { x: -normal.x, y: -normal.y }, depth: radius + nearestDistance };
+        }
+        return { normal: normal, depth: reach - nearestDistance };
+    }
+
+    getCircleContact(x, y, radius, circleX, circleY, circleRadius) {
+        const distance = Utils.distance(x, y, circleX, circleY);
+        const depth = radius + circleRadius - distance;
+        if (depth <= 0) return null;
+
+        const normal = distance > 0
+            ? { x: (x - circleX) / distance, y: (y - circleY) / distance }
+            : { x: 1, y: 0 };
+        return { normal: normal, depth: depth };
+    }
+
+    // Push a body (kart or movable obstacle) out of an obstacle and bounce it
+    // off, with friction along the contact. A movable obstacle takes its share
+    // of the push and the impulse, by mass.
+    resolveObstacleContact(body, velocity, mass, contact, obstacle) {
+        const { normal, depth } = contact;
+        const inverseMass = 1 / mass;
+        const otherInverseMass = obstacle.movable ? 1 / obstacle.mass : 0;
+        const totalInverseMass = inverseMass + otherInverseMass;
+
+        // Separate
+        const bodyShare = depth * inverseMass / totalInverseMass;
+        body.x += normal.x * bodyShare;
+        body.y += normal.y * bodyShare;
+        if (obstacle.movable) {
+            obstacle.x -= normal.x * (depth - bodyShare);
+            obstacle.y -= normal.y * (depth - bodyShare);
+        }
+
+        // Relative velocity, body against obstacle
+        let relativeX = velocity.velocityX;
+        let relativeY = velocity.velocityY;
+        if (obstacle.movable) {
+            relativeX -= obstacle.velocityX;
+            relativeY -= obstacle.velocityY;
+        }
+
+        const velAlongNormal = relativeX * normal.x + relativeY * normal.y;
+        if (velAlongNormal >= 0) return; // Already separating
+
+        // Bounce
+        const impulse = -(1 + obstacle.restitution) * velAlongNormal / totalInverseMass;
+
+        // Friction along the contact, at most enough to stop the sliding
+        const tangentX = -normal.y;
+        const tangentY = normal.x;
+        const velAlongTangent = relativeX * tangentX + relativeY * tangentY;
+        const maxFriction = obstacle.friction * impulse;
+        const friction = Utils.clamp(-velAlongTangent / totalInverseMass, -maxFriction, maxFriction);
+
+        const impulseX = normal.x * impulse + tangentX * friction;
+        const impulseY = normal.y * impulse + tangentY * friction;
+
+        velocity.velocityX += impulseX * inverseMass;
+        velocity.velocityY += impulseY * inverseMass;
+
+        if (obstacle.movable) {
+            obstacle.velocityX -= impulseX * otherInverseMass;
+            obstacle.velocityY -= impulseY * otherInverseMass;
+
+            // Glancing hits send it spinning
+            obstacle.angularVelocity += velAlongTangent * PhysicsEngine.OBSTACLE_SPIN;
+        }
+    }
+
+    // Where the movable obstacles are, in track order (sent to clients)
+    getObstacleStates() {
+        return this.collisionObjects
+            .filter(obstacle => obstacle.movable)
+            .map(obstacle => ({ x: obstacle.x, y: obstacle.y, rotation: obstacle.rotation }));
+    }
+
+    applyObstacleStates(states) {
+        const movable = this.collisionObjects.filter(obstacle => obstacle.movable);
+
+        states.forEach((state, index) => {
+            const obstacle = movable[index];
+            if (!obstacle) return;
+
+            obstacle.x = state.x;
+            obstacle.y = state.y;
+            obstacle.rotation = state.rotation;
+            obstacle.velocityX = 0;
+            obstacle.velocityY = 0;
+            obstacle.angularVelocity = 0;
+        });
     }
 
     // Check track boundary collision
@@ -409,14 +802,12 @@ class PhysicsEngine {
         obj.boundingBox.height = obj.radius * 2;
     }
 
-    // Calculate slipstream effect
-    calculateSlipstream(kart, otherKarts) {
+    // Calculate slipstream effect (from the karts close enough to give one)
+    calculateSlipstream(kart) {
         let totalEffect = 0;
         
-        for (const other of otherKarts) {
-            if (other === kart) continue;
-            
-            const effect = Utils.calculateSlipstreamEffect(kart, other);
+        for (const other of this.getNearbyKarts(kart, PhysicsEngine.SLIPSTREAM_DISTANCE)) {
+            const effect = Utils.calculateSlipstreamEffect(kart, other, PhysicsEngine.SLIPSTREAM_DISTANCE);
             if (effect > 0) {
                 totalEffect += effect;
             }
@@ -437,78 +828,262 @@ class PhysicsEngine {
         }
     }
 
-    // Check checkpoint crossing
+    // Race progress is distance along the centreline, measured from the
+    // first checkpoint (the finish line)
+    measureLap() {
+        this.lapDistances = [];
+        this.checkpointDistances = [];
+        this.lapLength = 0;
+        if (this.path.length === 0 || this.checkpoints.length === 0) return;
+
+        const origin = this.checkpoints[0].pathIndex;
+        const distances = TrackBuilder.measurePath(this.path, origin);
+        for (let i = 0; i < this.path.length; i++) {
+            this.lapDistances[(origin + i) % this.path.length] = distances[i];
+        }
+        this.lapLength = distances[this.path.length];
+        this.checkpointDistances = this.checkpoints.map(checkpoint => this.lapDistances[checkpoint.pathIndex]);
+    }
+
+    // Race state for a kart on the grid. Karts level with or past the finish
+    // line have already crossed it; the rest cross it as they set off.
+    createRaceData(kart, startTime = this.time) {
+        const raceData = {
+            currentCheckpoint: 0,
+            lapCount: 0,
+            checkpointsPassed: [],
+            lapTimes: [],
+            startTime: startTime,
+            trackDistance: 0,    // Along the centreline from the finish line
+            lapProgress: 0,      // Share of the lap credited (stops at the next checkpoint)
+            wrongWayDistance: 0, // How far the kart has gone backwards
+            wrongWay: false,
+            missedCheckpoint: false,
+            penalties: [],       // Handed out by the race director
+            penaltyTime: 0,      // ms added to the race time
+            driveThrough: 0,     // ms of drive-through still to serve
+            lastX: kart.x,
+            lastY: kart.y,
+            lastTime: startTime  // When lastX/lastY were read (karts don't move before the start)
+        };
+
+        if (this.lapLength > 0) {
+            const distance = this.measureTrackDistance(kart.x, kart.y, raceData);
+            raceData.trackDistance = distance > this.lapLength / 2 ? distance - this.lapLength : distance;
+            raceData.currentCheckpoint = raceData.trackDistance >= 0 ? 1 % this.checkpoints.length : 0;
+            raceData.lapProgress = raceData.trackDistance / this.lapLength;
+        }
+
+        return raceData;
+    }
+
+    // Check checkpoint crossing: a checkpoint counts when the kart crosses its
+    // gate, in the driving direction, between one call and the next. Crossing
+    // the first one (the finish line) after driving a lap completes the lap.
+    // Crossing times are interpolated to the moment the kart reached the gate.
     checkCheckpoints(kart) {
         if (!kart.raceData) {
-            kart.raceData = {
-                currentCheckpoint: 0,
-                lapCount: 0,
-                checkpointsPassed: [],
-                lapTimes: [],
-                startTime: Utils.now()
-            };
+            kart.raceData = this.createRaceData(kart);
+        }
+        
+        const raceData = kart.raceData;
+        if (this.lapLength === 0) return null;
+        
+        const now = this.time;
+        const lastX = raceData.lastX;
+        const lastY = raceData.lastY;
+        const lastTime = raceData.lastTime;
+        raceData.lastX = kart.x;
+        raceData.lastY = kart.y;
+        raceData.lastTime = now;
+        
+        this.updateTrackDistance(kart);
+        
+        const index = raceData.currentCheckpoint;
+        const crossing = this.crossesGate(this.checkpoints[index], lastX, lastY, kart.x, kart.y);
+        if (crossing === null) {
+            this.updateLapProgress(raceData);
+            return null;
         }
         
-        const currentCheckpoint = this.checkpoints[kart.raceData.currentCheckpoint];
-        if (currentCheckpoint) {
-            const distance = Utils.distance(kart.x, kart.y, currentCheckpoint.x, currentCheckpoint.y);
+        const time = lastTime + (now - lastTime) * crossing;
+        raceData.checkpointsPassed.push({
+            checkpoint: index,
+            time: time
+        });
+        raceData.currentCheckpoint = (index + 1) % this.checkpoints.length;
+        
+        let type = 'checkpoint';
+        if (index === 0 && raceData.trackDistance > this.lapLength / 2) {
+            type = 'lap';
+            raceData.lapCount++;
+            raceData.trackDistance -= this.lapLength;
             
-            if (distance < currentCheckpoint.radius) {
-                // Checkpoint passed
-                kart.raceData.checkpointsPassed.push({
-                    checkpoint: kart.raceData.currentCheckpoint,
-                    time: Utils.now()
-                });
-                
-                kart.raceData.currentCheckpoint++;
-                
-                // Check if lap completed
-                if (kart.raceData.currentCheckpoint >= this.checkpoints.length) {
-                    kart.raceData.currentCheckpoint = 0;
-                    kart.raceData.lapCount++;
-                    
-                    const lapTime = Utils.now() - (kart.raceData.lapTimes.length === 0 ? 
-                        kart.raceData.startTime : 
-                        kart.raceData.lapTimes[kart.raceData.lapTimes.length - 1].endTime);
-                    
-                    kart.raceData.lapTimes.push({
-                        lapNumber: kart.raceData.lapCount,
-                        time: lapTime,
-                        endTime: Utils.now()
-                    });
-                    
-                    return { type: 'lap', data: kart.raceData };
-                }
-                
-                return { type: 'checkpoint', data: kart.raceData };
+            const lapTime = time - (raceData.lapTimes.length === 0 ? 
+                raceData.startTime : 
+                raceData.lapTimes[raceData.lapTimes.length - 1].endTime);
+            
+            raceData.lapTimes.push({
+                lapNumber: raceData.lapCount,
+                time: lapTime,
+                endTime: time
+            });
+        }
+        
+        this.updateLapProgress(raceData);
+        
+        return { type: type, checkpoint: index, data: raceData };
+    }
+
+    // Where the move from (x1, y1) to (x2, y2) crosses the checkpoint's gate
+    // going the right way, as a fraction of the move, or null. Gates reach a
+    // little past the track edges, so a kart with a wheel on the grass still
+    // gets through.
+    crossesGate(checkpoint, x1, y1, x2, y2) {
+        const directionX = Math.cos(checkpoint.angle);
+        const directionY = Math.sin(checkpoint.angle);
+        if ((x2 - x1) * directionX + (y2 - y1) * directionY <= 0) return null;
+        
+        const { a, b } = checkpoint.gate;
+        const length = Utils.distance(a.x, a.y, b.x, b.y) || 1;
+        const overhangX = (b.x - a.x) / length * PhysicsEngine.GATE_OVERHANG;
+        const overhangY = (b.y - a.y) / length * PhysicsEngine.GATE_OVERHANG;
+        
+        const crossing = Utils.segmentIntersection(
+            x1, y1, x2, y2,
+            a.x - overhangX, a.y - overhangY, b.x + overhangX, b.y + overhangY
+        );
+        return crossing ? crossing.t : null;
+    }
+
+    // Distance along the centreline, and the wrong way warning
+    updateTrackDistance(kart) {
+        const raceData = kart.raceData;
+        const previous = raceData.trackDistance;
+        raceData.trackDistance = this.measureTrackDistance(kart.x, kart.y, raceData);
+        
+        // Any progress forward clears the warning
+        const moved = raceData.trackDistance - previous;
+        raceData.wrongWayDistance = moved < 0 ? raceData.wrongWayDistance - moved : 0;
+        raceData.wrongWay = raceData.wrongWayDistance > PhysicsEngine.WRONG_WAY_DISTANCE;
+    }
+
+    // Share of the lap driven, and the missed checkpoint warning. Credit stops
+    // at the next checkpoint, so cutting past one gains nothing.
+    updateLapProgress(raceData) {
+        const next = raceData.currentCheckpoint;
+        const gateDistance = next === 0
+            ? (raceData.trackDistance > this.lapLength / 2 ? this.lapLength : 0)
+            : this.checkpointDistances[next];
+        
+        raceData.lapProgress = Math.min(raceData.trackDistance, gateDistance) / this.lapLength;
+        raceData.missedCheckpoint = raceData.trackDistance - gateDistance > PhysicsEngine.MISSED_CHECKPOINT_DISTANCE;
+    }
+
+    // Distance of (x, y) along the centreline from the finish line, kept
+    // within half a lap of the kart's last reading so it doesn't wrap
+    measureTrackDistance(x, y, raceData) {
+        const index = this.findPathIndex(x, y, raceData.pathIndex);
+        raceData.pathIndex = index;
+        
+        // Past or short of the nearest point, along the track
+        const point = this.path[index];
+        const offset = (x - point.x) * Math.cos(point.angle) + (y - point.y) * Math.sin(point.angle);
+        const distance = this.lapDistances[index] + offset;
+        
+        return distance + Math.round((raceData.trackDistance - distance) / this.lapLength) * this.lapLength;
+    }
+
+    // Nearest path point, searching around the last one first (so a kart
+    // isn't snapped to another part of the track that passes close by)
+    findPathIndex(x, y, hint) {
+        const path = this.path;
+        if (hint === undefined) {
+            return TrackBuilder.findClosestPoint(path, x, y);
+        }
+        
+        let closestIndex = hint;
+        let closestDistance = Infinity;
+        for (let i = -PhysicsEngine.PATH_SEARCH_WINDOW; i <= PhysicsEngine.PATH_SEARCH_WINDOW; i++) {
+            const index = (hint + i + path.length) % path.length;
+            const distance = Utils.distance(x, y, path[index].x, path[index].y);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestIndex = index;
             }
         }
         
-        return null;
+        // Lost it (respawned, or far off the track): search everywhere
+        if (closestDistance > path[closestIndex].width * 2) {
+            return TrackBuilder.findClosestPoint(path, x, y);
+        }
+        return closestIndex;
     }
 
-    // Get race position
-    getRacePosition(kart, allKarts) {
-        const raceProgress = this.getRaceProgress(kart);
+    // Race order by progress, worked out once a step after the laps are
+    // counted. Sets each kart's raceData.position; getRacePosition and the
+    // AI read it from there.
+    updateStandings(karts) {
+        const standings = this.sortByProgress(karts);
         
-        const sortedKarts = allKarts
+        this.positions.clear();
+        standings.forEach((kart, index) => {
+            this.positions.set(kart, index + 1);
+            if (kart.raceData) {
+                kart.raceData.position = index + 1;
+            }
+        });
+    }
+
+    // Get race position (from the standings, or sorted now for a kart they
+    // don't have yet)
+    getRacePosition(kart, allKarts) {
+        return this.positions.get(kart) || this.sortByProgress(allKarts).indexOf(kart) + 1;
+    }
+
+    sortByProgress(karts) {
+        return karts
             .map(k => ({ kart: k, progress: this.getRaceProgress(k) }))
-            .sort((a, b) => b.progress - a.progress);
-        
-        return sortedKarts.findIndex(item => item.kart === kart) + 1;
+            .sort((a, b) => b.progress - a.progress)
+            .map(item => item.kart);
     }
 
-    // Calculate race progress (0-1)
+    // Race progress in laps: completed laps plus the share of this one driven
     getRaceProgress(kart) {
         if (!kart.raceData) return 0;
         
-        const lapProgress = kart.raceData.lapCount;
-        const checkpointProgress = kart.raceData.currentCheckpoint / this.checkpoints.length;
-        
-        return lapProgress + checkpointProgress;
+        return kart.raceData.lapCount + (kart.raceData.lapProgress || 0);
     }
 }
 
+// How each obstacle type in a track file behaves when hit. Types with a
+// mass get knocked about; the rest don't move.
+PhysicsEngine.OBSTACLE_TYPES = {
+    tires: { restitution: 0.6, friction: 0.2 },
+    cone: { restitution: 0.3, friction: 0.1, mass: 4 },
+    wall: { restitution: 0.15, friction: 0.5 },
+    barrier: { restitution: 0.3, friction: 0.25 }
+};
+PhysicsEngine.DEFAULT_WALL_WIDTH = 10; // Thickness of open walls and barriers
+PhysicsEngine.OBSTACLE_DRAG = 3;       // How fast knocked cones slow down
+PhysicsEngine.OBSTACLE_SPIN = 0.02;    // Spin per unit of glancing speed
+
+PhysicsEngine.GATE_OVERHANG = 30;               // Checkpoint gates reach this far past the track edges
+PhysicsEngine.MISSED_CHECKPOINT_DISTANCE = 150; // Past a checkpoint without crossing it
+PhysicsEngine.WRONG_WAY_DISTANCE = 100;         // Driven backwards before the warning shows
+PhysicsEngine.PATH_SEARCH_WINDOW = 10;          // Path points either side checked each step
+PhysicsEngine.SLIPSTREAM_DISTANCE = 100;        // Furthest a kart ahead gives a slipstream
+
+PhysicsEngine.TIMESTEP = 1 / 60; // Seconds of simulation per step, wherever the race runs
+
+// Drift mini-turbos, by tier: the drift time (s) that charges each one, and
+// the boost it gives - engine power and top speed multipliers, for duration (s)
+PhysicsEngine.DRIFT_BOOSTS = [
+    { charge: 0.7, power: 2.5, speed: 1.1, duration: 0.6 },
+    { charge: 1.5, power: 3, speed: 1.15, duration: 1.0 },
+    { charge: 2.5, power: 3.5, speed: 1.2, duration: 1.5 }
+];
+
 // Create default physics properties for karts
 class KartPhysics {
     constructor(config = {}) {
@@ -519,7 +1094,25 @@ class KartPhysics {
         // Forces and powers
         this.enginePower = config.enginePower || 800;
         this.brakePower = config.brakePower || 1200;
-        this.steerPower = config.steerPower || 3;
+        
+        // Steering and tires (see PhysicsEngine.applyTireForces)
+        this.wheelBase = config.wheelBase || 40;                   // Axle to axle, sets the turning circle
+        this.steerAngle = config.steerAngle || 0.5;                // Front wheel angle at full lock (rad)
+        this.steerFade = config.steerFade || 0.3;                  // Share of the lock lost at top speed
+        this.yawResponse = config.yawResponse || 8;                // How fast the kart takes up a turn (1/s)
+        this.grip = config.grip || 220;                            // Sideways acceleration the tires hold on tarmac
+        this.gripFade = config.gripFade || 0.25;                   // Share of the grip lost at top speed
+        this.corneringStiffness = config.corneringStiffness || 10; // How fast gripping tires stop a sideways slide (1/s)
+        this.brakeGripLoss = config.brakeGripLoss || 0.4;          // Share of the grip lost at full brake
+        
+        // Drifting
+        this.driftAngle = config.driftAngle || 0.25;         // Slip angle that turns a slide into a drift (rad)
+        this.driftExitAngle = config.driftExitAngle || 0.1;  // Slip angle the drift ends below
+        this.maxDriftAngle = config.maxDriftAngle || 0.6;    // Slip angle held at full steer
+        this.driftControl = config.driftControl || 4;        // How fast the steering sets the drift angle (1/s)
+        this.driftSpeed = config.driftSpeed || 60;           // Slowest a kart can drift
+        this.slideGrip = config.slideGrip || 0.7;            // Share of the grip that swings the path round in a drift
+        this.driftScrub = config.driftScrub || 0.1;          // Share of the grip that slows the kart, at a right-angle drift
         
         // Velocity and limits
         this.velocityX = 0;
@@ -535,13 +1128,21 @@ class KartPhysics {
         
         // Drag and friction
         this.dragCoefficient = config.dragCoefficient || 0.02;
-        this.angularDrag = config.angularDrag || 5;
         
         // Derived properties
         this.speed = 0;
         this.movementDirection = 0;
         this.slipAngle = 0;
-        this.tireGrip = 1;
+        this.tireGrip = 1;      // Share of the grip available (surface, speed, brakes)
+        this.sliding = false;   // Sideways past the grip limit
+        this.slideSpeed = 0;    // Sideways speed while sliding or drifting
+        this.drifting = false;
+        this.driftDirection = 0; // -1 or 1: which way the nose points off the line
+        this.driftTime = 0;     // Seconds into the current drift
+        this.driftTier = 0;     // Mini-turbo charged by the current drift (see PhysicsEngine.DRIFT_BOOSTS)
+        this.boostTier = 0;     // Mini-turbo running (0: none)
+        this.boostTime = 0;     // Seconds of it left
+        this.surface = 'track'; // Surface under the kart (see SurfaceMap)
     }
 
     // Create physics preset for different kart types
@@ -552,21 +1153,28 @@ class KartPhysics {
                     maxSpeed: 180,
                     enginePower: 1000,
                     mass: 120,
-                    dragCoefficient: 0.015
+                    dragCoefficient: 0.015,
+                    steerAngle: 0.45,
+                    grip: 200,
+                    driftAngle: 0.22
                 });
             case 'handling':
                 return new KartPhysics({
                     maxSpeed: 140,
-                    steerPower: 4,
                     mass: 140,
-                    brakePower: 1500
+                    brakePower: 1500,
+                    steerAngle: 0.6,
+                    yawResponse: 10,
+                    grip: 260,
+                    slideGrip: 0.8
                 });
             case 'balanced':
                 return new KartPhysics({
                     maxSpeed: 160,
                     enginePower: 900,
-                    steerPower: 3.5,
-                    mass: 130
+                    mass: 130,
+                    steerAngle: 0.55,
+                    grip: 230
                 });
             default:
                 return new KartPhysics();
@@ -575,5 +1183,12 @@ class KartPhysics {
 }
 
 // Global physics engine instance
-window.PhysicsEngine = PhysicsEngine;
-window.KartPhysics = KartPhysics;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.PhysicsEngine = PhysicsEngine;
+    window.KartPhysics = KartPhysics;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhysicsEngine, KartPhysics };
+}
\ No newline at end of file
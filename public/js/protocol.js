@@ -0,0 +1,462 @@
+// Wire protocol for GoKart Racing multiplayer
+// Shared by MultiplayerManager (browser) and the Socket.IO server (Node).
+// Every message is a Socket.IO event whose name is the message type and whose
+// payload must match the schema below. Bump VERSION on any breaking change.
+
+class Protocol {
+    // Check a client's protocol version against ours
+    static checkVersion(version) {
+        if (!Number.isInteger(version)) {
+            return { compatible: false, reason: 'Missing protocol version' };
+        }
+
+        if (version < this.MIN_SUPPORTED_VERSION) {
+            return { compatible: false, reason: 'Client is too old' };
+        }
+
+        if (version > this.VERSION) {
+            return { compatible: false, reason: 'Server is too old' };
+        }
+
+        return { compatible: true, reason: null };
+    }
+
+    static isKnownType(type) {
+        return Object.prototype.hasOwnProperty.call(this.schemas, type);
+    }
+
+    // Validate a payload against its message schema.
+    // Returns { valid, errors, value } where value only contains declared fields.
+    static validate(type, payload) {
+        const schema = this.schemas[type];
+        if (!schema) {
+            return { valid: false, errors: [`Unknown message type: ${type}`], value: null };
+        }
+
+        if (payload === undefined || payload === null) {
+            payload = {};
+        }
+
+        if (typeof payload !== 'object' || Array.isArray(payload)) {
+            return { valid: false, errors: [`${type}: payload must be an object`], value: null };
+        }
+
+        const errors = [];
+        const value = this.validateObject(schema, payload, type, errors);
+
+        return { valid: errors.length === 0, errors, value };
+    }
+
+    static validateObject(schema, payload, path, errors) {
+        const value = {};
+
+        for (const [field, rules] of Object.entries(schema)) {
+            const fieldPath = `${path}.${field}`;
+            const fieldValue = payload[field];
+
+            if (fieldValue === undefined || fieldValue === null) {
+                if (rules.required) {
+                    errors.push(`${fieldPath} is required`);
+                }
+                continue;
+            }
+
+            const error = this.validateField(rules, fieldValue, fieldPath);
+            if (error) {
+                errors.push(error);
+                continue;
+            }
+
+            if (rules.type === 'array' && rules.items) {
+                value[field] = fieldValue.map((item, index) =>
+                    this.validateObject(rules.items, item || {}, `${fieldPath}[${index}]`, errors)
+                );
+            } else if (rules.type === 'object' && rules.properties) {
+                value[field] = this.validateObject(rules.properties, fieldValue, fieldPath, errors);
+            } else {
+                value[field] = fieldValue;
+            }
+        }
+
+        return value;
+    }
+
+    // Returns an error string, or null when the value is acceptable
+    static validateField(rules, value, path) {
+        switch (rules.type) {
+            case 'string':
+                if (typeof value !== 'string') return `${path} must be a string`;
+                if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+                    return `${path} must be at most ${rules.maxLength} characters`;
+                }
+                if (rules.pattern && !rules.pattern.test(value)) return `${path} has an invalid format`;
+                break;
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+                if (rules.integer && !Number.isInteger(value)) return `${path} must be an integer`;
+                if (rules.min !== undefined && value < rules.min) return `${path} must be >= ${rules.min}`;
+                if (rules.max !== undefined && value > rules.max) return `${path} must be <= ${rules.max}`;
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') return `${path} must be a boolean`;
+                break;
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+                break;
+            case 'array':
+                if (!Array.isArray(value)) return `${path} must be an array`;
+                if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+                    return `${path} must have at most ${rules.maxItems} items`;
+                }
+                break;
+        }
+
+        if (rules.enum && !rules.enum.includes(value)) {
+            return `${path} must be one of: ${rules.enum.join(', ')}`;
+        }
+
+        return null;
+    }
+}
+
+// Current protocol version, and the oldest client version the server still accepts
+Protocol.VERSION = 1;
+Protocol.MIN_SUPPORTED_VERSION = 1;
+
+// Client -> server message types
+Protocol.ClientMessages = {
+    PLAYER_JOIN: 'playerJoin',
+    TIME_SYNC: 'timeSync',
+    UPDATE_PLAYER_INFO: 'updatePlayerInfo',
+    CREATE_ROOM: 'createRoom',
+    JOIN_ROOM: 'joinRoom',
+    LEAVE_ROOM: 'leaveRoom',
+    QUICK_MATCH: 'quickMatch',
+    UPDATE_ROOM_SETTINGS: 'updateRoomSettings',
+    TAKE_RACER_SLOT: 'takeRacerSlot',
+    PLAYER_READY: 'playerReady',
+    START_RACE: 'startRace',
+    PLAYER_INPUT: 'playerInput',
+    PLAYER_POSITION_UPDATE: 'playerPositionUpdate',
+    GAME_STATE_UPDATE: 'gameStateUpdate',
+    RACE_FINISHED: 'raceFinished',
+    CHAT_MESSAGE: 'chatMessage'
+};
+
+// Server -> client message types
+Protocol.ServerMessages = {
+    WELCOME: 'welcome',
+    PROTOCOL_ERROR: 'protocolError',
+    TIME_SYNC: 'timeSync',
+    ERROR: 'error',
+    ROOM_CREATED: 'roomCreated',
+    ROOM_JOINED: 'roomJoined',
+    ROOM_UPDATED: 'roomUpdated',
+    ROOM_CLOSED: 'roomClosed',
+    PLAYER_JOINED: 'playerJoined',
+    PLAYER_LEFT: 'playerLeft',
+    PLAYER_DISCONNECTED: 'playerDisconnected',
+    PLAYER_RECONNECTED: 'playerReconnected',
+    PLAYER_READY_UPDATE: 'playerReadyUpdate',
+    GAME_STATE_UPDATE: 'gameStateUpdate',
+    RACE_STARTED: 'raceStarted',
+    RACE_RESUMED: 'raceResumed',
+    RACE_STATE: 'raceState',
+    LAP_COMPLETED: 'lapCompleted',
+    RACE_FINISHED: 'raceFinished',
+    PLAYER_POSITION_UPDATE: 'playerPositionUpdate',
+    PLAYER_FLAGGED: 'playerFlagged',
+    CHAT_MESSAGE: 'chatMessage'
+};
+
+// Error codes carried by 'error' and 'protocolError' messages
+Protocol.ErrorCodes = {
+    VERSION_MISMATCH: 'VERSION_MISMATCH',
+    HANDSHAKE_REQUIRED: 'HANDSHAKE_REQUIRED',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    ROOM_ERROR: 'ROOM_ERROR'
+};
+
+// Payload schemas, keyed by message type. Types shared by both directions
+// (e.g. 'chatMessage') use one schema covering both payloads.
+(() => {
+    const roomCode = { type: 'string', required: true, pattern: /^[A-Z0-9]{4}$/ };
+    const playerId = { type: 'string', maxLength: 64 };
+    const playerName = { type: 'string', maxLength: 20 };
+    const sessionToken = { type: 'string', maxLength: 64 };
+    const gameState = { type: 'string', enum: ['lobby', 'racing', 'finished'] };
+    const simulationMode = { type: 'string', enum: ['server', 'relay'] };
+    const track = { type: 'string', maxLength: 32 };
+    const botDifficulty = { type: 'string', enum: ['easy', 'medium', 'hard'] };
+    const kartType = { type: 'string', enum: ['speed', 'handling', 'balanced'] }; // KartPhysics preset
+    const number = { type: 'number' };
+    const timestamp = { type: 'number', min: 0 };
+
+    // Host-controlled race settings (the server also checks the track id)
+    const roomSettings = {
+        type: 'object',
+        properties: {
+            laps: { type: 'number', integer: true, min: 1, max: 10 },
+            maxPlayers: { type: 'number', integer: true, min: 2, max: 8 },
+            track: track,
+            collisions: { type: 'boolean' },
+            fillWithBots: { type: 'boolean' },
+            botDifficulty: botDifficulty
+        }
+    };
+
+    // AI bots the server put on the grid (server simulation only)
+    const bots = {
+        type: 'array',
+        maxItems: 8,
+        items: {
+            playerId: { ...playerId, required: true },
+            name: playerName,
+            difficulty: botDifficulty
+        }
+    };
+
+    const roomInfo = {
+        roomCode: roomCode,
+        hostId: { ...playerId, required: true },
+        gameState: gameState,
+        simulationMode: simulationMode,
+        isPublic: { type: 'boolean' },
+        settings: roomSettings,
+        playerCount: { type: 'number', integer: true, min: 0 },
+        players: { type: 'object' },
+        spectatorCount: { type: 'number', integer: true, min: 0 },
+        maxSpectators: { type: 'number', integer: true, min: 0 },
+        spectators: { type: 'object' }
+    };
+
+    // Handed out by the race director (see RaceDirector.PENALTIES)
+    const penalty = {
+        reason: { type: 'string', enum: ['cut', 'jumpStart', 'ramming'], required: true },
+        type: { type: 'string', enum: ['time', 'driveThrough'], required: true },
+        amount: { type: 'number', min: 0, required: true },
+        at: { type: 'number', min: 0 }
+    };
+
+    const raceResult = {
+        playerId: playerId,
+        name: playerName,
+        position: { type: 'number', integer: true, min: 1 },
+        lapCount: { type: 'number', integer: true, min: 0 },
+        finished: { type: 'boolean' },
+        totalTime: number,        // Including penaltyTime
+        penaltyTime: { type: 'number', min: 0 },
+        bestLap: number
+    };
+
+    Protocol.schemas = {
+        // Handshake
+        playerJoin: {
+            protocolVersion: { type: 'number', integer: true, required: true },
+            playerId: playerId,
+            playerName: playerName,
+            sessionToken: sessionToken
+        },
+        welcome: {
+            protocolVersion: { type: 'number', integer: true, required: true },
+            playerId: { ...playerId, required: true },
+            sessionToken: { ...sessionToken, required: true },
+            resumed: { type: 'boolean' },
+            roomCode: { ...roomCode, required: false }
+        },
+        protocolError: {
+            code: { type: 'string', required: true },
+            message: { type: 'string', required: true },
+            serverVersion: { type: 'number', integer: true },
+            minVersion: { type: 'number', integer: true }
+        },
+        error: {
+            code: { type: 'string' },
+            message: { type: 'string', required: true }
+        },
+
+        // Clock sync - the client sends clientTime, the server echoes it with serverTime
+        timeSync: {
+            clientTime: { ...timestamp, required: true },
+            serverTime: timestamp
+        },
+
+        // Players and rooms
+        updatePlayerInfo: {
+            playerName: { ...playerName, required: true }
+        },
+        createRoom: {
+            isPublic: { type: 'boolean' },
+            settings: roomSettings,
+            kartType: kartType
+        },
+        updateRoomSettings: {
+            settings: { ...roomSettings, required: true }
+        },
+        joinRoom: {
+            roomCode: roomCode,
+            spectate: { type: 'boolean' },
+            kartType: kartType // Racers only
+        },
+        leaveRoom: {},
+        quickMatch: {
+            track: track,
+            kartType: kartType
+        },
+        roomCreated: {
+            roomCode: roomCode,
+            hostId: { ...playerId, required: true }
+        },
+        takeRacerSlot: {
+            kartType: kartType
+        },
+        roomJoined: roomInfo,
+        roomUpdated: roomInfo,
+        roomClosed: {
+            roomCode: roomCode,
+            reason: { type: 'string', maxLength: 100 }
+        },
+        playerJoined: {
+            playerId: { ...playerId, required: true },
+            playerName: playerName,
+            spectator: { type: 'boolean' }
+        },
+        playerLeft: {
+            playerId: { ...playerId, required: true },
+            playerName: playerName
+        },
+        playerDisconnected: {
+            playerId: { ...playerId, required: true },
+            playerName: playerName,
+            gracePeriod: { type: 'number', min: 0 }
+        },
+        playerReconnected: {
+            playerId: { ...playerId, required: true },
+            playerName: playerName
+        },
+        playerReady: {
+            ready: { type: 'boolean', required: true }
+        },
+        playerReadyUpdate: {
+            playerId: { ...playerId, required: true },
+            ready: { type: 'boolean', required: true }
+        },
+
+        // Race flow
+        gameStateUpdate: {
+            gameState: gameState,
+            raceData: { type: 'object' },
+            timestamp: timestamp
+        },
+        startRace: {
+            timestamp: timestamp
+        },
+        raceStarted: {
+            timestamp: timestamp,
+            startTime: { ...timestamp, required: true },
+            simulationMode: simulationMode,
+            settings: roomSettings,
+            bots: bots
+        },
+        raceResumed: {
+            simulationMode: simulationMode,
+            settings: roomSettings,
+            bots: bots,
+            startTime: timestamp,
+            raceTime: { type: 'number', min: 0 }
+        },
+        playerInput: {
+            accelerate: { type: 'number', min: 0, max: 1, required: true },
+            brake: { type: 'number', min: 0, max: 1, required: true },
+            steer: { type: 'number', min: -1, max: 1, required: true }
+        },
+        raceState: {
+            tick: { type: 'number', integer: true, required: true },
+            timestamp: timestamp,
+            raceTime: number,
+            karts: {
+                type: 'array',
+                required: true,
+                items: {
+                    playerId: { ...playerId, required: true },
+                    x: { ...number, required: true },
+                    y: { ...number, required: true },
+                    rotation: { ...number, required: true },
+                    velocityX: number,
+                    velocityY: number,
+                    angularVelocity: number,
+                    speed: number,
+                    lapCount: { type: 'number', integer: true, min: 0 },
+                    currentCheckpoint: { type: 'number', integer: true, min: 0 },
+                    position: { type: 'number', integer: true, min: 1 },
+                    wrongWay: { type: 'boolean' },
+                    missedCheckpoint: { type: 'boolean' },
+                    penaltyTime: { type: 'number', min: 0 },
+                    driveThrough: { type: 'number', min: 0 },
+                    penalties: { type: 'array', maxItems: 20, items: penalty },
+                    finished: { type: 'boolean' }
+                }
+            },
+            // Movable obstacles (cones), in the order the track file lists them
+            obstacles: {
+                type: 'array',
+                items: {
+                    x: { ...number, required: true },
+                    y: { ...number, required: true },
+                    rotation: { ...number, required: true }
+                }
+            }
+        },
+        lapCompleted: {
+            playerId: { ...playerId, required: true },
+            lapCount: { type: 'number', integer: true, min: 0, required: true },
+            lapTime: number,
+            timestamp: timestamp
+        },
+        raceFinished: {
+            results: { type: 'array', required: true, maxItems: 32, items: raceResult }
+        },
+        playerPositionUpdate: {
+            playerId: playerId,
+            x: { ...number, required: true },
+            y: { ...number, required: true },
+            rotation: { ...number, required: true },
+            velocity: { type: 'object' },
+            speed: number,
+            timestamp: timestamp
+        },
+        playerFlagged: {
+            playerId: { ...playerId, required: true },
+            playerName: playerName,
+            violations: { type: 'object', required: true }
+        },
+
+        // Leaderboard (HTTP body of POST /api/laps)
+        lapRecord: {
+            playerId: { ...playerId, required: true },
+            playerName: playerName,
+            track: { ...track, required: true },
+            mode: { type: 'string', enum: ['singleplayer', 'timetrial', 'multiplayer'], required: true },
+            kartType: { ...kartType, required: true },
+            lapTime: { type: 'number', min: 0, required: true }
+        },
+
+        // Chat
+        chatMessage: {
+            playerId: playerId,
+            playerName: playerName,
+            message: { type: 'string', maxLength: 200, required: true },
+            timestamp: timestamp
+        }
+    };
+})();
+
+// Global protocol instance
+if (typeof window !== 'undefined') {
+    window.Protocol = Protocol;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Protocol;
+}
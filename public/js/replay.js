@@ -0,0 +1,304 @@
+// Race replays for GoKart Racing Game
+// ReplayRecorder samples every kart at a fixed rate while racing, ReplayPlayer
+// plays a recording back as kart objects GraphicsEngine can render. No DOM here,
+// so recordings can also be made outside the browser.
+
+class Replay {
+    // Compact replay file: one flat array per frame, [time, ...FIELDS for kart 0,
+    // ...FIELDS for kart 1, ...]; null fields for karts not on track at that time.
+    // Events are [time, type, kartIndex, data].
+    static serialize(replay) {
+        return JSON.stringify(replay);
+    }
+
+    static parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a replay file');
+        }
+
+        if (!replay || replay.format !== Replay.FORMAT) {
+            throw new Error('Not a replay file');
+        }
+
+        if (replay.version !== Replay.VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version} (expected ${Replay.VERSION})`);
+        }
+
+        if (!Array.isArray(replay.karts) || !Array.isArray(replay.frames) || replay.frames.length === 0) {
+            throw new Error('Replay file is empty or damaged');
+        }
+
+        return replay;
+    }
+}
+
+Replay.FORMAT = 'gokart-replay';
+Replay.VERSION = 1;
+
+// Per-kart fields in each frame, with the decimals they are rounded to
+Replay.FIELDS = [
+    { name: 'x', decimals: 1 },
+    { name: 'y', decimals: 1 },
+    { name: 'rotation', decimals: 3 },
+    { name: 'speed', decimals: 1 },
+    { name: 'accelerate', decimals: 2 },
+    { name: 'brake', decimals: 2 },
+    { name: 'steer', decimals: 2 }
+];
+
+class ReplayRecorder {
+    constructor(sampleRate = 20) {
+        this.sampleRate = sampleRate; // Hz
+        this.replay = null;
+        this.kartIndex = new Map();
+        this.nextSampleTime = 0;
+    }
+
+    isRecording() {
+        return this.replay !== null;
+    }
+
+    // Begin a recording; info is { track, mode, laps, kind, seed }. kind is
+    // 'race', or 'ghost' for a single time trial lap; seed is the race's
+    // random seed (see PhysicsEngine.reset)
+    start(info = {}) {
+        this.kartIndex = new Map();
+        this.nextSampleTime = 0;
+        this.replay = {
+            format: Replay.FORMAT,
+            version: Replay.VERSION,
+            kind: info.kind || 'race',
+            recordedAt: new Date().toISOString(),
+            track: info.track || null,
+            mode: info.mode || null,
+            laps: info.laps || 0,
+            seed: info.seed !== undefined ? info.seed : null,
+            sampleRate: this.sampleRate,
+            duration: 0,
+            karts: [],
+            frames: [],
+            events: []
+        };
+    }
+
+    // Karts are registered the first time they are seen (remote karts join late)
+    getKartIndex(kart) {
+        const key = kart.playerId || kart.id;
+
+        if (!this.kartIndex.has(key)) {
+            this.kartIndex.set(key, this.replay.karts.length);
+            this.replay.karts.push({
+                id: key,
+                name: kart.name || 'Player',
+                color: kart.color || null,
+                kartType: kart.kartType || null,
+                isPlayer: !!kart.isPlayer
+            });
+        }
+
+        return this.kartIndex.get(key);
+    }
+
+    // Called every frame with the race clock (ms); samples at the fixed rate
+    update(raceTime, karts) {
+        if (!this.replay || raceTime < this.nextSampleTime) return;
+
+        this.sample(raceTime, karts);
+        this.nextSampleTime = raceTime + 1000 / this.sampleRate;
+    }
+
+    sample(raceTime, karts) {
+        for (const kart of karts) {
+            this.getKartIndex(kart);
+        }
+
+        const frame = new Array(1 + this.replay.karts.length * Replay.FIELDS.length).fill(null);
+        frame[0] = Math.round(raceTime);
+
+        for (const kart of karts) {
+            const offset = 1 + this.getKartIndex(kart) * Replay.FIELDS.length;
+            const controls = kart.controls || {};
+            const values = [
+                kart.x,
+                kart.y,
+                kart.rotation,
+                kart.physics ? kart.physics.speed : 0,
+                controls.accelerate || 0,
+                controls.brake || 0,
+                controls.steer || 0
+            ];
+
+            Replay.FIELDS.forEach((field, i) => {
+                const scale = 10 ** field.decimals;
+                frame[offset + i] = Math.round(values[i] * scale) / scale;
+            });
+        }
+
+        this.replay.frames.push(frame);
+        this.replay.duration = frame[0];
+    }
+
+    // Race events (laps, finishes) shown during playback
+    recordEvent(raceTime, type, kart, data = {}) {
+        if (!this.replay) return;
+
+        const kartIndex = kart ? this.getKartIndex(kart) : -1;
+        this.replay.events.push([Math.round(raceTime), type, kartIndex, data]);
+    }
+
+    // Take a last sample and hand back the finished recording
+    finish(raceTime, karts) {
+        if (!this.replay) return null;
+
+        if (karts) {
+            this.sample(raceTime, karts);
+        }
+
+        const replay = this.replay;
+        this.replay = null;
+
+        return replay.frames.length > 0 ? replay : null;
+    }
+}
+
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.duration = replay.duration;
+        this.time = 0;
+        this.speed = 1;
+        this.playing = true;
+        this.frameIndex = 0;
+
+        // Display karts in the shape GraphicsEngine expects
+        this.karts = replay.karts.map(info => ({
+            id: info.id,
+            playerId: info.id,
+            name: info.name,
+            color: info.color || undefined,
+            isPlayer: info.isPlayer,
+            radius: 20,
+            x: 0,
+            y: 0,
+            rotation: 0,
+            physics: { speed: 0 },
+            controls: { accelerate: 0, brake: 0, steer: 0 },
+            visible: false
+        }));
+
+        this.applyTime();
+    }
+
+    togglePlay() {
+        if (!this.playing && this.time >= this.duration) {
+            this.time = 0;
+        }
+        this.playing = !this.playing;
+    }
+
+    setSpeed(speed) {
+        this.speed = Utils.clamp(speed, 0.1, 8);
+    }
+
+    seek(time) {
+        this.time = Utils.clamp(time, 0, this.duration);
+        this.applyTime();
+    }
+
+    // Advance playback by deltaTime seconds
+    update(deltaTime) {
+        if (!this.playing) return;
+
+        this.time += deltaTime * 1000 * this.speed;
+        if (this.time >= this.duration) {
+            this.time = this.duration;
+            this.playing = false;
+        }
+
+        this.applyTime();
+    }
+
+    getVisibleKarts() {
+        return this.karts.filter(kart => kart.visible);
+    }
+
+    // Laps completed and finish state of a kart at the current time
+    getKartProgress(kartIndex) {
+        let lapCount = 0;
+        let finished = false;
+
+        for (const [time, type, index, data] of this.replay.events) {
+            if (time > this.time) break;
+            if (index !== kartIndex) continue;
+
+            if (type === 'lap') lapCount = data.lapCount || lapCount + 1;
+            if (type === 'finish') finished = true;
+        }
+
+        return { lapCount, finished };
+    }
+
+    // Position every kart by interpolating the two frames around the current time
+    applyTime() {
+        const frames = this.replay.frames;
+        this.frameIndex = this.findFrame(this.time);
+
+        const before = frames[this.frameIndex];
+        const after = frames[Math.min(this.frameIndex + 1, frames.length - 1)];
+        const span = after[0] - before[0];
+        const factor = span > 0 ? Utils.clamp((this.time - before[0]) / span, 0, 1) : 0;
+        const fieldCount = Replay.FIELDS.length;
+
+        this.karts.forEach((kart, index) => {
+            const offset = 1 + index * fieldCount;
+            if (before[offset] === null || before[offset] === undefined) {
+                kart.visible = false;
+                return;
+            }
+
+            // A kart that left before the next frame stays where it was
+            const next = after[offset] === null || after[offset] === undefined ? before : after;
+            const lerp = (i) => Utils.lerp(before[offset + i], next[offset + i], factor);
+
+            kart.visible = true;
+            kart.x = lerp(0);
+            kart.y = lerp(1);
+            kart.rotation = before[offset + 2] + Utils.angleDifference(before[offset + 2], next[offset + 2]) * factor;
+            kart.physics.speed = lerp(3);
+            kart.controls = { accelerate: lerp(4), brake: lerp(5), steer: lerp(6) };
+        });
+    }
+
+    // Index of the last frame at or before `time` (binary search)
+    findFrame(time) {
+        const frames = this.replay.frames;
+        let low = 0;
+        let high = frames.length - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid][0] <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low;
+    }
+}
+
+// Global replay classes
+if (typeof window !== 'undefined') {
+    window.Replay = Replay;
+    window.ReplayRecorder = ReplayRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Replay, ReplayRecorder, ReplayPlayer };
+}
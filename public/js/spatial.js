@@ -0,0 +1,145 @@
+// Spatial grid for GoKart Racing Game
+// Buckets objects (anything with x and y) into square cells over the world,
+// so "who is near this point?" only looks at a few cells instead of every
+// kart. The physics engine rebuilds it once a step for kart collisions, and
+// the AI and slipstream ask it for neighbours. Results always come back in
+// the order the objects were added, so a race stepped with it is as
+// repeatable as one without. Shared with the server, so it must not touch the DOM.
+
+class SpatialGrid {
+    // slack: how far an object may have moved since it was added and still
+    // turn up in query
+    constructor(width = 2000, height = 2000, cellSize = SpatialGrid.CELL_SIZE, slack = SpatialGrid.SLACK) {
+        this.cellSize = cellSize;
+        this.slack = slack;
+        this.resize(width, height);
+    }
+
+    // Cover a world this size, empty
+    resize(width, height) {
+        this.columns = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+        this.cells = Array.from({ length: this.columns * this.rows }, () => []); // Indices into objects, ascending
+        this.objects = [];
+        this.cellIndices = []; // Cell of each object, where it was added
+        this.filled = [];      // Cells with something in them, emptied on rebuild
+    }
+
+    // Forget everything and add the objects in order
+    rebuild(objects) {
+        for (const cell of this.filled) {
+            cell.length = 0;
+        }
+        this.objects = [];
+        this.cellIndices = [];
+        this.filled = [];
+
+        for (const obj of objects) {
+            this.insert(obj);
+        }
+    }
+
+    // Objects off the edge of the world go in the nearest edge cell
+    insert(obj) {
+        const cellIndex = this.getRow(obj.y) * this.columns + this.getColumn(obj.x);
+        const cell = this.cells[cellIndex];
+        if (cell.length === 0) {
+            this.filled.push(cell);
+        }
+
+        cell.push(this.objects.length);
+        this.objects.push(obj);
+        this.cellIndices.push(cellIndex);
+    }
+
+    // Objects closer than radius to (x, y), by where they are now
+    query(x, y, radius) {
+        const reach = radius + this.slack;
+        const firstColumn = this.getColumn(x - reach);
+        const lastColumn = this.getColumn(x + reach);
+        const firstRow = this.getRow(y - reach);
+        const lastRow = this.getRow(y + reach);
+        const radiusSquared = radius * radius;
+        const found = [];
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const cell = this.cells[row * this.columns + column];
+
+                for (let i = 0; i < cell.length; i++) {
+                    const obj = this.objects[cell[i]];
+                    const dx = obj.x - x;
+                    const dy = obj.y - y;
+                    if (dx * dx + dy * dy < radiusSquared) {
+                        this.insertInOrder(found, cell[i]);
+                    }
+                }
+            }
+        }
+
+        for (let i = 0; i < found.length; i++) {
+            found[i] = this.objects[found[i]];
+        }
+        return found;
+    }
+
+    // Every pair of objects in the same or neighbouring cells (so every pair
+    // closer than a cell apart when the grid was built), each once, in the
+    // order a loop over all pairs of the objects list would visit them
+    forEachPair(callback) {
+        const partners = [];
+
+        for (let i = 0; i < this.objects.length; i++) {
+            const column = this.cellIndices[i] % this.columns;
+            const row = Math.floor(this.cellIndices[i] / this.columns);
+            partners.length = 0;
+
+            for (let r = Math.max(0, row - 1); r <= Math.min(this.rows - 1, row + 1); r++) {
+                for (let c = Math.max(0, column - 1); c <= Math.min(this.columns - 1, column + 1); c++) {
+                    for (const index of this.cells[r * this.columns + c]) {
+                        if (index > i) this.insertInOrder(partners, index);
+                    }
+                }
+            }
+
+            for (const index of partners) {
+                callback(this.objects[i], this.objects[index]);
+            }
+        }
+    }
+
+    // Add an index to an ascending list. The lists are a handful of karts
+    // long, where this beats pushing and sorting.
+    insertInOrder(list, index) {
+        let i = list.length;
+        while (i > 0 && list[i - 1] > index) {
+            list[i] = list[i - 1];
+            i--;
+        }
+        list[i] = index;
+    }
+
+    getColumn(x) {
+        return Utils.clamp(Math.floor(x / this.cellSize), 0, this.columns - 1);
+    }
+
+    getRow(y) {
+        return Utils.clamp(Math.floor(y / this.cellSize), 0, this.rows - 1);
+    }
+}
+
+// Comfortably wider than two karts touching, so forEachPair finds every pair
+// in contact (even one pushed together while earlier pairs are separated),
+// and about how far the AI looks, so a query reads only a few cells
+SpatialGrid.CELL_SIZE = 128;
+SpatialGrid.SLACK = 24; // More than a kart is pushed apart in a collision, or drives in a step
+
+// Global spatial grid
+if (typeof window !== 'undefined') {
+    window.SpatialGrid = SpatialGrid;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialGrid;
+}
@@ -0,0 +1,256 @@
+// Surface map for GoKart Racing Game
+// Answers "what is the kart driving on?" for a built track. The world is cut
+// into a grid of cells: cells that lie wholly inside one surface store it
+// directly, and cells crossed by a track edge or a zone outline keep a finer
+// grid of samples. Lookups are then a couple of array reads, however many
+// zones the track paints. Shared with the server, so it must not touch the DOM.
+
+class SurfaceMap {
+    // track: built track data (TrackBuilder.build)
+    constructor(track, cellSize = SurfaceMap.CELL_SIZE, resolution = SurfaceMap.RESOLUTION) {
+        this.track = track;
+        this.cellSize = cellSize;
+        this.resolution = resolution;
+
+        const size = track.size || {};
+        this.width = size.width || 2000;
+        this.height = size.height || 2000;
+        this.columns = Math.ceil(this.width / cellSize);
+        this.rows = Math.ceil(this.height / cellSize);
+
+        // Zones as lookups want them: polygons carry their bounding box
+        this.zones = (track.surfaces || []).map(zone => this.prepareZone(zone));
+
+        this.cells = new Uint8Array(this.columns * this.rows);
+        this.details = new Map(); // Cell index -> fine samples, for mixed cells
+
+        this.build();
+    }
+
+    // Surface name at (x, y): 'track', 'grass', 'gravel' or 'mud'
+    getSurface(x, y) {
+        if (!(x >= 0 && y >= 0 && x < this.width && y < this.height)) {
+            return SurfaceMap.TYPES[this.classify(x, y)];
+        }
+
+        const column = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        const index = row * this.columns + column;
+        const code = this.cells[index];
+        if (code !== SurfaceMap.MIXED) {
+            return SurfaceMap.TYPES[code];
+        }
+
+        const step = this.cellSize / this.resolution;
+        const fineX = Math.min(this.resolution - 1, Math.floor((x - column * this.cellSize) / step));
+        const fineY = Math.min(this.resolution - 1, Math.floor((y - row * this.cellSize) / step));
+        return SurfaceMap.TYPES[this.details.get(index)[fineY * this.resolution + fineX]];
+    }
+
+    prepareZone(zone) {
+        const prepared = { code: SurfaceMap.TYPES.indexOf(SurfaceMap.ZONE_SURFACES[zone.type]) };
+
+        if (zone.polygon) {
+            const xs = zone.polygon.map(point => point.x);
+            const ys = zone.polygon.map(point => point.y);
+            prepared.polygon = zone.polygon;
+            prepared.box = {
+                left: Math.min(...xs),
+                top: Math.min(...ys),
+                right: Math.max(...xs),
+                bottom: Math.max(...ys)
+            };
+        } else {
+            prepared.circle = { x: zone.x, y: zone.y, radius: zone.radius };
+        }
+
+        return prepared;
+    }
+
+    // Exact surface code at (x, y): the last zone painted there wins, then
+    // the track, then grass
+    classify(x, y) {
+        for (let i = this.zones.length - 1; i >= 0; i--) {
+            const zone = this.zones[i];
+            if (zone.circle) {
+                if (Utils.distance(x, y, zone.circle.x, zone.circle.y) <= zone.circle.radius) {
+                    return zone.code;
+                }
+            } else if (x >= zone.box.left && x <= zone.box.right && y >= zone.box.top && y <= zone.box.bottom &&
+                Utils.isPointOnTrack(x, y, zone.polygon)) {
+                return zone.code;
+            }
+        }
+
+        const bounds = this.track.bounds;
+        if (bounds && bounds.left && bounds.left.length > 0 &&
+            Utils.isPointOnTrack(x, y, bounds.left) !== Utils.isPointOnTrack(x, y, bounds.right)) {
+            return SurfaceMap.TRACK;
+        }
+        return SurfaceMap.GRASS;
+    }
+
+    build() {
+        const mixed = this.findEdgeCells();
+        const { cellSize, resolution } = this;
+        const step = cellSize / resolution;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const index = row * this.columns + column;
+                const left = column * cellSize;
+                const top = row * cellSize;
+
+                if (!mixed[index]) {
+                    this.cells[index] = this.classify(left + cellSize / 2, top + cellSize / 2);
+                    continue;
+                }
+
+                const samples = new Uint8Array(resolution * resolution);
+                for (let fineY = 0; fineY < resolution; fineY++) {
+                    for (let fineX = 0; fineX < resolution; fineX++) {
+                        samples[fineY * resolution + fineX] = this.classify(
+                            left + (fineX + 0.5) * step,
+                            top + (fineY + 0.5) * step
+                        );
+                    }
+                }
+
+                // An edge can cross a cell without changing its surface
+                // (two zones of the same type meeting, say)
+                if (samples.every(code => code === samples[0])) {
+                    this.cells[index] = samples[0];
+                } else {
+                    this.cells[index] = SurfaceMap.MIXED;
+                    this.details.set(index, samples);
+                }
+            }
+        }
+    }
+
+    // Flag every cell a region outline passes through
+    findEdgeCells() {
+        const mixed = new Uint8Array(this.columns * this.rows);
+        const markLoop = (points) => {
+            for (let i = 0; i < points.length; i++) {
+                this.markSegment(mixed, points[i], points[(i + 1) % points.length]);
+            }
+        };
+
+        const bounds = this.track.bounds || {};
+        markLoop(bounds.left || []);
+        markLoop(bounds.right || []);
+
+        for (const zone of this.zones) {
+            if (zone.polygon) {
+                markLoop(zone.polygon);
+            } else {
+                this.markCircle(mixed, zone.circle);
+            }
+        }
+
+        return mixed;
+    }
+
+    markSegment(mixed, a, b) {
+        const { cellSize } = this;
+        const first = this.clampCell(Math.min(a.x, b.x), Math.min(a.y, b.y));
+        const last = this.clampCell(Math.max(a.x, b.x), Math.max(a.y, b.y));
+
+        for (let row = first.row; row <= last.row; row++) {
+            for (let column = first.column; column <= last.column; column++) {
+                const left = column * cellSize;
+                const top = row * cellSize;
+                if (SurfaceMap.segmentTouchesBox(a, b, left, top, left + cellSize, top + cellSize)) {
+                    mixed[row * this.columns + column] = 1;
+                }
+            }
+        }
+    }
+
+    markCircle(mixed, circle) {
+        const { cellSize } = this;
+        const first = this.clampCell(circle.x - circle.radius, circle.y - circle.radius);
+        const last = this.clampCell(circle.x + circle.radius, circle.y + circle.radius);
+
+        for (let row = first.row; row <= last.row; row++) {
+            for (let column = first.column; column <= last.column; column++) {
+                const left = column * cellSize;
+                const top = row * cellSize;
+
+                // The rim passes through unless the cell is wholly inside or
+                // wholly outside the circle
+                const nearX = Utils.clamp(circle.x, left, left + cellSize);
+                const nearY = Utils.clamp(circle.y, top, top + cellSize);
+                const farX = Math.abs(circle.x - left) > Math.abs(circle.x - left - cellSize) ? left : left + cellSize;
+                const farY = Math.abs(circle.y - top) > Math.abs(circle.y - top - cellSize) ? top : top + cellSize;
+
+                if (Utils.distance(circle.x, circle.y, nearX, nearY) <= circle.radius &&
+                    Utils.distance(circle.x, circle.y, farX, farY) >= circle.radius) {
+                    mixed[row * this.columns + column] = 1;
+                }
+            }
+        }
+    }
+
+    clampCell(x, y) {
+        return {
+            column: Utils.clamp(Math.floor(x / this.cellSize), 0, this.columns - 1),
+            row: Utils.clamp(Math.floor(y / this.cellSize), 0, this.rows - 1)
+        };
+    }
+
+    // Whether segment a-b enters the box (Liang-Barsky clipping)
+    static segmentTouchesBox(a, b, left, top, right, bottom) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        let enter = 0;
+        let exit = 1;
+
+        const clips = [
+            [-dx, a.x - left],
+            [dx, right - a.x],
+            [-dy, a.y - top],
+            [dy, bottom - a.y]
+        ];
+
+        for (const [p, q] of clips) {
+            if (p === 0) {
+                if (q < 0) return false;
+                continue;
+            }
+
+            const t = q / p;
+            if (p < 0) {
+                enter = Math.max(enter, t);
+            } else {
+                exit = Math.min(exit, t);
+            }
+            if (enter > exit) return false;
+        }
+
+        return true;
+    }
+}
+
+// Surface names by code; MIXED marks a cell with fine samples
+SurfaceMap.TYPES = ['grass', 'track', 'gravel', 'mud'];
+SurfaceMap.GRASS = 0;
+SurfaceMap.TRACK = 1;
+SurfaceMap.MIXED = 255;
+
+// What each zone type in a track file drives like (asphalt is track)
+SurfaceMap.ZONE_SURFACES = { asphalt: 'track', grass: 'grass', gravel: 'gravel', mud: 'mud' };
+
+SurfaceMap.CELL_SIZE = 32;  // World units per grid cell
+SurfaceMap.RESOLUTION = 8;  // Samples across a mixed cell (4 units apart)
+
+// Global surface map
+if (typeof window !== 'undefined') {
+    window.SurfaceMap = SurfaceMap;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SurfaceMap;
+}
@@ -0,0 +1,486 @@
+// Track Builder for GoKart Racing Game
+// Shared by the browser (GraphicsEngine) and the Node server (race simulation),
+// so it must not touch the DOM.
+//
+// Tracks are JSON files (see public/tracks/). A track file describes the
+// circuit; build() turns it into the track data PhysicsEngine, AIManager and
+// the renderer use: a sampled centreline `path`, `bounds` and `checkpoints`.
+
+class TrackBuilder {
+    // Create the default race track
+    static createDefaultTrack() {
+        return this.createTrack(this.DEFAULT_TRACK);
+    }
+
+    // Create a registered track by id (see TrackBuilder.TRACKS)
+    static createTrack(trackId) {
+        const definition = this.TRACKS[trackId];
+        if (!definition) {
+            throw new Error(`Unknown track: ${trackId}`);
+        }
+
+        return this.build(definition);
+    }
+
+    static isKnownTrack(trackId) {
+        return Object.prototype.hasOwnProperty.call(this.TRACKS, trackId);
+    }
+
+    // Tracks made in the track editor (or by the track generator) only exist in this browser
+    static isCustomTrack(trackId) {
+        return this.customTracks.has(trackId);
+    }
+
+    // Bundled tracks are the ones the server knows too - the only ones with
+    // leaderboards and multiplayer races
+    static isBundledTrack(trackId) {
+        return this.isKnownTrack(trackId) && !this.isCustomTrack(trackId);
+    }
+
+    // [{ id, name, author, laps, custom }] for track pickers
+    static getTrackList() {
+        return Object.values(this.TRACKS).map(definition => ({
+            id: definition.id,
+            name: definition.name,
+            author: definition.author || null,
+            laps: definition.laps || 3,
+            custom: this.isCustomTrack(definition.id)
+        }));
+    }
+
+    // Make a parsed track file available by its id. Custom tracks can't
+    // replace bundled ones.
+    static register(definition, custom = false) {
+        if (custom && this.isKnownTrack(definition.id) && !this.isCustomTrack(definition.id)) {
+            throw new Error(`Track id ${definition.id} is already used by a bundled track`);
+        }
+
+        this.TRACKS[definition.id] = definition;
+        if (custom) {
+            this.customTracks.add(definition.id);
+        }
+    }
+
+    // Load the bundled tracks listed in tracks/index.json (browser)
+    static async loadBundledTracks(baseUrl = 'tracks') {
+        const fetchText = async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${url} (${response.status})`);
+            }
+            return response.text();
+        };
+
+        const manifest = JSON.parse(await fetchText(`${baseUrl}/index.json`));
+        for (const file of manifest.tracks) {
+            this.register(this.parse(await fetchText(`${baseUrl}/${file}`)));
+        }
+    }
+
+    // Parse and check a track file. Throws with a readable message if the
+    // file isn't a usable track.
+    static parse(text) {
+        let definition;
+        try {
+            definition = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error('Not a track file');
+        }
+
+        if (!definition || definition.format !== this.FORMAT) {
+            throw new Error('Not a track file');
+        }
+
+        if (definition.version !== this.VERSION) {
+            throw new Error(`Unsupported track version ${definition.version} (expected ${this.VERSION})`);
+        }
+
+        this.validate(definition);
+        return definition;
+    }
+
+    static validate(definition) {
+        const isPoint = (point) => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+        const isPolygon = (points) => Array.isArray(points) && points.length >= 3 && points.every(isPoint);
+
+        if (typeof definition.id !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(definition.id)) {
+            throw new Error('Track id must be 1-32 lowercase letters, digits, - or _');
+        }
+
+        if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+            throw new Error('Track needs a name');
+        }
+
+        if (definition.laps !== undefined && !(Number.isInteger(definition.laps) && definition.laps >= 1)) {
+            throw new Error('Recommended laps must be a whole number of at least 1');
+        }
+
+        const centerline = definition.centerline;
+        if (!Array.isArray(centerline) || centerline.length < 3 || !centerline.every(isPoint)) {
+            throw new Error('Track centreline needs at least 3 points');
+        }
+
+        for (const point of centerline) {
+            const width = point.width !== undefined ? point.width : definition.width;
+            if (!(width > 0)) {
+                throw new Error('Every centreline point needs a positive width (or set a track width)');
+            }
+        }
+
+        for (const gate of definition.checkpoints || []) {
+            if (!isPoint(gate.a) || !isPoint(gate.b)) {
+                throw new Error('Checkpoint gates need two end points, a and b');
+            }
+        }
+
+        for (const zone of definition.surfaces || []) {
+            const isCircle = isPoint(zone) && zone.radius > 0;
+            if (!this.SURFACES.includes(zone.type) || !(isCircle || isPolygon(zone.polygon))) {
+                throw new Error(`Surface zones need a type (${this.SURFACES.join(', ')}) and either a polygon or a position and radius`);
+            }
+        }
+
+        for (const obstacle of definition.obstacles || []) {
+            const isCircle = isPoint(obstacle) && obstacle.radius > 0;
+            const isLine = Array.isArray(obstacle.points) && obstacle.points.length >= 2 && obstacle.points.every(isPoint);
+            if (!this.OBSTACLES.includes(obstacle.type) || !(isCircle || isLine)) {
+                throw new Error(`Obstacles need a type (${this.OBSTACLES.join(', ')}) and either a position and radius or at least 2 points`);
+            }
+            if (obstacle.width !== undefined && !(obstacle.width > 0)) {
+                throw new Error('Obstacle width must be positive');
+            }
+        }
+
+        for (const decoration of definition.decorations || []) {
+            if (typeof decoration.type !== 'string' || !isPoint(decoration)) {
+                throw new Error('Decorations need a type and a position');
+            }
+        }
+    }
+
+    // Build the track data for a track file
+    static build(definition) {
+        const defaultWidth = definition.width || 80;
+        const path = this.sampleCenterline(definition.centerline, defaultWidth);
+        const bounds = this.generateTrackBounds(path);
+
+        const start = definition.start || {};
+        const startIndex = Number.isFinite(start.x) && Number.isFinite(start.y)
+            ? this.findClosestPoint(path, start.x, start.y)
+            : 0;
+        const startLine = {
+            x: Number.isFinite(start.x) ? start.x : path[startIndex].x,
+            y: Number.isFinite(start.y) ? start.y : path[startIndex].y,
+            angle: Number.isFinite(start.angle) ? start.angle : path[startIndex].angle,
+            width: path[startIndex].width
+        };
+
+        const checkpoints = definition.checkpoints
+            ? definition.checkpoints.map((gate, id) => this.createCheckpoint(gate.a, gate.b, id))
+            : this.placeCheckpoints(path, bounds, startIndex, definition.checkpointCount || 8);
+
+        // Where each gate sits on the centreline, and which way karts cross it
+        for (const checkpoint of checkpoints) {
+            checkpoint.pathIndex = this.findClosestPoint(path, checkpoint.x, checkpoint.y);
+            checkpoint.angle = path[checkpoint.pathIndex].angle;
+        }
+
+        const size = definition.size || {};
+
+        return {
+            id: definition.id,
+            name: definition.name,
+            author: definition.author || null,
+            laps: definition.laps || 3,
+            size: { width: size.width || 2000, height: size.height || 2000 },
+            path: path,
+            bounds: bounds,
+            checkpoints: checkpoints,
+            surfaces: definition.surfaces || [],
+            obstacles: definition.obstacles || [],
+            decorations: definition.decorations || [],
+            startLine: startLine,
+            gridSpacing: start.spacing || 50,
+            width: defaultWidth
+        };
+    }
+
+    // Sample the closed Catmull-Rom spline through the control points, about
+    // SAMPLE_SPACING apart. Points carry their heading (angle) and width.
+    static sampleCenterline(controlPoints, defaultWidth) {
+        const count = controlPoints.length;
+        const control = (i) => controlPoints[(i + count) % count];
+        const widthAt = (point) => point.width !== undefined ? point.width : defaultWidth;
+        const catmullRom = (p0, p1, p2, p3, t) => 0.5 * (
+            2 * p1 +
+            (p2 - p0) * t +
+            (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t +
+            (3 * p1 - p0 - 3 * p2 + p3) * t * t * t
+        );
+
+        const path = [];
+        for (let i = 0; i < count; i++) {
+            const p0 = control(i - 1);
+            const p1 = control(i);
+            const p2 = control(i + 1);
+            const p3 = control(i + 2);
+            const steps = Math.max(1, Math.round(Utils.distance(p1.x, p1.y, p2.x, p2.y) / this.SAMPLE_SPACING));
+
+            for (let step = 0; step < steps; step++) {
+                const t = step / steps;
+                path.push({
+                    x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+                    y: catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+                    width: Utils.lerp(widthAt(p1), widthAt(p2), t)
+                });
+            }
+        }
+
+        // Heading along the driving direction
+        path.forEach((point, i) => {
+            const previous = path[(i - 1 + path.length) % path.length];
+            const next = path[(i + 1) % path.length];
+            point.angle = Utils.angle(previous.x, previous.y, next.x, next.y);
+        });
+
+        return path;
+    }
+
+    // Track edges, offset half the width either side of the centreline.
+    // left/right are as seen driving the track.
+    static generateTrackBounds(path) {
+        const left = [];
+        const right = [];
+
+        for (const point of path) {
+            const normalAngle = point.angle - Math.PI / 2;
+            const halfWidth = point.width / 2;
+
+            left.push({
+                x: point.x + Math.cos(normalAngle) * halfWidth,
+                y: point.y + Math.sin(normalAngle) * halfWidth
+            });
+
+            right.push({
+                x: point.x - Math.cos(normalAngle) * halfWidth,
+                y: point.y - Math.sin(normalAngle) * halfWidth
+            });
+        }
+
+        return { left, right };
+    }
+
+    // Checkpoint gate from a to b. Karts pass it by crossing the segment
+    // (see PhysicsEngine.checkCheckpoints); radius is half its length.
+    static createCheckpoint(a, b, id) {
+        return {
+            id: id,
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            radius: Utils.distance(a.x, a.y, b.x, b.y) / 2,
+            gate: { a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y } }
+        };
+    }
+
+    // Tracks without gates get `count` of them, evenly spaced along the
+    // centreline with the first on the start line
+    static placeCheckpoints(path, bounds, startIndex, count) {
+        const distances = this.measurePath(path, startIndex);
+        const length = distances[path.length];
+        const checkpoints = [];
+        let offset = 0;
+
+        for (let id = 0; id < count; id++) {
+            while (distances[offset] < (id / count) * length) {
+                offset++;
+            }
+
+            const index = (startIndex + offset) % path.length;
+            checkpoints.push(this.createCheckpoint(bounds.right[index], bounds.left[index], id));
+        }
+
+        return checkpoints;
+    }
+
+    // Problems that would stop a track from being raced, as
+    // [{ message, x, y }] (x/y mark where, when there is a place to point at).
+    // An empty list means the track is drivable.
+    static checkDrivable(definition) {
+        try {
+            this.validate(definition);
+        } catch (error) {
+            return [{ message: error.message }];
+        }
+
+        const track = this.build(definition);
+        const { path, bounds, size } = track;
+        const problems = [];
+        const report = (message, point) => {
+            problems.push({ message, x: point ? point.x : undefined, y: point ? point.y : undefined });
+        };
+
+        const narrowest = path.reduce((min, point) => point.width < min.width ? point : min, path[0]);
+        if (narrowest.width < this.MIN_WIDTH) {
+            report(`Track is narrower than ${this.MIN_WIDTH} - karts won't fit`, narrowest);
+        }
+
+        // The centreline always closes back on itself; it must not cross itself
+        // on the way round, and its edges must not fold over in tight corners
+        const centreCrossing = this.findLoopCrossing(path, path);
+        if (centreCrossing) {
+            report('Track crosses itself', centreCrossing);
+        }
+
+        const edgeCrossing = this.findLoopCrossing(bounds.left, bounds.left) ||
+            this.findLoopCrossing(bounds.right, bounds.right) ||
+            this.findLoopCrossing(bounds.left, bounds.right);
+        if (!centreCrossing && edgeCrossing) {
+            report('Track edges overlap - open up the corner or narrow the track', edgeCrossing);
+        }
+
+        const outside = [...bounds.left, ...bounds.right].find(point =>
+            point.x < 0 || point.y < 0 || point.x > size.width || point.y > size.height);
+        if (outside) {
+            report(`Track runs off the ${size.width}x${size.height} map`, outside);
+        }
+
+        const { startLine } = track;
+        if (!this.isOnTrack(track, startLine.x, startLine.y)) {
+            report('Start line is off the track', startLine);
+        }
+
+        // Checkpoints must be on the track, reach across it and come in driving order
+        if (track.checkpoints.length < 2) {
+            report('Track needs at least 2 checkpoints');
+        }
+
+        const startIndex = this.findClosestPoint(path, track.startLine.x, track.startLine.y);
+        let lastProgress = -1;
+        track.checkpoints.forEach((checkpoint, i) => {
+            const index = checkpoint.pathIndex;
+            const progress = (index - startIndex + path.length) % path.length;
+
+            if (!this.isOnTrack(track, checkpoint.x, checkpoint.y)) {
+                report(`Checkpoint ${i + 1} is off the track`, checkpoint);
+            } else if (checkpoint.radius * 2 < path[index].width * 0.8) {
+                report(`Checkpoint ${i + 1} doesn't reach across the track`, checkpoint);
+            } else if (progress <= lastProgress) {
+                report(`Checkpoint ${i + 1} is out of order - checkpoints go in driving order from the start`, checkpoint);
+            }
+
+            lastProgress = progress;
+        });
+
+        return problems;
+    }
+
+    // Whether (x, y) is on the driving surface, between the two edges
+    static isOnTrack(track, x, y) {
+        return Utils.isPointOnTrack(x, y, track.bounds.left) !== Utils.isPointOnTrack(x, y, track.bounds.right);
+    }
+
+    // First point where closed polyline a crosses closed polyline b (or
+    // itself, when a === b, ignoring neighbouring segments), or null
+    static findLoopCrossing(a, b) {
+        const same = a === b;
+
+        for (let i = 0; i < a.length; i++) {
+            const p1 = a[i];
+            const p2 = a[(i + 1) % a.length];
+
+            for (let j = same ? i + 2 : 0; j < b.length; j++) {
+                if (same && i === 0 && j === b.length - 1) continue;
+
+                const p3 = b[j];
+                const p4 = b[(j + 1) % b.length];
+                const crossing = Utils.segmentIntersection(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y, p4.x, p4.y);
+                if (crossing) {
+                    return crossing;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Distance along the closed path from path[fromIndex] to each point after
+    // it: distances[i] is for path[(fromIndex + i) % length], and
+    // distances[length] is the way back round to the start
+    static measurePath(path, fromIndex = 0) {
+        const distances = [0];
+        for (let i = 1; i <= path.length; i++) {
+            const previous = path[(fromIndex + i - 1) % path.length];
+            const point = path[(fromIndex + i) % path.length];
+            distances.push(distances[i - 1] + Utils.distance(previous.x, previous.y, point.x, point.y));
+        }
+        return distances;
+    }
+
+    // Distance round the closed path
+    static getPathLength(path) {
+        let length = 0;
+        for (let i = 0; i < path.length; i++) {
+            const next = path[(i + 1) % path.length];
+            length += Utils.distance(path[i].x, path[i].y, next.x, next.y);
+        }
+        return length;
+    }
+
+    static findClosestPoint(path, x, y) {
+        let closestIndex = 0;
+        let closestDistance = Infinity;
+
+        path.forEach((point, i) => {
+            const distance = Utils.distance(x, y, point.x, point.y);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestIndex = i;
+            }
+        });
+
+        return closestIndex;
+    }
+
+    // Starting grid slot behind the start line (slot 0 sits on the line)
+    static getGridPosition(track, slot) {
+        const startPos = track.startLine;
+        const offset = slot * (track.gridSpacing || 50);
+
+        return {
+            x: startPos.x - Math.cos(startPos.angle) * offset,
+            y: startPos.y - Math.sin(startPos.angle) * offset,
+            rotation: startPos.angle
+        };
+    }
+}
+
+TrackBuilder.FORMAT = 'gokart-track';
+TrackBuilder.VERSION = 1;
+
+// Surface zone types a track file can paint
+TrackBuilder.SURFACES = ['asphalt', 'grass', 'gravel', 'mud'];
+
+// Obstacle types a track file can place
+TrackBuilder.OBSTACLES = ['tires', 'cone', 'wall', 'barrier'];
+
+// Distance between centreline samples
+TrackBuilder.SAMPLE_SPACING = 25;
+
+// Narrowest track checkDrivable accepts
+TrackBuilder.MIN_WIDTH = 50;
+
+// Registered tracks, keyed by the id used in room settings (filled from the
+// bundled track files at startup, plus custom tracks in the browser)
+TrackBuilder.TRACKS = {};
+TrackBuilder.customTracks = new Set();
+TrackBuilder.DEFAULT_TRACK = 'oval';
+
+// Global track builder instance
+if (typeof window !== 'undefined') {
+    window.TrackBuilder = TrackBuilder;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackBuilder;
+}
@@ -0,0 +1,215 @@
+// Procedural track generator for GoKart Racing Game
+// Turns a numeric seed into a track file: the same seed and options always
+// give the same circuit, so seeds can be shared. The result goes through
+// TrackBuilder.build like any other track. Shared with the server, so it must
+// not touch the DOM.
+
+class TrackGenerator {
+    // options: { seed, length ('short', 'medium' or 'long'), corners (4-12),
+    // sharpness (0-1) }
+    static generate(options = {}) {
+        const settings = this.normalizeOptions(options);
+        const random = Utils.createRandom(settings.seed);
+
+        // Too sharp for the track width? Each attempt softens the corners; the
+        // last one is a smooth loop, which always passes
+        let definition = null;
+        for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+            const sharpness = settings.sharpness * (1 - attempt / (this.MAX_ATTEMPTS - 1));
+            definition = this.createLayout(settings, sharpness, random);
+
+            if (TrackBuilder.checkDrivable(definition).length === 0) break;
+        }
+
+        this.addScenery(definition, random);
+        return definition;
+    }
+
+    // Today's challenge track (the date in UTC is the seed)
+    static generateDaily(date = new Date()) {
+        const day = date.toISOString().slice(0, 10);
+        const seed = parseInt(day.replace(/-/g, ''), 10);
+        const random = Utils.createRandom(seed);
+
+        const definition = this.generate({
+            seed: seed,
+            length: 'medium',
+            corners: 5 + Math.floor(random() * 6),
+            sharpness: 0.3 + random() * 0.5
+        });
+        definition.name = `Daily Challenge ${day}`;
+        return definition;
+    }
+
+    static normalizeOptions(options) {
+        return {
+            seed: Number.isFinite(options.seed) ? options.seed >>> 0 : Utils.randomSeed(),
+            length: Object.prototype.hasOwnProperty.call(this.LENGTHS, options.length) ? options.length : 'medium',
+            corners: Utils.clamp(Math.round(options.corners || 7), 4, 12),
+            sharpness: Utils.clamp(Number.isFinite(options.sharpness) ? options.sharpness : 0.5, 0, 1)
+        };
+    }
+
+    // Ids encode the options, e.g. gen-1234-m7-50
+    static getTrackId(settings) {
+        return `gen-${settings.seed}-${settings.length.charAt(0)}${settings.corners}-${Math.round(settings.sharpness * 100)}`;
+    }
+
+    // Corners are spread around a centre, so the loop can't cross itself.
+    // Sharpness pushes them in and out and bunches them up.
+    static createLayout(settings, sharpness, random) {
+        const { corners } = settings;
+        const step = (Math.PI * 2) / corners;
+        const aspect = 0.6 + random() * 0.4;
+        const clockwise = random() < 0.5;
+
+        let centerline = [];
+        for (let i = 0; i < corners; i++) {
+            const angle = i * step + (random() - 0.5) * step * 0.7 * sharpness;
+            const radius = 1 - random() * 0.55 * sharpness;
+            centerline.push({
+                x: Math.cos(angle) * radius,
+                y: Math.sin(angle) * radius * aspect
+            });
+        }
+        if (!clockwise) {
+            centerline.reverse();
+        }
+
+        const definition = {
+            format: TrackBuilder.FORMAT,
+            version: TrackBuilder.VERSION,
+            id: this.getTrackId(settings),
+            name: `Seed ${settings.seed}`,
+            author: 'Track Generator',
+            laps: this.LAPS[settings.length],
+            width: this.TRACK_WIDTH,
+            centerline: centerline,
+            surfaces: [],
+            obstacles: [],
+            decorations: [],
+            generator: { ...settings }
+        };
+
+        // Scale to the target length (the spline bulges, so measure twice)
+        const targetLength = this.LENGTHS[settings.length];
+        let scale = targetLength / (Math.PI * 2);
+        for (let pass = 0; pass < 2; pass++) {
+            centerline = centerline.map(point => ({ x: point.x * scale, y: point.y * scale }));
+            definition.centerline = centerline;
+            scale = targetLength / TrackBuilder.getPathLength(TrackBuilder.build(definition).path);
+        }
+
+        // Move it onto the map with a margin all round
+        const { bounds } = TrackBuilder.build(definition);
+        const edges = [...bounds.left, ...bounds.right];
+        const minX = Math.min(...edges.map(point => point.x));
+        const minY = Math.min(...edges.map(point => point.y));
+        const maxX = Math.max(...edges.map(point => point.x));
+        const maxY = Math.max(...edges.map(point => point.y));
+        const margin = this.MAP_MARGIN;
+
+        definition.centerline = centerline.map(point => ({
+            x: Math.round(point.x - minX + margin),
+            y: Math.round(point.y - minY + margin)
+        }));
+        definition.size = {
+            width: Math.ceil((maxX - minX + margin * 2) / 100) * 100,
+            height: Math.ceil((maxY - minY + margin * 2) / 100) * 100
+        };
+
+        const track = TrackBuilder.build(definition);
+        const start = track.path[this.findStraightest(track.path)];
+        definition.start = { x: Math.round(start.x), y: Math.round(start.y) };
+        definition.checkpointCount = Math.max(8, Math.round(targetLength / this.CHECKPOINT_SPACING));
+
+        return definition;
+    }
+
+    // Path index with the least turning over the stretch behind it, for the
+    // start line and grid
+    static findStraightest(path) {
+        const window = Math.ceil(this.GRID_LENGTH / TrackBuilder.SAMPLE_SPACING);
+        let best = 0;
+        let bestTurning = Infinity;
+
+        for (let i = 0; i < path.length; i++) {
+            let turning = 0;
+            for (let j = 1; j <= window; j++) {
+                const point = path[(i - j + 1 + path.length) % path.length];
+                const previous = path[(i - j + path.length) % path.length];
+                turning += Math.abs(Utils.angleDifference(previous.angle, point.angle));
+            }
+
+            if (turning < bestTurning) {
+                bestTurning = turning;
+                best = i;
+            }
+        }
+
+        return best;
+    }
+
+    // A grandstand by the start line and trees clear of the track
+    static addScenery(definition, random) {
+        const track = TrackBuilder.build(definition);
+        const { startLine, size } = track;
+        const clearance = this.TRACK_WIDTH / 2 + 70;
+        const isClear = (x, y) => {
+            const point = track.path[TrackBuilder.findClosestPoint(track.path, x, y)];
+            return Utils.distance(x, y, point.x, point.y) > clearance;
+        };
+
+        // Grandstand on whichever side of the start has room
+        for (const side of [1, -1]) {
+            const angle = startLine.angle + side * Math.PI / 2;
+            const x = Math.round(startLine.x + Math.cos(angle) * clearance);
+            const y = Math.round(startLine.y + Math.sin(angle) * clearance);
+            if (isClear(x, y) && x > 0 && y > 0 && x < size.width && y < size.height) {
+                definition.decorations.push({
+                    type: 'grandstand',
+                    x: x,
+                    y: y,
+                    rotation: Math.round(startLine.angle * 100) / 100
+                });
+                break;
+            }
+        }
+
+        const treeCount = Math.round((size.width * size.height) / 120000);
+        for (let i = 0; i < treeCount; i++) {
+            const x = Math.round(random() * size.width);
+            const y = Math.round(random() * size.height);
+            if (!isClear(x, y)) continue;
+
+            definition.decorations.push({
+                type: random() < 0.7 ? 'tree' : 'bush',
+                x: x,
+                y: y,
+                size: Math.round(25 + random() * 25)
+            });
+        }
+    }
+}
+
+// Centreline length for each length option
+TrackGenerator.LENGTHS = { short: 3000, medium: 4500, long: 6500 };
+
+// Recommended laps for each length option
+TrackGenerator.LAPS = { short: 4, medium: 3, long: 2 };
+
+TrackGenerator.TRACK_WIDTH = 90;
+TrackGenerator.MAP_MARGIN = 200;
+TrackGenerator.CHECKPOINT_SPACING = 400; // Distance between checkpoints on long tracks
+TrackGenerator.GRID_LENGTH = 300;        // Straight wanted behind the start line
+TrackGenerator.MAX_ATTEMPTS = 5;
+
+// Global track generator
+if (typeof window !== 'undefined') {
+    window.TrackGenerator = TrackGenerator;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackGenerator;
+}
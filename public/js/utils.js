@@ -38,6 +38,24 @@ class Utils {
         return Math.floor(min + Math.random() * (max - min + 1));
     }
 
+    // Seeded random numbers (mulberry32): returns a function that gives the
+    // same sequence of floats in [0, 1) for the same 32-bit seed
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // A fresh 32-bit seed for createRandom
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
     // Vector operations
     static createVector(x = 0, y = 0) {
         return { x, y };
@@ -100,6 +118,31 @@ class Utils {
         return (t1 >= 0 && t1 <= 1) || (t2 >= 0 && t2 <= 1);
     }
 
+    // Where segment (x1,y1)-(x2,y2) crosses segment (x3,y3)-(x4,y4), or null
+    static segmentIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+        const denominator = (x2 - x1) * (y4 - y3) - (y2 - y1) * (x4 - x3);
+        if (denominator === 0) return null; // Parallel
+
+        const t = ((x3 - x1) * (y4 - y3) - (y3 - y1) * (x4 - x3)) / denominator;
+        const u = ((x3 - x1) * (y2 - y1) - (y3 - y1) * (x2 - x1)) / denominator;
+
+        if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+        return { x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t, t: t };
+    }
+
+    // Nearest point to (px,py) on segment (x1,y1)-(x2,y2)
+    static closestPointOnSegment(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? this.clamp(((px - x1) * dx + (py - y1) * dy) / lengthSquared, 0, 1)
+            : 0;
+
+        return { x: x1 + dx * t, y: y1 + dy * t, t: t };
+    }
+
     // Rectangle collision detection
     static rectRectCollision(r1, r2) {
         return r1.x < r2.x + r2.width &&
@@ -446,4 +489,11 @@ class Utils {
 }
 
 // Global utility instance
-window.Utils = Utils;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.Utils = Utils;
+}
+
+// Node (server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utils;
+}
\ No newline at end of file
@@ -1,19 +1,33 @@
 // Service Worker for GoKart Racing Game
-const CACHE_NAME = 'gokart-racing-v1.0.0';
+const CACHE_NAME = 'gokart-racing-v1.6.0';
 const CACHE_URLS = [
     '/',
     '/index.html',
     '/manifest.json',
     '/css/styles.css',
     '/js/utils.js',
+    '/js/track.js',
+    '/js/surface.js',
+    '/js/spatial.js',
+    '/js/trackgen.js',
     '/js/physics.js',
+    '/js/director.js',
     '/js/graphics.js',
     '/js/audio.js',
     '/js/input.js',
     '/js/ai.js',
+    '/js/protocol.js',
     '/js/multiplayer.js',
+    '/js/leaderboard.js',
+    '/js/replay.js',
+    '/js/editor.js',
     '/js/game.js',
-    '/js/main.js'
+    '/js/main.js',
+    '/tracks/index.json',
+    '/tracks/oval.json',
+    '/tracks/speedway.json',
+    '/tracks/hairpin-valley.json',
+    '/tracks/mudflats.json'
 ];
 
 // Install event - cache resources
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const { Utils, KartPhysics, TrackBuilder } = require('./shared');
+
+// Persistent lap records, kept in a local JSON file.
+// Each player keeps one record - their best lap - per category: track, game
+// mode and kart preset. Leaderboards rank those records. Saves are batched
+// and written to a temp file first, so a crash mid-write can't corrupt the store.
+class Leaderboard {
+    constructor(options = {}) {
+        this.filePath = options.filePath;
+        this.saveDelay = options.saveDelay || 1000;  // ms - batches bursts of lap records
+        this.speedTolerance = options.speedTolerance || 1.5; // Headroom for corner cutting and collisions
+        this.maxRecords = options.maxRecords || 100000;
+
+        this.records = [];
+        this.saveTimer = null;
+        this.minLapTimes = {};
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.records = Array.isArray(data.records) ? data.records : [];
+            console.log(`Leaderboard loaded: ${this.records.length} records`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load leaderboard, starting empty:', error.message);
+            }
+            this.records = [];
+        }
+    }
+
+    // Write soon, coalescing records that arrive close together
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        const data = JSON.stringify({ version: 1, records: this.records });
+
+        fs.mkdir(path.dirname(this.filePath), { recursive: true }, (mkdirError) => {
+            if (mkdirError) {
+                console.error('Failed to save leaderboard:', mkdirError.message);
+                return;
+            }
+
+            fs.writeFile(tempPath, data, (writeError) => {
+                if (writeError) {
+                    console.error('Failed to save leaderboard:', writeError.message);
+                    return;
+                }
+
+                fs.rename(tempPath, this.filePath, (renameError) => {
+                    if (renameError) {
+                        console.error('Failed to save leaderboard:', renameError.message);
+                    }
+                });
+            });
+        });
+    }
+
+    // Write any pending records right away (shutdown)
+    flush() {
+        if (!this.saveTimer) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify({ version: 1, records: this.records }));
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        } catch (error) {
+            console.error('Failed to save leaderboard:', error.message);
+        }
+    }
+
+    // Fastest lap a kart preset could drive on a track: the centre line at
+    // full speed, with some tolerance (ms)
+    getMinLapTime(track, kartType) {
+        const key = `${track}:${kartType}`;
+
+        if (this.minLapTimes[key] === undefined) {
+            const { path: trackPath } = TrackBuilder.createTrack(track);
+            let length = 0;
+            for (let i = 0; i < trackPath.length; i++) {
+                const next = trackPath[(i + 1) % trackPath.length];
+                length += Utils.distance(trackPath[i].x, trackPath[i].y, next.x, next.y);
+            }
+
+            const maxSpeed = KartPhysics.createPreset(kartType).maxSpeed * this.speedTolerance;
+            this.minLapTimes[key] = (length / maxSpeed) * 1000;
+        }
+
+        return this.minLapTimes[key];
+    }
+
+    // Record a lap; only a player's best per category is kept.
+    // Returns the player's placement in that category.
+    submitLap(lap) {
+        if (!TrackBuilder.isKnownTrack(lap.track)) {
+            throw new Error(`Unknown track: ${lap.track}`);
+        }
+
+        if (!Leaderboard.KART_TYPES.includes(lap.kartType)) {
+            throw new Error(`Unknown kart preset: ${lap.kartType}`);
+        }
+
+        if (lap.lapTime < this.getMinLapTime(lap.track, lap.kartType)) {
+            throw new Error('Lap time is faster than the kart can go');
+        }
+
+        const category = { track: lap.track, mode: lap.mode, kartType: lap.kartType };
+        const existing = this.records.find(record =>
+            record.playerId === lap.playerId && this.inCategory(record, category));
+
+        let personalBest = false;
+        if (!existing) {
+            if (this.records.length >= this.maxRecords) {
+                throw new Error('Leaderboard is full');
+            }
+
+            this.records.push({
+                playerId: lap.playerId,
+                playerName: lap.playerName || 'Player',
+                ...category,
+                lapTime: lap.lapTime,
+                recordedAt: Date.now()
+            });
+            personalBest = true;
+        } else if (lap.lapTime < existing.lapTime) {
+            existing.playerName = lap.playerName || existing.playerName;
+            existing.lapTime = lap.lapTime;
+            existing.recordedAt = Date.now();
+            personalBest = true;
+        }
+
+        if (personalBest) {
+            this.scheduleSave();
+        }
+
+        const ranked = this.getRanked(category);
+        const rank = ranked.findIndex(record => record.playerId === lap.playerId) + 1;
+
+        return {
+            ...category,
+            lapTime: lap.lapTime,
+            bestLapTime: ranked[rank - 1].lapTime,
+            personalBest: personalBest,
+            rank: rank,
+            total: ranked.length
+        };
+    }
+
+    // A missing kartType matches every preset
+    inCategory(record, { track, mode, kartType }) {
+        return record.track === track &&
+            record.mode === mode &&
+            (!kartType || record.kartType === kartType);
+    }
+
+    // One record per player (their best across matching presets), fastest first
+    getRanked(category) {
+        const best = new Map();
+
+        for (const record of this.records) {
+            if (!this.inCategory(record, category)) continue;
+
+            const current = best.get(record.playerId);
+            if (!current || record.lapTime < current.lapTime) {
+                best.set(record.playerId, record);
+            }
+        }
+
+        return [...best.values()].sort((a, b) =>
+            a.lapTime - b.lapTime || a.recordedAt - b.recordedAt);
+    }
+
+    // Top `limit` records, plus the `around` records either side of playerId
+    getLeaderboard({ track, mode, kartType, limit = 10, playerId, around = 2 }) {
+        const ranked = this.getRanked({ track, mode, kartType });
+        const toEntry = (record, index) => ({
+            rank: index + 1,
+            playerId: record.playerId,
+            playerName: record.playerName,
+            kartType: record.kartType,
+            lapTime: record.lapTime,
+            recordedAt: record.recordedAt
+        });
+
+        const result = {
+            track: track,
+            mode: mode,
+            kartType: kartType || null,
+            total: ranked.length,
+            entries: ranked.slice(0, limit).map(toEntry),
+            player: null
+        };
+
+        const index = playerId ? ranked.findIndex(record => record.playerId === playerId) : -1;
+        if (index !== -1) {
+            const from = Math.max(0, index - around);
+            result.player = {
+                rank: index + 1,
+                around: ranked.slice(from, index + around + 1).map((record, i) => toEntry(record, from + i))
+            };
+        }
+
+        return result;
+    }
+
+    getStats() {
+        return {
+            records: this.records.length,
+            players: new Set(this.records.map(record => record.playerId)).size
+        };
+    }
+}
+
+// Kart presets with their own leaderboard category (see KartPhysics.createPreset)
+Leaderboard.KART_TYPES = ['speed', 'handling', 'balanced'];
+
+// Game modes with lap records ('multiplayer' laps come from the server simulation)
+Leaderboard.MODES = ['singleplayer', 'timetrial', 'multiplayer'];
+
+module.exports = Leaderboard;
@@ -0,0 +1,111 @@
+const { Utils, PhysicsEngine, KartPhysics } = require('./shared');
+
+// Plausibility checks for client-reported kart movement (relay rooms).
+// Each update is compared with the previous accepted one against the
+// kart's KartPhysics preset limits. Small overshoots are clamped, jumps
+// beyond the teleport distance are rejected outright.
+class MovementValidator {
+    constructor(options = {}) {
+        this.tolerance = options.tolerance || 1.25;            // Headroom over preset limits (collisions, jitter)
+        this.teleportDistance = options.teleportDistance || 150; // px beyond the reachable distance
+        this.minInterval = options.minInterval || 0.05;        // s - updates bunched by the network
+        this.maxInterval = options.maxInterval || 1.0;         // s - stale previous update
+        this.flagThreshold = options.flagThreshold || 10;      // violations before the host is told
+
+        this.limitsCache = {};
+        this.stats = {
+            checkedUpdates: 0,
+            clampedUpdates: 0,
+            rejectedUpdates: 0,
+            violations: { speed: 0, angularVelocity: 0, teleport: 0 }
+        };
+    }
+
+    // Speed and turn-rate limits for a kart preset
+    getLimits(kartType = 'balanced') {
+        if (!this.limitsCache[kartType]) {
+            const preset = KartPhysics.createPreset(kartType);
+            const boostSpeed = Math.max(...PhysicsEngine.DRIFT_BOOSTS.map(boost => boost.speed)); // Top speed on a mini-turbo
+            this.limitsCache[kartType] = {
+                maxSpeed: preset.maxSpeed * boostSpeed * this.tolerance,
+                maxAngularVelocity: preset.maxAngularVelocity * this.tolerance
+            };
+        }
+        return this.limitsCache[kartType];
+    }
+
+    // Check an update against the previous accepted position.
+    // Returns { accepted, position, violations } - position is the (possibly clamped) update.
+    validate(previous, update, kartType, now = Date.now()) {
+        const limits = this.getLimits(kartType);
+        const position = { ...update };
+        const violations = [];
+
+        this.stats.checkedUpdates++;
+
+        // Reported speed
+        if (typeof position.speed === 'number' && position.speed > limits.maxSpeed) {
+            position.speed = limits.maxSpeed;
+            violations.push('speed');
+        }
+
+        if (previous) {
+            const dt = Utils.clamp((now - previous.timestamp) / 1000, this.minInterval, this.maxInterval);
+            const distance = Utils.distance(previous.x, previous.y, position.x, position.y);
+
+            // Teleport - nothing to salvage from this update. The allowance grows with the
+            // time since the last accepted update, so a rejected client can resync later.
+            if (distance > this.teleportDistance + limits.maxSpeed * dt) {
+                this.recordViolations(['teleport']);
+                this.stats.rejectedUpdates++;
+                return { accepted: false, position: null, violations: ['teleport'] };
+            }
+
+            // Distance travelled since the previous update
+            const maxDistance = limits.maxSpeed * dt;
+            if (distance > maxDistance) {
+                const scale = maxDistance / distance;
+                position.x = previous.x + (position.x - previous.x) * scale;
+                position.y = previous.y + (position.y - previous.y) * scale;
+                if (!violations.includes('speed')) {
+                    violations.push('speed');
+                }
+            }
+
+            // Turn rate
+            const rotationDelta = Utils.angleDifference(previous.rotation, position.rotation);
+            const maxRotation = limits.maxAngularVelocity * dt;
+            if (Math.abs(rotationDelta) > maxRotation) {
+                position.rotation = Utils.normalizeAngle(previous.rotation + Math.sign(rotationDelta) * maxRotation);
+                violations.push('angularVelocity');
+            }
+        }
+
+        if (violations.length > 0) {
+            this.recordViolations(violations);
+            this.stats.clampedUpdates++;
+        }
+
+        return { accepted: true, position, violations };
+    }
+
+    recordViolations(violations) {
+        for (const type of violations) {
+            this.stats.violations[type]++;
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            violations: { ...this.stats.violations },
+            limits: {
+                tolerance: this.tolerance,
+                teleportDistance: this.teleportDistance,
+                flagThreshold: this.flagThreshold
+            }
+        };
+    }
+}
+
+module.exports = MovementValidator;
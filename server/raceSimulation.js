@@ -0,0 +1,342 @@
+const EventEmitter = require('events');
+const { Utils, PhysicsEngine, KartPhysics, TrackBuilder, RaceDirector, AIManager } = require('./shared');
+
+// Server-authoritative race simulation for a single room.
+// Clients only send control inputs; the simulation owns kart state,
+// lap counting, penalties and the finishing order, and drives any AI bots with the
+// same AIManager used in single-player. Each tick runs the same fixed
+// PhysicsEngine.TIMESTEP steps as the client, on simulation time, so a seed
+// and the karts' controls decide the whole race. Emits:
+//   'state'    - kart snapshot, every `snapshotInterval` ticks
+//   'lap'      - a kart completed a lap
+//   'finished' - race over, with the final results
+class RaceSimulation extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.tickRate = options.tickRate || 30;
+        this.snapshotInterval = options.snapshotInterval || 2;
+        this.laps = options.laps || 3;
+        this.finishTimeout = options.finishTimeout || 30000; // ms after the first finisher
+        this.maxTime = options.maxTime || RaceSimulation.MAX_RACE_TIME; // ms of race time before the karts still out are DNF
+        this.waitForBots = options.waitForBots === true;     // Bot-only races run until the bots are home
+        this.track = options.track || TrackBuilder.createDefaultTrack();
+        this.seed = Number.isFinite(options.seed) ? options.seed >>> 0 : Utils.randomSeed();
+        this.substeps = Math.max(1, Math.round(1 / (PhysicsEngine.TIMESTEP * this.tickRate)));
+
+        this.physics = new PhysicsEngine();
+        this.physics.initialize(this.track, { kartCollisions: options.kartCollisions });
+
+        this.ai = new AIManager();
+        this.ai.initialize(this.track, { grid: this.physics.grid });
+        this.ai.reset(this.seed);
+
+        this.director = new RaceDirector(this.physics);
+
+        this.karts = [];
+        this.finishOrder = [];
+        this.tick = 0;
+        this.timer = null;
+        this.running = false;
+        this.startAt = 0;          // Utils.now() time of the launch
+        this.startTime = 0;        // Simulation time of the launch
+        this.firstFinishTime = null;
+        this.touching = new Set(); // Kart pairs in contact last step
+    }
+
+    // Add a kart to the starting grid
+    addKart(playerId, name, kartType = 'balanced') {
+        if (this.getKart(playerId)) return this.getKart(playerId);
+
+        const gridPosition = TrackBuilder.getGridPosition(this.track, this.karts.length);
+        const kart = {
+            id: playerId,
+            playerId: playerId,
+            name: name,
+            kartType: kartType,
+            x: gridPosition.x,
+            y: gridPosition.y,
+            rotation: gridPosition.rotation,
+            radius: 20,
+            physics: KartPhysics.createPreset(kartType),
+            controls: { accelerate: 0, brake: 0, steer: 0 },
+            finished: false,
+            finishTime: null,
+            collisions: 0
+        };
+
+        this.karts.push(kart);
+        return kart;
+    }
+
+    // Add an AI-driven kart (difficulty is an AIManager profile)
+    addBot(botId, name, difficulty = 'medium', kartType = 'balanced') {
+        if (this.getKart(botId)) return this.getKart(botId);
+
+        const kart = this.addKart(botId, name, kartType);
+        kart.isBot = true;
+        kart.difficulty = difficulty;
+        this.ai.createBot(botId, difficulty, kartType);
+
+        return kart;
+    }
+
+    removeKart(playerId) {
+        this.karts = this.karts.filter(kart => kart.playerId !== playerId);
+        this.ai.removeBot(playerId);
+
+        // Nobody left to race against the clock
+        if (this.running && this.humansFinished()) {
+            this.finish();
+        }
+    }
+
+    // Bots never hold a race open on their own
+    humansFinished() {
+        return this.karts.every(kart => kart.isBot || kart.finished);
+    }
+
+    // [{ playerId, name, difficulty }] for the bots on the grid
+    getBots() {
+        return this.karts
+            .filter(kart => kart.isBot)
+            .map(kart => ({ playerId: kart.playerId, name: kart.name, difficulty: kart.difficulty }));
+    }
+
+    // Every kart that counts is home: the humans, or everyone with waitForBots
+    allFinished() {
+        return this.waitForBots ? this.karts.every(kart => kart.finished) : this.humansFinished();
+    }
+
+    getKart(playerId) {
+        return this.karts.find(kart => kart.playerId === playerId) || null;
+    }
+
+    // Apply client controls (values are clamped, anything else is ignored)
+    setControls(playerId, controls) {
+        const kart = this.getKart(playerId);
+        if (!kart || kart.isBot || kart.finished || !controls) return false;
+
+        kart.controls = {
+            accelerate: Utils.clamp(Number(controls.accelerate) || 0, 0, 1),
+            brake: Utils.clamp(Number(controls.brake) || 0, 0, 1),
+            steer: Utils.clamp(Number(controls.steer) || 0, -1, 1)
+        };
+
+        return true;
+    }
+
+    // Start ticking. The karts are held on the grid until startAt (server
+    // Date.now() time), so the race launches when the clients' countdowns end.
+    start(startAt = Date.now()) {
+        if (this.running) return;
+
+        this.prepare(startAt);
+        this.timer = setInterval(() => this.step(), 1000 / this.tickRate);
+    }
+
+    // Run the whole race at once, stepping as fast as it computes (no timer,
+    // no countdown), for headless races. Karts still out after maxTime ms of
+    // race time don't finish. Returns the results.
+    run(maxTime = this.maxTime) {
+        if (this.running) return null;
+        this.maxTime = maxTime;
+
+        let results = null;
+        this.once('finished', (finalResults) => { results = finalResults; });
+
+        this.prepare(Date.now());
+        while (this.running && this.physics.time - this.startTime < maxTime) {
+            this.step();
+        }
+        this.finish();
+
+        return results;
+    }
+
+    // Put the karts on the grid for a race launching at startAt
+    prepare(startAt) {
+        this.running = true;
+        this.startAt = Utils.now() + Math.max(0, startAt - Date.now());
+
+        // The simulation clock stays at zero until the launch
+        this.physics.reset(this.seed);
+        this.startTime = this.physics.time;
+        for (const kart of this.karts) {
+            kart.raceData = this.physics.createRaceData(kart, this.startTime);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.running = false;
+    }
+
+    // Advance the simulation by one tick of fixed steps
+    step() {
+        const dt = PhysicsEngine.TIMESTEP;
+        this.tick++;
+
+        // Still counting down
+        if (Utils.now() < this.startAt) {
+            for (const kart of this.karts) {
+                this.director.checkJumpStart(kart, this.startAt - Utils.now());
+            }
+            if (this.tick % this.snapshotInterval === 0) {
+                this.emit('state', this.getSnapshot());
+            }
+            return;
+        }
+
+        for (let i = 0; i < this.substeps; i++) {
+            this.ai.update(dt, this.karts, null);
+            this.physics.update(dt, this.karts);
+            this.countCollisions();
+            this.updateRaceProgress();
+            this.physics.updateStandings(this.karts);
+            this.director.update(dt, this.karts);
+        }
+
+        if (this.tick % this.snapshotInterval === 0) {
+            this.emit('state', this.getSnapshot());
+        }
+
+        const allFinished = this.allFinished();
+        const timedOut = this.firstFinishTime !== null && this.physics.time - this.firstFinishTime > this.finishTimeout;
+        const outOfTime = this.physics.time - this.startTime >= this.maxTime;
+
+        if (allFinished || timedOut || outOfTime) {
+            this.finish();
+        }
+    }
+
+    // Kart-to-kart hits, for the race stats. Karts pushing against each other
+    // for several steps count once.
+    countCollisions() {
+        const touching = new Set();
+
+        for (const collision of this.physics.collisions) {
+            const pair = `${collision.obj1.playerId} ${collision.obj2.playerId}`;
+            touching.add(pair);
+            if (this.touching.has(pair)) continue;
+
+            collision.obj1.collisions++;
+            collision.obj2.collisions++;
+        }
+
+        this.touching = touching;
+    }
+
+    updateRaceProgress() {
+        for (const kart of this.karts) {
+            if (kart.finished) continue;
+
+            const checkpointEvent = this.physics.checkCheckpoints(kart);
+            if (!checkpointEvent || checkpointEvent.type !== 'lap') continue;
+
+            const lastLap = kart.raceData.lapTimes[kart.raceData.lapTimes.length - 1];
+            this.emit('lap', {
+                playerId: kart.playerId,
+                lapCount: kart.raceData.lapCount,
+                lapTime: lastLap.time,
+                timestamp: Date.now()
+            });
+
+            if (kart.raceData.lapCount >= this.laps) {
+                this.finishKart(kart);
+            }
+        }
+    }
+
+    // Finish times are when the kart crossed the line, not the tick that saw it
+    finishKart(kart) {
+        const lapTimes = kart.raceData.lapTimes;
+
+        kart.finished = true;
+        kart.finishTime = lapTimes[lapTimes.length - 1].endTime - this.startTime;
+        kart.controls = { accelerate: 0, brake: 0, steer: 0 };
+        this.ai.removeBot(kart.playerId);
+        this.finishOrder.push(kart.playerId);
+
+        if (this.firstFinishTime === null) {
+            this.firstFinishTime = this.physics.time;
+        }
+    }
+
+    finish() {
+        if (!this.running) return;
+
+        this.stop();
+        this.emit('state', this.getSnapshot());
+        this.emit('finished', this.getResults());
+    }
+
+    // Compact kart state sent to clients
+    getSnapshot() {
+        const round = (value) => Math.round(value * 100) / 100;
+
+        return {
+            tick: this.tick,
+            timestamp: Date.now(),
+            raceTime: this.running ? Math.max(0, this.physics.time - this.startTime) : 0,
+            karts: this.karts.map(kart => ({
+                playerId: kart.playerId,
+                x: round(kart.x),
+                y: round(kart.y),
+                rotation: round(kart.rotation),
+                velocityX: round(kart.physics.velocityX),
+                velocityY: round(kart.physics.velocityY),
+                angularVelocity: round(kart.physics.angularVelocity),
+                speed: round(kart.physics.speed),
+                lapCount: kart.raceData ? kart.raceData.lapCount : 0,
+                currentCheckpoint: kart.raceData ? kart.raceData.currentCheckpoint : 0,
+                position: this.physics.getRacePosition(kart, this.karts),
+                wrongWay: kart.raceData ? kart.raceData.wrongWay : false,
+                missedCheckpoint: kart.raceData ? kart.raceData.missedCheckpoint : false,
+                penaltyTime: kart.raceData ? kart.raceData.penaltyTime : 0,
+                driveThrough: kart.raceData ? Math.round(kart.raceData.driveThrough) : 0,
+                penalties: kart.raceData ? kart.raceData.penalties.slice(-20) : [], // The latest ones
+                finished: kart.finished
+            })),
+            obstacles: this.physics.getObstacleStates().map(obstacle => ({
+                x: round(obstacle.x),
+                y: round(obstacle.y),
+                rotation: round(obstacle.rotation)
+            }))
+        };
+    }
+
+    // Finishers by race time plus penalties, then everyone else by race progress
+    getResults() {
+        const penaltyTime = (kart) => kart.raceData ? kart.raceData.penaltyTime : 0;
+        const finishers = this.finishOrder
+            .map(playerId => this.getKart(playerId))
+            .filter(Boolean)
+            .sort((a, b) => (a.finishTime + penaltyTime(a)) - (b.finishTime + penaltyTime(b)));
+        const others = this.karts
+            .filter(kart => !kart.finished)
+            .sort((a, b) => this.physics.getRaceProgress(b) - this.physics.getRaceProgress(a));
+
+        return [...finishers, ...others].map((kart, index) => {
+            const lapTimes = kart.raceData ? kart.raceData.lapTimes : [];
+
+            return {
+                playerId: kart.playerId,
+                name: kart.name,
+                position: index + 1,
+                lapCount: kart.raceData ? kart.raceData.lapCount : 0,
+                finished: kart.finished,
+                totalTime: kart.finished ? kart.finishTime + penaltyTime(kart) : null,
+                penaltyTime: penaltyTime(kart),
+                bestLap: lapTimes.length > 0 ? Math.min(...lapTimes.map(lap => lap.time)) : null
+            };
+        });
+    }
+}
+
+RaceSimulation.MAX_RACE_TIME = 600000; // ms of race time a race gives up after by default
+
+module.exports = RaceSimulation;
@@ -2,9 +2,14 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const helmet = require('helmet');
 const compression = require('compression');
 const cors = require('cors');
+const RaceSimulation = require('./raceSimulation');
+const MovementValidator = require('./movementValidator');
+const Leaderboard = require('./leaderboard');
+const { Utils, Protocol, TrackBuilder, AIManager } = require('./shared');
 
 // Initialize Express app
 const app = express();
@@ -23,6 +28,26 @@ const io = socketIo(server, {
 // Server configuration
 const PORT = process.env.PORT || 3001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const SIMULATION_TICK_RATE = parseInt(process.env.SIMULATION_TICK_RATE, 10) || 30; // Hz
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD, 10) || 30000; // ms
+const MAX_ROOM_SPECTATORS = 8;
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json');
+const RACE_START_DELAY = 3000; // ms - the clients' countdown before the scheduled start
+const RACE_TIME_LIMIT = parseInt(process.env.RACE_TIME_LIMIT, 10) || RaceSimulation.MAX_RACE_TIME; // ms - karts still out are DNF
+
+// Debugging only: rooms relay client positions and results instead of
+// simulating the race. Relay rooms trust their clients, so they are never public.
+const RELAY_ROOMS = process.env.RELAY_ROOMS === 'true';
+
+// Settings a new room starts with; the host can change them in the lobby
+const DEFAULT_ROOM_SETTINGS = {
+    laps: 3,
+    maxPlayers: 4,
+    track: TrackBuilder.DEFAULT_TRACK,
+    collisions: true,
+    fillWithBots: false,
+    botDifficulty: 'medium'
+};
 
 // Game state management
 class GameServer {
@@ -30,6 +55,8 @@ class GameServer {
         this.rooms = new Map();
         this.players = new Map();
         this.roomCodes = new Set();
+        this.sessions = new Map();
+        this.movementValidator = new MovementValidator();
         
         console.log('Game Server initialized');
     }
@@ -38,7 +65,7 @@ class GameServer {
     generateRoomCode() {
         let code;
         do {
-            code = Math.random().toString(36).substring(2, 6).toUpperCase();
+            code = Math.random().toString(36).substring(2, 6).toUpperCase().padEnd(4, '0');
         } while (this.roomCodes.has(code));
         
         this.roomCodes.add(code);
@@ -46,13 +73,21 @@ class GameServer {
     }
 
     // Create new room
-    createRoom(hostId, hostName) {
+    createRoom(hostId, hostName, options = {}) {
+        const settings = this.validateRoomSettings({ ...DEFAULT_ROOM_SETTINGS, ...options.settings }, 1);
+        const simulationMode = RELAY_ROOMS ? 'relay' : 'server';
         const roomCode = this.generateRoomCode();
         const room = {
             code: roomCode,
             hostId: hostId,
             players: new Map(),
-            gameState: 'lobby', // 'lobby', 'racing', 'finished'
+            gameState: 'lobby', // 'lobby' or 'racing' - back to 'lobby' when the race finishes
+            simulationMode: simulationMode, // 'server', or 'relay' with RELAY_ROOMS set
+            isPublic: simulationMode === 'server' && !!options.isPublic, // Listed in /api/rooms and open to quick match
+            settings: settings,
+            spectators: new Map(), // Watch the race without a kart
+            maxSpectators: MAX_ROOM_SPECTATORS,
+            simulation: null,
             raceData: null,
             createdAt: Date.now()
         };
@@ -61,8 +96,10 @@ class GameServer {
         room.players.set(hostId, {
             id: hostId,
             name: hostName,
+            kartType: this.validateKartType(options.kartType),
             isHost: true,
             ready: false,
+            connected: true,
             position: { x: 0, y: 0, rotation: 0 },
             joinedAt: Date.now()
         });
@@ -74,13 +111,17 @@ class GameServer {
     }
 
     // Join existing room
-    joinRoom(roomCode, playerId, playerName) {
+    joinRoom(roomCode, playerId, playerName, kartType) {
         const room = this.rooms.get(roomCode);
         if (!room) {
             throw new Error('Room not found');
         }
 
-        if (room.players.size >= 4) {
+        if (this.getSeat(room, playerId)) {
+            throw new Error('Already in this room');
+        }
+
+        if (room.players.size >= room.settings.maxPlayers) {
             throw new Error('Room is full');
         }
 
@@ -92,8 +133,10 @@ class GameServer {
         room.players.set(playerId, {
             id: playerId,
             name: playerName,
+            kartType: this.validateKartType(kartType),
             isHost: false,
             ready: false,
+            connected: true,
             position: { x: 0, y: 0, rotation: 0 },
             joinedAt: Date.now()
         });
@@ -102,17 +145,140 @@ class GameServer {
         return room;
     }
 
+    // The KartPhysics preset a racer drives (balanced unless they chose one)
+    validateKartType(kartType = 'balanced') {
+        if (!Leaderboard.KART_TYPES.includes(kartType)) {
+            throw new Error(`Unknown kart preset: ${kartType}`);
+        }
+
+        return kartType;
+    }
+
+    // Check settings against the built-in tracks and the room's occupancy.
+    // Types and ranges have already been checked by the protocol schema.
+    validateRoomSettings(settings, playerCount) {
+        if (!TrackBuilder.isKnownTrack(settings.track)) {
+            throw new Error(`Unknown track: ${settings.track}`);
+        }
+
+        if (settings.maxPlayers < playerCount) {
+            throw new Error(`Max players can't be lower than the ${playerCount} players in the room`);
+        }
+
+        return settings;
+    }
+
+    // Host changes to the room settings (lobby only)
+    updateRoomSettings(roomCode, playerId, changes) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+
+        if (room.hostId !== playerId) {
+            throw new Error('Only the host can change room settings');
+        }
+
+        if (room.gameState === 'racing') {
+            throw new Error('Race in progress');
+        }
+
+        room.settings = this.validateRoomSettings({ ...room.settings, ...changes }, room.players.size);
+        console.log(`Room ${roomCode} settings updated`, room.settings);
+
+        return room;
+    }
+
+    // Join as a spectator - allowed mid-race, up to the room's spectator limit
+    joinAsSpectator(roomCode, playerId, playerName) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+
+        if (this.getSeat(room, playerId)) {
+            throw new Error('Already in this room');
+        }
+
+        if (room.spectators.size >= room.maxSpectators) {
+            throw new Error('No spectator seats left');
+        }
+
+        room.spectators.set(playerId, {
+            id: playerId,
+            name: playerName,
+            connected: true,
+            joinedAt: Date.now()
+        });
+
+        console.log(`${playerName} is spectating room ${roomCode}`);
+        return room;
+    }
+
+    // Move a spectator into a free racer slot (not while a race is running)
+    takeRacerSlot(roomCode, playerId, kartType) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+
+        const spectator = room.spectators.get(playerId);
+        if (!spectator) {
+            throw new Error('Not spectating this room');
+        }
+
+        if (room.gameState === 'racing') {
+            throw new Error('Race in progress');
+        }
+
+        if (room.players.size >= room.settings.maxPlayers) {
+            throw new Error('Room is full');
+        }
+
+        const seatKartType = this.validateKartType(kartType);
+        room.spectators.delete(playerId);
+        room.players.set(playerId, {
+            id: playerId,
+            name: spectator.name,
+            kartType: seatKartType,
+            isHost: false,
+            ready: false,
+            connected: spectator.connected,
+            position: { x: 0, y: 0, rotation: 0 },
+            joinedAt: Date.now()
+        });
+
+        console.log(`${spectator.name} took a racer slot in room ${roomCode}`);
+        return room;
+    }
+
+    // Racer or spectator seat of a player in a room
+    getSeat(room, playerId) {
+        return room.players.get(playerId) || room.spectators.get(playerId) || null;
+    }
+
     // Leave room
     leaveRoom(roomCode, playerId) {
         const room = this.rooms.get(roomCode);
         if (!room) return null;
 
+        const spectator = room.spectators.get(playerId);
+        if (spectator) {
+            room.spectators.delete(playerId);
+            console.log(`${spectator.name} stopped spectating room ${roomCode}`);
+            return room;
+        }
+
         const player = room.players.get(playerId);
         if (!player) return null;
 
         room.players.delete(playerId);
         console.log(`${player.name} left room ${roomCode}`);
 
+        if (room.simulation) {
+            room.simulation.removeKart(playerId);
+        }
+
         // If host left, assign new host or delete room
         if (player.isHost) {
             if (room.players.size > 0) {
@@ -122,6 +288,7 @@ class GameServer {
                 console.log(`${newHost.name} is now host of room ${roomCode}`);
             } else {
                 // Delete empty room
+                this.stopSimulation(room);
                 this.rooms.delete(roomCode);
                 this.roomCodes.delete(roomCode);
                 console.log(`Room ${roomCode} deleted (empty)`);
@@ -131,20 +298,272 @@ class GameServer {
         return room;
     }
 
-    // Update player position
+    // Update player position (relay rooms only - server rooms simulate positions).
+    // The update is checked against the previous one and the kart's physics limits;
+    // returns { accepted, position, newlyFlagged } or null for unknown rooms/players.
     updatePlayerPosition(roomCode, playerId, positionData) {
         const room = this.rooms.get(roomCode);
-        if (!room) return false;
+        if (!room || room.simulationMode !== 'relay') return null;
 
         const player = room.players.get(playerId);
-        if (!player) return false;
+        if (!player) return null;
+
+        const now = Date.now();
+        const previous = player.position.timestamp ? player.position : null;
+        const result = this.movementValidator.validate(previous, positionData, player.kartType, now);
 
-        player.position = {
-            ...positionData,
-            timestamp: Date.now()
+        const newlyFlagged = result.violations.length > 0 && this.recordViolations(player, result.violations);
+
+        if (result.accepted) {
+            player.position = {
+                ...result.position,
+                timestamp: now
+            };
+        }
+
+        return {
+            accepted: result.accepted,
+            position: result.position,
+            newlyFlagged: newlyFlagged
         };
+    }
+
+    // Count movement violations; returns true when the player crosses the flag threshold
+    recordViolations(player, violations) {
+        if (!player.violations) {
+            player.violations = { speed: 0, angularVelocity: 0, teleport: 0, total: 0 };
+        }
 
-        return true;
+        for (const type of violations) {
+            player.violations[type]++;
+            player.violations.total++;
+        }
+
+        if (!player.flagged && player.violations.total >= this.movementValidator.flagThreshold) {
+            player.flagged = true;
+            console.log(`${player.name} flagged for implausible movement`, player.violations);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Players flagged for implausible movement, across all rooms
+    getFlaggedPlayers() {
+        const flagged = [];
+
+        for (const room of this.rooms.values()) {
+            for (const player of room.players.values()) {
+                if (player.flagged) {
+                    flagged.push({
+                        playerId: player.id,
+                        name: player.name,
+                        roomCode: room.code,
+                        violations: { ...player.violations }
+                    });
+                }
+            }
+        }
+
+        return flagged;
+    }
+
+    // Start the authoritative race simulation for a room
+    startSimulation(roomCode) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+
+        this.stopSimulation(room);
+
+        const simulation = new RaceSimulation({
+            tickRate: SIMULATION_TICK_RATE,
+            laps: room.settings.laps,
+            track: TrackBuilder.createTrack(room.settings.track),
+            kartCollisions: room.settings.collisions,
+            maxTime: RACE_TIME_LIMIT
+        });
+
+        for (const player of room.players.values()) {
+            simulation.addKart(player.id, player.name, player.kartType);
+        }
+
+        if (room.settings.fillWithBots) {
+            this.addBots(room, simulation);
+        }
+
+        room.simulation = simulation;
+        return simulation;
+    }
+
+    // Fill the room's free seats with AI bots (server simulation only -
+    // relay rooms have nothing on the server to drive them)
+    addBots(room, simulation) {
+        const freeSeats = room.settings.maxPlayers - room.players.size;
+
+        for (let i = 0, n = 1; i < freeSeats; i++) {
+            let botId;
+            do {
+                botId = `bot_${n++}`;
+            } while (room.players.has(botId));
+
+            simulation.addBot(
+                botId,
+                AIManager.BOT_NAMES[i % AIManager.BOT_NAMES.length],
+                room.settings.botDifficulty,
+                Utils.randomChoice(AIManager.KART_TYPES)
+            );
+        }
+
+        if (freeSeats > 0) {
+            console.log(`Room ${room.code}: ${freeSeats} ${room.settings.botDifficulty} bots on the grid`);
+        }
+    }
+
+    // Race over: the room is back in the lobby, open to joins and quick match
+    // again, and its racers have to ready up for the next race
+    returnToLobby(room) {
+        this.stopSimulation(room);
+        room.gameState = 'lobby';
+
+        for (const player of room.players.values()) {
+            player.ready = false;
+        }
+
+        console.log(`Room ${room.code} is back in the lobby`);
+    }
+
+    stopSimulation(room) {
+        if (room && room.simulation) {
+            room.simulation.stop();
+            room.simulation.removeAllListeners();
+            room.simulation = null;
+        }
+    }
+
+    // Update player controls for the room simulation
+    updatePlayerInput(roomCode, playerId, controls) {
+        const room = this.rooms.get(roomCode);
+        if (!room || !room.simulation) return false;
+
+        return room.simulation.setControls(playerId, controls);
+    }
+
+    // Issue a resumable session token at handshake
+    createSession(playerId, playerName, socketId) {
+        const token = crypto.randomBytes(16).toString('hex');
+
+        this.sessions.set(token, {
+            token: token,
+            playerId: playerId,
+            playerName: playerName,
+            roomCode: null,
+            socketId: socketId, // The socket the session is attached to
+            connected: true,
+            disconnectedAt: null,
+            expiryTimer: null
+        });
+
+        return token;
+    }
+
+    // Hold a disconnected player's seat, kart and race progress for the grace
+    // period. If they have not resumed by then, onExpire(session) is called.
+    suspendSession(token, roomCode, onExpire) {
+        const session = this.sessions.get(token);
+        if (!session) return;
+
+        session.connected = false;
+        session.roomCode = roomCode;
+        session.disconnectedAt = Date.now();
+
+        const room = roomCode && this.rooms.get(roomCode);
+        const player = room && this.getSeat(room, session.playerId);
+        if (player) {
+            player.connected = false;
+
+            // Let the kart coast rather than hold the last input
+            if (room.simulation) {
+                room.simulation.setControls(session.playerId, { accelerate: 0, brake: 0, steer: 0 });
+            }
+        }
+
+        session.expiryTimer = setTimeout(() => {
+            this.sessions.delete(token);
+            onExpire(session);
+        }, RECONNECT_GRACE_PERIOD);
+    }
+
+    // Resume a session on a new socket. The old socket may not have noticed the
+    // connection is gone yet (ping detection takes longer than the grace period),
+    // so a session still attached to one is taken over too. Returns { session,
+    // staleSocketId } - the session with roomCode cleared if the seat is gone,
+    // and the socket the caller should drop, if any - or null if the token is
+    // unknown or expired.
+    resumeSession(token, socketId) {
+        const session = this.sessions.get(token);
+        if (!session) return null;
+
+        const staleSocketId = session.connected ? session.socketId : null;
+
+        clearTimeout(session.expiryTimer);
+        session.expiryTimer = null;
+        session.socketId = socketId;
+        session.connected = true;
+        session.disconnectedAt = null;
+
+        const room = session.roomCode && this.rooms.get(session.roomCode);
+        const player = room && this.getSeat(room, session.playerId);
+        if (player) {
+            player.connected = true;
+        } else {
+            session.roomCode = null;
+        }
+
+        return { session, staleSocketId };
+    }
+
+    // Whether a socket still owns its session (false once it was resumed elsewhere)
+    isSessionAttached(token, socketId) {
+        const session = this.sessions.get(token);
+        return !!session && session.socketId === socketId;
+    }
+
+    // Summaries of the public rooms, for the lobby browser
+    listPublicRooms(filter = {}) {
+        return Array.from(this.rooms.values())
+            .filter(room => room.isPublic)
+            .filter(room => !filter.gameState || room.gameState === filter.gameState)
+            .map(room => {
+                const host = room.players.get(room.hostId);
+                return {
+                    roomCode: room.code,
+                    hostName: host ? host.name : null,
+                    playerCount: room.players.size,
+                    maxPlayers: room.settings.maxPlayers,
+                    gameState: room.gameState,
+                    simulationMode: room.simulationMode,
+                    track: room.settings.track,
+                    laps: room.settings.laps,
+                    spectatorCount: room.spectators.size,
+                    maxSpectators: room.maxSpectators,
+                    createdAt: room.createdAt
+                };
+            });
+    }
+
+    // Pick an open public lobby for quick match. Rooms matching the preferred
+    // settings win, and fuller rooms are preferred so races fill up sooner.
+    findQuickMatchRoom(preferences = {}) {
+        const candidates = Array.from(this.rooms.values()).filter(room =>
+            room.isPublic &&
+            room.simulationMode === 'server' &&
+            room.gameState === 'lobby' &&
+            room.players.size < room.settings.maxPlayers &&
+            (!preferences.track || room.settings.track === preferences.track)
+        );
+
+        candidates.sort((a, b) => (b.players.size - a.players.size) || (a.createdAt - b.createdAt));
+        return candidates[0] || null;
     }
 
     // Get room info
@@ -153,9 +572,12 @@ class GameServer {
         if (!room) return null;
 
         return {
-            code: room.code,
+            roomCode: room.code,
             hostId: room.hostId,
             gameState: room.gameState,
+            simulationMode: room.simulationMode,
+            isPublic: room.isPublic,
+            settings: { ...room.settings },
             playerCount: room.players.size,
             players: Object.fromEntries(
                 Array.from(room.players.entries()).map(([id, player]) => [
@@ -163,8 +585,23 @@ class GameServer {
                     {
                         id: player.id,
                         name: player.name,
+                        kartType: player.kartType,
                         isHost: player.isHost,
-                        ready: player.ready
+                        ready: player.ready,
+                        connected: player.connected,
+                        flagged: !!player.flagged
+                    }
+                ])
+            ),
+            spectatorCount: room.spectators.size,
+            maxSpectators: room.maxSpectators,
+            spectators: Object.fromEntries(
+                Array.from(room.spectators.values()).map(spectator => [
+                    spectator.id,
+                    {
+                        id: spectator.id,
+                        name: spectator.name,
+                        connected: spectator.connected
                     }
                 ])
             )
@@ -173,9 +610,20 @@ class GameServer {
 
     // Get server stats
     getStats() {
+        const simulations = Array.from(this.rooms.values()).filter(room => room.simulation && room.simulation.running);
+
         return {
             rooms: this.rooms.size,
             players: this.players.size,
+            sessions: this.sessions.size,
+            reservedSeats: Array.from(this.sessions.values()).filter(session => !session.connected && session.roomCode).length,
+            reconnectGracePeriod: RECONNECT_GRACE_PERIOD,
+            activeSimulations: simulations.length,
+            simulationTickRate: SIMULATION_TICK_RATE,
+            antiCheat: {
+                ...this.movementValidator.getStats(),
+                flaggedPlayers: this.getFlaggedPlayers()
+            },
             totalConnections: this.players.size,
             uptime: process.uptime()
         };
@@ -188,6 +636,7 @@ class GameServer {
 
         for (const [roomCode, room] of this.rooms.entries()) {
             if (now - room.createdAt > maxAge) {
+                this.stopSimulation(room);
                 this.rooms.delete(roomCode);
                 this.roomCodes.delete(roomCode);
                 console.log(`Cleaned up old room ${roomCode}`);
@@ -198,6 +647,91 @@ class GameServer {
 
 // Initialize game server
 const gameServer = new GameServer();
+const leaderboard = new Leaderboard({ filePath: LEADERBOARD_FILE });
+
+// Race clock and settings for someone arriving mid-race (reconnects, spectators).
+// startTime is on the server clock and may still be ahead during the countdown.
+// Null when the room has no race clock to hand over.
+function getRaceInProgress(room) {
+    if (room.gameState !== 'racing' || !room.raceData || !room.raceData.startTime) return null;
+
+    return {
+        simulationMode: room.simulationMode,
+        settings: { ...room.settings },
+        bots: room.simulation ? room.simulation.getBots() : [],
+        startTime: room.raceData.startTime,
+        raceTime: Math.max(0, Date.now() - room.raceData.startTime)
+    };
+}
+
+// Tell a room that someone has left for good. leaveRoom deletes a room once its
+// last racer is gone, so any spectators still watching are sent away - and are
+// then in no room, free to join or quick match another.
+function announceDeparture(roomCode, room, playerId, playerName) {
+    if (!room) return;
+
+    if (room.players.size > 0) {
+        io.to(roomCode).emit(Protocol.ServerMessages.PLAYER_LEFT, {
+            playerId: playerId,
+            playerName: playerName
+        });
+        io.to(roomCode).emit(Protocol.ServerMessages.ROOM_UPDATED, gameServer.getRoomInfo(roomCode));
+    } else if (room.spectators.size > 0) {
+        io.to(roomCode).emit(Protocol.ServerMessages.ROOM_CLOSED, {
+            roomCode: roomCode,
+            reason: 'All racers have left'
+        });
+
+        for (const socketId of Array.from(io.sockets.adapter.rooms.get(roomCode) || [])) {
+            const socket = io.sockets.sockets.get(socketId);
+            if (socket && socket.data.onRoomClosed) {
+                socket.data.onRoomClosed(roomCode);
+            }
+        }
+        io.in(roomCode).socketsLeave(roomCode);
+    }
+}
+
+// Server-simulated laps go straight onto the multiplayer leaderboard (bots excluded)
+function recordLap(room, kart, lapTime) {
+    if (!kart || kart.isBot) return;
+
+    try {
+        leaderboard.submitLap({
+            playerId: kart.playerId,
+            playerName: kart.name,
+            track: room.settings.track,
+            mode: 'multiplayer',
+            kartType: kart.kartType,
+            lapTime: lapTime
+        });
+    } catch (error) {
+        console.warn(`Lap by ${kart.name} not recorded: ${error.message}`);
+    }
+}
+
+// Forward simulation events to the players in a room
+function attachSimulation(room, simulation) {
+    const roomCode = room.code;
+
+    simulation.on('state', (snapshot) => {
+        io.to(roomCode).emit(Protocol.ServerMessages.RACE_STATE, snapshot);
+    });
+
+    simulation.on('lap', (data) => {
+        io.to(roomCode).emit(Protocol.ServerMessages.LAP_COMPLETED, data);
+        recordLap(room, simulation.getKart(data.playerId), data.lapTime);
+    });
+
+    simulation.on('finished', (results) => {
+        room.raceData = { ...room.raceData, results };
+        gameServer.returnToLobby(room);
+
+        io.to(roomCode).emit(Protocol.ServerMessages.RACE_FINISHED, { results });
+        io.to(roomCode).emit(Protocol.ServerMessages.ROOM_UPDATED, gameServer.getRoomInfo(roomCode));
+        console.log(`Race finished in room ${roomCode}`);
+    });
+}
 
 // Middleware
 app.use(helmet({
@@ -219,7 +753,63 @@ app.get('/api/health', (req, res) => {
 });
 
 app.get('/api/stats', (req, res) => {
-    res.json(gameServer.getStats());
+    res.json({
+        ...gameServer.getStats(),
+        leaderboard: leaderboard.getStats()
+    });
+});
+
+// Public rooms for the lobby browser (?state=lobby to list only joinable ones)
+app.get('/api/rooms', (req, res) => {
+    res.json({
+        rooms: gameServer.listPublicRooms({ gameState: req.query.state })
+    });
+});
+
+// Submit a lap record (single player - multiplayer laps are recorded by the server)
+app.post('/api/laps', (req, res) => {
+    const result = Protocol.validate('lapRecord', req.body);
+    if (!result.valid) {
+        return res.status(400).json({ error: result.errors.join('; ') });
+    }
+
+    if (result.value.mode === 'multiplayer') {
+        return res.status(400).json({ error: 'Multiplayer laps are recorded by the server' });
+    }
+
+    try {
+        res.json(leaderboard.submitLap(result.value));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Lap records for a track and mode (?kart= for one preset, ?playerId= for "around me")
+app.get('/api/leaderboard', (req, res) => {
+    const track = req.query.track || TrackBuilder.DEFAULT_TRACK;
+    const mode = req.query.mode || 'singleplayer';
+    const kartType = req.query.kart || null;
+    const limit = Utils.clamp(parseInt(req.query.limit, 10) || 10, 1, 50);
+
+    if (!TrackBuilder.isKnownTrack(track)) {
+        return res.status(400).json({ error: `Unknown track: ${track}` });
+    }
+
+    if (!Leaderboard.MODES.includes(mode)) {
+        return res.status(400).json({ error: `Unknown mode: ${mode}` });
+    }
+
+    if (kartType && !Leaderboard.KART_TYPES.includes(kartType)) {
+        return res.status(400).json({ error: `Unknown kart preset: ${kartType}` });
+    }
+
+    res.json(leaderboard.getLeaderboard({
+        track,
+        mode,
+        kartType,
+        limit,
+        playerId: typeof req.query.playerId === 'string' ? req.query.playerId : null
+    }));
 });
 
 // Serve index.html for all other routes
@@ -234,142 +824,426 @@ io.on('connection', (socket) => {
     let currentRoom = null;
     let playerId = null;
     let playerName = 'Anonymous';
+    let sessionToken = null;
+
+    // Register a protocol message handler. Payloads are validated against the
+    // shared schema, and nothing but the handshake is accepted before it completes.
+    const onMessage = (type, handler) => {
+        socket.on(type, (data) => {
+            if (!playerId && type !== Protocol.ClientMessages.PLAYER_JOIN) {
+                socket.emit(Protocol.ServerMessages.ERROR, {
+                    code: Protocol.ErrorCodes.HANDSHAKE_REQUIRED,
+                    message: 'Send playerJoin before any other message'
+                });
+                return;
+            }
+
+            const result = Protocol.validate(type, data);
+            if (!result.valid) {
+                socket.emit(Protocol.ServerMessages.ERROR, {
+                    code: Protocol.ErrorCodes.INVALID_MESSAGE,
+                    message: result.errors.join('; ')
+                });
+                return;
+            }
 
-    // Handle player join
-    socket.on('playerJoin', (data) => {
-        playerId = data.playerId || socket.id;
-        playerName = data.playerName || 'Anonymous';
+            handler(result.value);
+        });
+    };
+
+    // The room this socket is in, kept on the session too so that a client
+    // resuming it on a new connection gets its seat back
+    const setCurrentRoom = (roomCode) => {
+        currentRoom = roomCode;
+
+        const session = gameServer.sessions.get(sessionToken);
+        if (session) {
+            session.roomCode = roomCode;
+        }
+    };
+
+    // Sent away from a room that closed under us (see announceDeparture)
+    socket.data.onRoomClosed = (roomCode) => {
+        if (currentRoom === roomCode) {
+            setCurrentRoom(null);
+        }
+    };
+
+    const emitRoomError = (error) => {
+        socket.emit(Protocol.ServerMessages.ERROR, {
+            code: Protocol.ErrorCodes.ROOM_ERROR,
+            message: error.message
+        });
+    };
+
+    // Handle player join (protocol handshake, once per connection - the
+    // identity and session it sets up are the socket's for good)
+    onMessage(Protocol.ClientMessages.PLAYER_JOIN, (data) => {
+        if (playerId) {
+            socket.emit(Protocol.ServerMessages.ERROR, {
+                code: Protocol.ErrorCodes.INVALID_MESSAGE,
+                message: 'Already joined - reconnect to change player'
+            });
+            return;
+        }
+
+        const version = Protocol.checkVersion(data.protocolVersion);
+        if (!version.compatible) {
+            socket.emit(Protocol.ServerMessages.PROTOCOL_ERROR, {
+                code: Protocol.ErrorCodes.VERSION_MISMATCH,
+                message: `${version.reason}. Please update the game to the latest version.`,
+                serverVersion: Protocol.VERSION,
+                minVersion: Protocol.MIN_SUPPORTED_VERSION
+            });
+            console.log(`Rejected client ${socket.id} with protocol version ${data.protocolVersion}`);
+            socket.disconnect(true);
+            return;
+        }
+
+        // Resume a held seat if the client brings back a live session token
+        const resumed = data.sessionToken ? gameServer.resumeSession(data.sessionToken, socket.id) : null;
+        const session = resumed && resumed.session;
+
+        if (session) {
+            sessionToken = session.token;
+            playerId = session.playerId;
+            playerName = session.playerName;
+        } else {
+            playerId = data.playerId || socket.id;
+            playerName = data.playerName || 'Anonymous';
+            sessionToken = gameServer.createSession(playerId, playerName, socket.id);
+        }
+        
+        // Drop the connection the client has replaced (its disconnect is then a no-op)
+        const staleSocket = resumed && resumed.staleSocketId && io.sockets.sockets.get(resumed.staleSocketId);
+        if (staleSocket) {
+            staleSocket.disconnect(true);
+        }
         
         gameServer.players.set(playerId, {
             socketId: socket.id,
             name: playerName,
+            protocolVersion: data.protocolVersion,
             joinedAt: Date.now()
         });
 
-        console.log(`Player ${playerName} (${playerId}) joined`);
+        socket.emit(Protocol.ServerMessages.WELCOME, {
+            protocolVersion: Protocol.VERSION,
+            playerId: playerId,
+            sessionToken: sessionToken,
+            resumed: !!session,
+            roomCode: session ? session.roomCode : undefined
+        });
+
+        if (session && session.roomCode) {
+            restoreSeat(session.roomCode);
+        }
+
+        console.log(`Player ${playerName} (${playerId}) ${session ? 'resumed session' : 'joined'}`);
+    });
+
+    // Put a resumed player back into their room (and running race). If that
+    // fails the seat is given up and the client told, rather than thrown.
+    const restoreSeat = (roomCode) => {
+        try {
+            const room = gameServer.rooms.get(roomCode);
+            setCurrentRoom(roomCode);
+            socket.join(roomCode);
+
+            socket.emit(Protocol.ServerMessages.ROOM_JOINED, gameServer.getRoomInfo(roomCode));
+
+            const race = getRaceInProgress(room);
+            if (race) {
+                socket.emit(Protocol.ServerMessages.RACE_RESUMED, race);
+            }
+
+            socket.to(roomCode).emit(Protocol.ServerMessages.PLAYER_RECONNECTED, {
+                playerId: playerId,
+                playerName: playerName
+            });
+
+            console.log(`${playerName} resumed their seat in room ${roomCode}`);
+        } catch (error) {
+            console.error(`Could not restore ${playerName}'s seat in room ${roomCode}:`, error);
+            leaveCurrentRoom();
+            emitRoomError(new Error('Your seat could not be restored'));
+        }
+    };
+
+    // Clock sync ping - echo the client's time with ours
+    onMessage(Protocol.ClientMessages.TIME_SYNC, (data) => {
+        socket.emit(Protocol.ServerMessages.TIME_SYNC, {
+            clientTime: data.clientTime,
+            serverTime: Date.now()
+        });
+    });
+
+    // Handle player name changes
+    onMessage(Protocol.ClientMessages.UPDATE_PLAYER_INFO, (data) => {
+        playerName = data.playerName;
+
+        const session = gameServer.sessions.get(sessionToken);
+        if (session) {
+            session.playerName = playerName;
+        }
+
+        const player = gameServer.players.get(playerId);
+        if (player) {
+            player.name = playerName;
+        }
+
+        if (currentRoom) {
+            const room = gameServer.rooms.get(currentRoom);
+            const roomPlayer = room && room.players.get(playerId);
+            if (roomPlayer) {
+                roomPlayer.name = playerName;
+                io.to(currentRoom).emit(Protocol.ServerMessages.ROOM_UPDATED, gameServer.getRoomInfo(currentRoom));
+            }
+        }
     });
 
     // Handle room creation
-    socket.on('createRoom', (data) => {
+    onMessage(Protocol.ClientMessages.CREATE_ROOM, (data) => {
         try {
-            const room = gameServer.createRoom(playerId, playerName);
-            currentRoom = room.code;
+            const room = gameServer.createRoom(playerId, playerName, data);
+            leaveCurrentRoom();
+            setCurrentRoom(room.code);
             
             socket.join(currentRoom);
             
-            socket.emit('roomCreated', {
+            socket.emit(Protocol.ServerMessages.ROOM_CREATED, {
                 roomCode: room.code,
                 hostId: room.hostId
             });
 
             console.log(`Room ${room.code} created by ${playerName}`);
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitRoomError(error);
         }
     });
 
+    // Give up our seat in the current room, if any, and tell the others
+    const leaveCurrentRoom = () => {
+        if (!currentRoom) return;
+
+        const room = gameServer.leaveRoom(currentRoom, playerId);
+        socket.leave(currentRoom);
+        announceDeparture(currentRoom, room, playerId, playerName);
+        setCurrentRoom(null);
+    };
+
+    // Join a room and tell everyone in it (throws on room errors). A seat
+    // in another room is given up once the new one is taken.
+    const enterRoom = (roomCode, spectate = false, kartType) => {
+        const room = spectate
+            ? gameServer.joinAsSpectator(roomCode, playerId, playerName)
+            : gameServer.joinRoom(roomCode, playerId, playerName, kartType);
+        leaveCurrentRoom();
+        setCurrentRoom(room.code);
+        
+        socket.join(currentRoom);
+        
+        // Notify all players in room
+        const roomInfo = gameServer.getRoomInfo(currentRoom);
+        io.to(currentRoom).emit(Protocol.ServerMessages.PLAYER_JOINED, {
+            playerId: playerId,
+            playerName: playerName,
+            spectator: spectate
+        });
+        
+        socket.emit(Protocol.ServerMessages.ROOM_JOINED, roomInfo);
+        
+        // Spectators may arrive mid-race
+        const race = getRaceInProgress(room);
+        if (race) {
+            socket.emit(Protocol.ServerMessages.RACE_RESUMED, race);
+        }
+        
+        console.log(`${playerName} ${spectate ? 'is spectating' : 'joined'} room ${currentRoom}`);
+    };
+
     // Handle room joining
-    socket.on('joinRoom', (data) => {
+    onMessage(Protocol.ClientMessages.JOIN_ROOM, (data) => {
         try {
-            const room = gameServer.joinRoom(data.roomCode, playerId, playerName);
-            currentRoom = room.code;
-            
-            socket.join(currentRoom);
-            
-            // Notify all players in room
-            const roomInfo = gameServer.getRoomInfo(currentRoom);
-            io.to(currentRoom).emit('playerJoined', {
-                playerId: playerId,
-                playerName: playerName
+            enterRoom(data.roomCode, !!data.spectate, data.kartType);
+        } catch (error) {
+            emitRoomError(error);
+        }
+    });
+
+    // Quick match: join the best open public lobby, or open a new one with the
+    // preferred settings. Answers with 'roomJoined' either way.
+    onMessage(Protocol.ClientMessages.QUICK_MATCH, (data) => {
+        if (currentRoom) {
+            emitRoomError(new Error('Already in a room'));
+            return;
+        }
+
+        try {
+            const match = gameServer.findQuickMatchRoom(data);
+            if (match) {
+                enterRoom(match.code, false, data.kartType);
+                return;
+            }
+
+            const room = gameServer.createRoom(playerId, playerName, {
+                kartType: data.kartType,
+                isPublic: true,
+                settings: data.track ? { track: data.track } : {}
             });
-            
-            socket.emit('roomJoined', roomInfo);
-            
-            console.log(`${playerName} joined room ${currentRoom}`);
+            setCurrentRoom(room.code);
+            socket.join(currentRoom);
+            socket.emit(Protocol.ServerMessages.ROOM_JOINED, gameServer.getRoomInfo(currentRoom));
+
+            console.log(`Quick match opened room ${room.code} for ${playerName}`);
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitRoomError(error);
         }
     });
 
     // Handle room leaving
-    socket.on('leaveRoom', (data) => {
-        if (currentRoom) {
-            const room = gameServer.leaveRoom(currentRoom, playerId);
-            
-            socket.leave(currentRoom);
-            
-            // Notify remaining players
-            if (room && room.players.size > 0) {
-                io.to(currentRoom).emit('playerLeft', {
+    onMessage(Protocol.ClientMessages.LEAVE_ROOM, () => {
+        leaveCurrentRoom();
+    });
+
+    // Host changes laps, player cap, track, collisions or bot fill
+    onMessage(Protocol.ClientMessages.UPDATE_ROOM_SETTINGS, (data) => {
+        if (!currentRoom) return;
+
+        try {
+            gameServer.updateRoomSettings(currentRoom, playerId, data.settings);
+            io.to(currentRoom).emit(Protocol.ServerMessages.ROOM_UPDATED, gameServer.getRoomInfo(currentRoom));
+        } catch (error) {
+            emitRoomError(error);
+        }
+    });
+
+    // Spectator wants to race (once the room is back in the lobby)
+    onMessage(Protocol.ClientMessages.TAKE_RACER_SLOT, (data) => {
+        if (!currentRoom) return;
+
+        try {
+            gameServer.takeRacerSlot(currentRoom, playerId, data.kartType);
+            io.to(currentRoom).emit(Protocol.ServerMessages.ROOM_UPDATED, gameServer.getRoomInfo(currentRoom));
+        } catch (error) {
+            emitRoomError(error);
+        }
+    });
+
+    // Handle player position updates
+    onMessage(Protocol.ClientMessages.PLAYER_POSITION_UPDATE, (data) => {
+        if (!currentRoom) return;
+
+        const result = gameServer.updatePlayerPosition(currentRoom, playerId, data);
+        if (!result) return;
+
+        // Let the host know about repeat offenders
+        if (result.newlyFlagged) {
+            const room = gameServer.rooms.get(currentRoom);
+            const host = room && gameServer.players.get(room.hostId);
+            if (host) {
+                const player = room.players.get(playerId);
+                io.to(host.socketId).emit(Protocol.ServerMessages.PLAYER_FLAGGED, {
                     playerId: playerId,
-                    playerName: playerName
+                    playerName: playerName,
+                    violations: { ...player.violations }
                 });
-                
-                // Send updated room info
-                const roomInfo = gameServer.getRoomInfo(currentRoom);
-                io.to(currentRoom).emit('roomUpdated', roomInfo);
             }
-            
-            currentRoom = null;
         }
-    });
 
-    // Handle player position updates
-    socket.on('playerPositionUpdate', (data) => {
-        if (currentRoom && gameServer.updatePlayerPosition(currentRoom, playerId, data)) {
-            // Broadcast to other players in room
-            socket.to(currentRoom).emit('playerPositionUpdate', {
+        // Broadcast the checked (possibly clamped) position to other players in room
+        if (result.accepted) {
+            socket.to(currentRoom).emit(Protocol.ServerMessages.PLAYER_POSITION_UPDATE, {
                 playerId: playerId,
-                ...data
+                ...result.position
             });
         }
     });
 
-    // Handle game state updates (host only)
-    socket.on('gameStateUpdate', (data) => {
+    // Handle game state updates (host of a relay room only - in server rooms
+    // only the race simulation changes the state)
+    onMessage(Protocol.ClientMessages.GAME_STATE_UPDATE, (data) => {
         if (currentRoom) {
             const room = gameServer.rooms.get(currentRoom);
             if (room && room.hostId === playerId) {
-                room.gameState = data.gameState || room.gameState;
+                if (room.simulationMode === 'server') {
+                    emitRoomError(new Error('The server decides the race state in this room'));
+                    return;
+                }
+                
+                if (data.gameState === 'lobby') {
+                    gameServer.returnToLobby(room);
+                } else {
+                    room.gameState = data.gameState || room.gameState;
+                }
                 room.raceData = data.raceData || room.raceData;
                 
                 // Broadcast to all players in room
-                io.to(currentRoom).emit('gameStateUpdate', data);
+                io.to(currentRoom).emit(Protocol.ServerMessages.GAME_STATE_UPDATE, data);
             }
         }
     });
 
     // Handle race start (host only)
-    socket.on('startRace', (data) => {
+    onMessage(Protocol.ClientMessages.START_RACE, (data) => {
         if (currentRoom) {
             const room = gameServer.rooms.get(currentRoom);
             if (room && room.hostId === playerId) {
+                if (room.gameState === 'racing') {
+                    emitRoomError(new Error('Race in progress'));
+                    return;
+                }
+                
+                // Everyone counts down to the same moment on the server clock
+                const startTime = Date.now() + RACE_START_DELAY;
+                
                 room.gameState = 'racing';
                 room.raceData = {
-                    startTime: Date.now(),
-                    ...data
+                    startTime: startTime,
+                    laps: room.settings.laps,
+                    track: room.settings.track
                 };
                 
-                // Broadcast race start to all players
-                io.to(currentRoom).emit('raceStarted', {
+                const simulation = room.simulationMode === 'server'
+                    ? gameServer.startSimulation(currentRoom)
+                    : null;
+                
+                // Broadcast race start (with the settings it runs under and any bots on the grid)
+                io.to(currentRoom).emit(Protocol.ServerMessages.RACE_STARTED, {
                     timestamp: Date.now(),
-                    ...data
+                    startTime: startTime,
+                    simulationMode: room.simulationMode,
+                    settings: { ...room.settings },
+                    bots: simulation ? simulation.getBots() : []
                 });
                 
+                if (simulation) {
+                    attachSimulation(room, simulation);
+                    simulation.start(startTime);
+                }
+                
                 console.log(`Race started in room ${currentRoom}`);
             }
         }
     });
 
-    // Handle race finish
-    socket.on('raceFinished', (data) => {
+    // Handle control inputs for the server simulation
+    onMessage(Protocol.ClientMessages.PLAYER_INPUT, (data) => {
+        if (currentRoom) {
+            gameServer.updatePlayerInput(currentRoom, playerId, data);
+        }
+    });
+
+    // Handle race finish (relay rooms only - server rooms decide results themselves)
+    onMessage(Protocol.ClientMessages.RACE_FINISHED, (data) => {
         if (currentRoom) {
             const room = gameServer.rooms.get(currentRoom);
-            if (room && room.hostId === playerId) {
-                room.gameState = 'finished';
+            if (room && room.hostId === playerId && room.simulationMode === 'relay') {
+                gameServer.returnToLobby(room);
                 
                 // Broadcast race results
-                io.to(currentRoom).emit('raceFinished', data);
+                io.to(currentRoom).emit(Protocol.ServerMessages.RACE_FINISHED, data);
+                io.to(currentRoom).emit(Protocol.ServerMessages.ROOM_UPDATED, gameServer.getRoomInfo(currentRoom));
                 
                 console.log(`Race finished in room ${currentRoom}`);
             }
@@ -377,7 +1251,7 @@ io.on('connection', (socket) => {
     });
 
     // Handle chat messages
-    socket.on('chatMessage', (data) => {
+    onMessage(Protocol.ClientMessages.CHAT_MESSAGE, (data) => {
         if (currentRoom) {
             const message = {
                 playerId: playerId,
@@ -387,12 +1261,12 @@ io.on('connection', (socket) => {
             };
             
             // Broadcast to all players in room
-            io.to(currentRoom).emit('chatMessage', message);
+            io.to(currentRoom).emit(Protocol.ServerMessages.CHAT_MESSAGE, message);
         }
     });
 
     // Handle player ready state
-    socket.on('playerReady', (data) => {
+    onMessage(Protocol.ClientMessages.PLAYER_READY, (data) => {
         if (currentRoom) {
             const room = gameServer.rooms.get(currentRoom);
             if (room) {
@@ -401,7 +1275,7 @@ io.on('connection', (socket) => {
                     player.ready = data.ready;
                     
                     // Broadcast ready state
-                    io.to(currentRoom).emit('playerReadyUpdate', {
+                    io.to(currentRoom).emit(Protocol.ServerMessages.PLAYER_READY_UPDATE, {
                         playerId: playerId,
                         ready: data.ready
                     });
@@ -414,19 +1288,33 @@ io.on('connection', (socket) => {
     socket.on('disconnect', (reason) => {
         console.log(`Player ${playerName} disconnected: ${reason}`);
         
-        // Remove from current room
-        if (currentRoom) {
-            gameServer.leaveRoom(currentRoom, playerId);
+        if (!playerId) return;
+        
+        // Resumed on another socket already - the seat is that socket's now
+        if (!gameServer.isSessionAttached(sessionToken, socket.id)) return;
+        
+        // Remove from players map (the session keeps their identity)
+        gameServer.players.delete(playerId);
+        
+        // Hold the seat for the grace period instead of leaving right away
+        const roomCode = currentRoom;
+        const leftId = playerId;
+        const leftName = playerName;
+        
+        gameServer.suspendSession(sessionToken, roomCode, () => {
+            if (!roomCode) return;
             
-            // Notify remaining players
-            socket.to(currentRoom).emit('playerLeft', {
-                playerId: playerId,
-                playerName: playerName
+            const room = gameServer.leaveRoom(roomCode, leftId);
+            announceDeparture(roomCode, room, leftId, leftName);
+        });
+        
+        if (roomCode) {
+            socket.to(roomCode).emit(Protocol.ServerMessages.PLAYER_DISCONNECTED, {
+                playerId: leftId,
+                playerName: leftName,
+                gracePeriod: RECONNECT_GRACE_PERIOD
             });
         }
-        
-        // Remove from players map
-        gameServer.players.delete(playerId);
     });
 
     // Handle errors
@@ -449,6 +1337,7 @@ setInterval(() => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('Received SIGTERM, shutting down gracefully');
+    leaderboard.flush();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -457,6 +1346,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('Received SIGINT, shutting down gracefully');
+    leaderboard.flush();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -0,0 +1,42 @@
+// Game modules shared between the browser client and the server.
+// The client scripts expect their dependencies as globals (see index.html),
+// so the globals are set up here in the same order before loading them.
+
+const fs = require('fs');
+const path = require('path');
+
+const Utils = require('../public/js/utils');
+global.Utils = Utils;
+
+const { PhysicsEngine, KartPhysics } = require('../public/js/physics');
+const TrackBuilder = require('../public/js/track');
+global.TrackBuilder = TrackBuilder;
+const SurfaceMap = require('../public/js/surface');
+global.SurfaceMap = SurfaceMap;
+const SpatialGrid = require('../public/js/spatial');
+global.SpatialGrid = SpatialGrid;
+
+const RaceDirector = require('../public/js/director');
+const TrackGenerator = require('../public/js/trackgen');
+const Protocol = require('../public/js/protocol');
+const AIManager = require('../public/js/ai');
+
+// Bundled track files (the browser fetches the same ones, see TrackBuilder.loadBundledTracks)
+const tracksDir = path.join(__dirname, '../public/tracks');
+const trackManifest = JSON.parse(fs.readFileSync(path.join(tracksDir, 'index.json'), 'utf8'));
+for (const file of trackManifest.tracks) {
+    TrackBuilder.register(TrackBuilder.parse(fs.readFileSync(path.join(tracksDir, file), 'utf8')));
+}
+
+module.exports = {
+    Utils,
+    PhysicsEngine,
+    KartPhysics,
+    TrackBuilder,
+    SurfaceMap,
+    SpatialGrid,
+    RaceDirector,
+    TrackGenerator,
+    Protocol,
+    AIManager
+};
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Headless bot races. Runs RaceSimulation - the same physics, AI, checkpoints
+// and race director as a server race - with no browser and no socket server,
+// as fast as the steps compute, and prints the results as JSON:
+//
+//   node server/simulate.js --track oval --difficulty hard --races 10
+//
+// Each race gives the finishing order, every kart's lap times and how many
+// times it hit another kart. The same --seed gives the same races. Exits with
+// 2 (after printing the JSON) if any race ended without a single finisher.
+
+const fs = require('fs');
+const RaceSimulation = require('./raceSimulation');
+const { Utils, TrackBuilder, AIManager } = require('./shared');
+
+// The game modules log as they go; stdout is kept for the JSON
+console.log = console.error;
+
+const USAGE = `Usage: node server/simulate.js [options]
+
+  --track <id|file.json>  Built-in track id or a track file (default: ${TrackBuilder.DEFAULT_TRACK})
+  --difficulty <level>    Bot difficulty: easy, medium or hard (default: medium)
+  --races <n>             Races to run (default: 1)
+  --bots <n>              Bots per race, 2-8 (default: 4)
+  --laps <n>              Laps per race (default: the track's)
+  --seed <n>              Seed for the first race; the next ones count up from it
+  --max-time <s>          Race time before the karts still out are DNF (default: ${RaceSimulation.MAX_RACE_TIME / 1000})`;
+
+const DEFAULTS = {
+    track: TrackBuilder.DEFAULT_TRACK,
+    difficulty: 'medium',
+    races: 1,
+    bots: 4,
+    laps: null,
+    seed: null,
+    maxTime: RaceSimulation.MAX_RACE_TIME / 1000
+};
+
+// --name value pairs -> options. Throws on anything it doesn't know.
+function parseArgs(args) {
+    const options = { ...DEFAULTS };
+    const numeric = { races: [1, 1000], bots: [2, 8], laps: [1, 20], seed: [0, 4294967295], 'max-time': [1, 3600] };
+
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+        if (args[i] === '--help' || args[i] === '-h') {
+            options.help = true;
+            return options;
+        }
+        if (!args[i].startsWith('--') || value === undefined) {
+            throw new Error(`Expected --option value, got "${args[i]}"`);
+        }
+
+        if (name === 'track') {
+            options.track = value;
+        } else if (name === 'difficulty') {
+            if (!Object.prototype.hasOwnProperty.call(new AIManager().difficultySettings, value)) {
+                throw new Error(`Unknown difficulty: ${value}`);
+            }
+            options.difficulty = value;
+        } else if (numeric[name]) {
+            const number = Number(value);
+            const [min, max] = numeric[name];
+            if (!Number.isInteger(number) || number < min || number > max) {
+                throw new Error(`--${name} must be a whole number from ${min} to ${max}`);
+            }
+            options[name === 'max-time' ? 'maxTime' : name] = number;
+        } else {
+            throw new Error(`Unknown option: --${name}`);
+        }
+    }
+
+    return options;
+}
+
+// A built-in track by id, or a track file from disk
+function loadTrack(track) {
+    if (TrackBuilder.isKnownTrack(track)) {
+        return TrackBuilder.createTrack(track);
+    }
+    if (fs.existsSync(track)) {
+        return TrackBuilder.build(TrackBuilder.parse(fs.readFileSync(track, 'utf8')));
+    }
+    throw new Error(`Unknown track: ${track} (built-in: ${TrackBuilder.getTrackList().map(entry => entry.id).join(', ')})`);
+}
+
+function runRace(track, options, seed) {
+    const simulation = new RaceSimulation({
+        laps: options.laps,
+        track: track,
+        seed: seed,
+        waitForBots: true
+    });
+
+    for (let i = 0; i < options.bots; i++) {
+        const kartType = AIManager.KART_TYPES[i % AIManager.KART_TYPES.length];
+        simulation.addBot(`bot_${i}`, AIManager.BOT_NAMES[i % AIManager.BOT_NAMES.length], options.difficulty, kartType);
+    }
+
+    const results = simulation.run(options.maxTime * 1000);
+
+    return {
+        seed: seed,
+        raceTime: Math.round(simulation.physics.time - simulation.startTime),
+        results: results.map(result => {
+            const kart = simulation.getKart(result.playerId);
+            return {
+                position: result.position,
+                playerId: result.playerId,
+                name: result.name,
+                kartType: kart.kartType,
+                finished: result.finished,
+                totalTime: result.totalTime === null ? null : Math.round(result.totalTime),
+                penaltyTime: result.penaltyTime,
+                lapTimes: kart.raceData.lapTimes.map(lap => Math.round(lap.time)),
+                bestLap: result.bestLap === null ? null : Math.round(result.bestLap),
+                collisions: kart.collisions
+            };
+        })
+    };
+}
+
+function main() {
+    let options;
+    let track;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            console.error(USAGE);
+            return 0;
+        }
+        track = loadTrack(options.track);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    options.laps = options.laps || track.laps || 3;
+    const firstSeed = options.seed === null ? Utils.randomSeed() : options.seed;
+
+    const startedAt = Date.now();
+    const races = [];
+    for (let i = 0; i < options.races; i++) {
+        races.push({ race: i + 1, ...runRace(track, options, (firstSeed + i) >>> 0) });
+    }
+
+    const realTime = Date.now() - startedAt;
+    const raceTime = races.reduce((total, race) => total + race.raceTime, 0);
+    console.error(`${races.length} race(s), ${(raceTime / 1000).toFixed(1)}s of racing in ${(realTime / 1000).toFixed(1)}s ` +
+        `(${Math.round(raceTime / Math.max(1, realTime))}x real time)`);
+
+    process.stdout.write(JSON.stringify({
+        track: track.id,
+        difficulty: options.difficulty,
+        laps: options.laps,
+        bots: options.bots,
+        races: races
+    }, null, 2) + '\n');
+
+    // Nobody home means the bots can't drive this track (or --max-time is too short)
+    const unfinished = races.filter(race => !race.results.some(result => result.finished));
+    if (unfinished.length > 0) {
+        console.error(`Warning: no kart finished in ${unfinished.length} of ${races.length} race(s) ` +
+            `(race ${unfinished.map(race => race.race).join(', ')})`);
+        return 2;
+    }
+    return 0;
+}
+
+process.exitCode = main();
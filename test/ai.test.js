@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RaceSimulation = require('../server/raceSimulation');
+
+for (const difficulty of ['easy', 'medium', 'hard']) {
+    test(`a ${difficulty} bot finishes a lap of the default track`, () => {
+        const simulation = new RaceSimulation({ laps: 1, seed: 1, waitForBots: true });
+        simulation.addBot('bot_0', 'Test Bot', difficulty, 'balanced');
+
+        const [result] = simulation.run(120000);
+
+        assert.equal(result.finished, true);
+        assert.equal(simulation.getKart('bot_0').raceData.lapCount, 1);
+    });
+}
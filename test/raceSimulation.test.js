@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RaceSimulation = require('../server/raceSimulation');
+
+test('results give the best lap of a kart that completed one', () => {
+    const simulation = new RaceSimulation({ laps: 1, seed: 1, waitForBots: true });
+    simulation.addBot('bot_0', 'Test Bot', 'medium', 'balanced');
+
+    const [result] = simulation.run(120000);
+    const lapTimes = simulation.getKart('bot_0').raceData.lapTimes;
+
+    assert.equal(result.bestLap, lapTimes[0].time);
+    assert.ok(result.bestLap > 0);
+});
+
+test('results have no best lap for a kart that never completed one', () => {
+    const simulation = new RaceSimulation({ laps: 1, seed: 1, waitForBots: true });
+    simulation.addBot('bot_0', 'Test Bot', 'medium', 'balanced');
+
+    const [result] = simulation.run(1000);
+
+    assert.equal(result.finished, false);
+    assert.equal(result.lapCount, 0);
+    assert.equal(result.bestLap, null);
+});
@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { Protocol } = require('../server/shared');
+
+const { ClientMessages, ServerMessages } = Protocol;
+
+// A port nothing is listening on
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Run the game server in its own process, with its own leaderboard file
+async function startServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gokart-test-'));
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '../server/server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            NODE_ENV: 'test',
+            LEADERBOARD_FILE: path.join(dataDir, 'leaderboard.json'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('running on port')) resolve();
+        });
+        child.stderr.on('data', (chunk) => {
+            output += chunk;
+        });
+        child.once('exit', (code) => reject(new Error(`Server exited with ${code}:\n${output}`)));
+    });
+
+    const isRunning = () => child.exitCode === null && child.signalCode === null;
+
+    return {
+        url: `http://localhost:${port}`,
+        isRunning,
+        // Also cleans up after a server that crashed
+        stop: () => new Promise((resolve) => {
+            const done = () => {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+                resolve();
+            };
+            if (!isRunning()) {
+                done();
+                return;
+            }
+            child.once('exit', done);
+            child.kill();
+        })
+    };
+}
+
+// The next message of a type, or a rejection if none arrives in time
+function nextMessage(socket, type, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(type, onMessage);
+            reject(new Error(`No ${type} within ${timeout} ms`));
+        }, timeout);
+        const onMessage = (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        };
+        socket.once(type, onMessage);
+    });
+}
+
+function openSocket(server) {
+    return io(server.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+// Send the handshake; resolves with the welcome
+function join(socket, handshake = {}) {
+    const welcome = nextMessage(socket, ServerMessages.WELCOME);
+    socket.emit(ClientMessages.PLAYER_JOIN, {
+        protocolVersion: Protocol.VERSION,
+        playerName: 'Tester',
+        ...handshake
+    });
+
+    return welcome;
+}
+
+// Connect and complete the handshake; resolves with { socket, welcome }
+async function connect(server, handshake = {}) {
+    const socket = openSocket(server);
+    return { socket, welcome: await join(socket, handshake) };
+}
+
+async function createRoom(socket, options = {}) {
+    const created = nextMessage(socket, ServerMessages.ROOM_CREATED);
+    socket.emit(ClientMessages.CREATE_ROOM, options);
+    return (await created).roomCode;
+}
+
+test('relay rooms', async (t) => {
+    const server = await startServer({ RELAY_ROOMS: 'true' });
+    const sockets = [];
+    t.after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.stop();
+    });
+
+    await t.test('a spectator reconnects into a race the host started without a clock', async () => {
+        const host = await connect(server, { playerName: 'Host' });
+        sockets.push(host.socket);
+        const roomCode = await createRoom(host.socket);
+        host.socket.emit(ClientMessages.GAME_STATE_UPDATE, { gameState: 'racing' });
+        await nextMessage(host.socket, ServerMessages.GAME_STATE_UPDATE);
+
+        const spectator = await connect(server, { playerName: 'Watcher' });
+        const joined = nextMessage(spectator.socket, ServerMessages.ROOM_JOINED);
+        spectator.socket.emit(ClientMessages.JOIN_ROOM, { roomCode, spectate: true });
+        assert.equal((await joined).gameState, 'racing');
+        spectator.socket.close();
+
+        // The seat comes back right behind the welcome
+        const socket = openSocket(server);
+        sockets.push(socket);
+        const rejoined = nextMessage(socket, ServerMessages.ROOM_JOINED);
+        const welcome = await join(socket, { sessionToken: spectator.welcome.sessionToken });
+
+        assert.equal(welcome.resumed, true);
+        assert.equal((await rejoined).roomCode, roomCode);
+        assert.ok(server.isRunning());
+    });
+});
+
+test('server rooms', async (t) => {
+    const server = await startServer();
+    const sockets = [];
+    t.after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.stop();
+    });
+
+    await t.test('a spectator sent away from a closed room can quick match', async () => {
+        const host = await connect(server, { playerName: 'Host' });
+        const spectator = await connect(server, { playerName: 'Watcher' });
+        sockets.push(host.socket, spectator.socket);
+        const roomCode = await createRoom(host.socket);
+
+        const joined = nextMessage(spectator.socket, ServerMessages.ROOM_JOINED);
+        spectator.socket.emit(ClientMessages.JOIN_ROOM, { roomCode, spectate: true });
+        await joined;
+
+        const closed = nextMessage(spectator.socket, ServerMessages.ROOM_CLOSED);
+        host.socket.emit(ClientMessages.LEAVE_ROOM);
+        assert.equal((await closed).roomCode, roomCode);
+
+        const matched = nextMessage(spectator.socket, ServerMessages.ROOM_JOINED);
+        spectator.socket.emit(ClientMessages.QUICK_MATCH, {});
+        const room = await matched;
+
+        assert.notEqual(room.roomCode, roomCode);
+        assert.ok(room.players[spectator.welcome.playerId]);
+    });
+
+    await t.test('the host cannot claim a race state for the room', async () => {
+        const host = await connect(server, { playerName: 'Host' });
+        const guest = await connect(server, { playerName: 'Guest' });
+        sockets.push(host.socket, guest.socket);
+        const roomCode = await createRoom(host.socket);
+
+        const rejected = nextMessage(host.socket, ServerMessages.ERROR);
+        host.socket.emit(ClientMessages.GAME_STATE_UPDATE, { gameState: 'racing', raceData: {} });
+        assert.equal((await rejected).code, Protocol.ErrorCodes.ROOM_ERROR);
+
+        const joined = nextMessage(guest.socket, ServerMessages.ROOM_JOINED);
+        guest.socket.emit(ClientMessages.JOIN_ROOM, { roomCode });
+        assert.equal((await joined).gameState, 'lobby');
+    });
+
+    await t.test('a race cannot be started again while it runs', async () => {
+        const host = await connect(server, { playerName: 'Host' });
+        sockets.push(host.socket);
+        await createRoom(host.socket);
+
+        const started = nextMessage(host.socket, ServerMessages.RACE_STARTED);
+        host.socket.emit(ClientMessages.START_RACE, {});
+        await started;
+
+        const rejected = nextMessage(host.socket, ServerMessages.ERROR);
+        const restarted = nextMessage(host.socket, ServerMessages.RACE_STARTED, 500).then(() => true, () => false);
+        host.socket.emit(ClientMessages.START_RACE, {});
+
+        assert.equal((await rejected).message, 'Race in progress');
+        assert.equal(await restarted, false);
+    });
+
+    await t.test('a second handshake on the same connection is rejected', async () => {
+        const { socket, welcome } = await connect(server, { playerName: 'First' });
+        sockets.push(socket);
+        await createRoom(socket);
+        const getSessions = async () => (await (await fetch(`${server.url}/api/stats`)).json()).sessions;
+        const sessions = await getSessions();
+
+        const rejected = nextMessage(socket, ServerMessages.ERROR);
+        const rewelcomed = nextMessage(socket, ServerMessages.WELCOME, 500).then(() => true, () => false);
+        socket.emit(ClientMessages.PLAYER_JOIN, { protocolVersion: Protocol.VERSION, playerId: 'other', playerName: 'Second' });
+        assert.equal((await rejected).code, Protocol.ErrorCodes.INVALID_MESSAGE);
+        assert.equal(await rewelcomed, false);
+        assert.equal(await getSessions(), sessions);
+
+        const room = nextMessage(socket, ServerMessages.ROOM_UPDATED);
+        socket.emit(ClientMessages.UPDATE_ROOM_SETTINGS, { settings: { laps: 2 } });
+        const { players } = await room;
+
+        assert.deepEqual(Object.keys(players), [welcome.playerId]);
+        assert.equal(players[welcome.playerId].name, 'First');
+    });
+});
+
+test('finished races', async (t) => {
+    const server = await startServer({ RACE_TIME_LIMIT: '500' });
+    const sockets = [];
+    t.after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.stop();
+    });
+
+    await t.test('a room whose race finished can be quick matched again', async () => {
+        const host = await connect(server, { playerName: 'Host' });
+        const player = await connect(server, { playerName: 'Player' });
+        sockets.push(host.socket, player.socket);
+        const roomCode = await createRoom(host.socket, { isPublic: true });
+
+        const finished = nextMessage(host.socket, ServerMessages.RACE_FINISHED, 8000);
+        host.socket.emit(ClientMessages.START_RACE, {});
+        const { results } = await finished;
+        assert.equal(results[0].finished, false);
+
+        const matched = nextMessage(player.socket, ServerMessages.ROOM_JOINED);
+        player.socket.emit(ClientMessages.QUICK_MATCH, {});
+        const room = await matched;
+
+        assert.equal(room.roomCode, roomCode);
+        assert.equal(room.gameState, 'lobby');
+    });
+});